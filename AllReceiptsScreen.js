@@ -5,10 +5,11 @@
  * con funcionalidades avanzadas de búsqueda y filtrado:
  * - Búsqueda por nombre de establecimiento
  * - Filtros por categoría
- * - Filtros por tipo (Factura/Manual)
+ * - Filtros por tipo (Factura/Manual/Ingreso)
  * - Filtros por rango de fechas
  * - Filtros por rango de montos
  * - Botón para agregar nuevos recibos manualmente
+ * - Importación de facturas electrónicas (CFDI en XML)
  * - Navegación a detalles de cada recibo
  * 
  * @component
@@ -28,33 +29,49 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
+import * as DocumentPicker from 'expo-document-picker';
+import { File } from 'expo-file-system';
 import { useExpense } from './ExpenseContext';
+import { parseCfdiXml } from './CfdiParser';
+import { toCents, formatMoney } from './Money';
+import DateRangePicker from './DateRangePicker';
+import { DEPOSIT_TYPE, DEPOSIT_LABEL, isDeposit } from './Deposits';
+import { isRecurringReceipt } from './RecurringExpenses';
 
 export default function AllReceiptsScreen({ navigation }) {
   // Obtener funciones del contexto global
-  const { receipts, deleteReceipt } = useExpense();
+  const { receipts, deleteReceipt, addReceipt, findReceiptByUuid, categoryList, getDefaultCategory } = useExpense();
   
   // === Estados de búsqueda y filtros ===
   const [searchQuery, setSearchQuery] = useState('');
   const [showFilters, setShowFilters] = useState(false);
   const [selectedCategory, setSelectedCategory] = useState('Todas');
   const [selectedType, setSelectedType] = useState('Todas');
-  const [startDate, setStartDate] = useState('');
-  const [endDate, setEndDate] = useState('');
+  const [startDate, setStartDate] = useState(null);
+  const [endDate, setEndDate] = useState(null);
   const [minAmount, setMinAmount] = useState('');
   const [maxAmount, setMaxAmount] = useState('');
 
   /**
    * Opciones de categorías disponibles para filtrar
    * 'Todas' significa sin filtro de categoría
+   * Incluye las archivadas para poder consultar recibos anteriores
    */
-  const categories = ['Todas', 'Alimentos', 'Transporte', 'Equipo de oficina', 'Servicios', 'Otros'];
+  const categories = ['Todas', ...categoryList.map(cat => cat.name)];
   
   /**
    * Tipos de recibos disponibles para filtrar
    * 'Todas' significa sin filtro de tipo
    */
-  const types = ['Todas', 'Factura', 'Manual'];
+  const types = ['Todas', 'Factura', 'Manual', DEPOSIT_TYPE];
+
+  /**
+   * Etiqueta visible de un tipo de recibo
+   * 
+   * @param {string} type - Tipo guardado en el recibo
+   * @returns {string} Etiqueta para filtros y badges
+   */
+  const getTypeLabel = (type) => (type === DEPOSIT_TYPE ? DEPOSIT_LABEL : type);
 
   /**
    * Recibos filtrados según los criterios activos
@@ -77,7 +94,7 @@ export default function AllReceiptsScreen({ navigation }) {
       return false;
     }
 
-    // Filtro 3: Tipo (Factura/Manual)
+    // Filtro 3: Tipo (Factura/Manual/Ingreso)
     const receiptType = receipt.type || 'Manual';
     if (selectedType !== 'Todas' && receiptType !== selectedType) {
       return false;
@@ -98,10 +115,10 @@ export default function AllReceiptsScreen({ navigation }) {
     }
 
     // Filtro 5: Rango de montos
-    if (minAmount && receipt.amount < parseFloat(minAmount)) {
+    if (minAmount && receipt.amount < toCents(minAmount)) {
       return false;
     }
-    if (maxAmount && receipt.amount > parseFloat(maxAmount)) {
+    if (maxAmount && receipt.amount > toCents(maxAmount)) {
       return false;
     }
 
@@ -139,6 +156,49 @@ export default function AllReceiptsScreen({ navigation }) {
     navigation.navigate('ManualEntry');
   };
 
+  /**
+   * Importar una factura electrónica (CFDI 3.3/4.0 en XML)
+   * 
+   * Abre el selector de archivos, interpreta el XML y guarda el resultado
+   * como un recibo de tipo 'Factura'. Si ya existe un recibo con el mismo
+   * UUID, no se importa de nuevo.
+   */
+  const handleImportXml = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: ['text/xml', 'application/xml'],
+        copyToCacheDirectory: true
+      });
+      if (result.canceled) return;
+
+      const xml = await new File(result.assets[0].uri).text();
+      const factura = parseCfdiXml(xml);
+
+      const existing = findReceiptByUuid(factura.uuid);
+      if (existing) {
+        Alert.alert(
+          'Factura duplicada',
+          `Esta factura ya fue registrada como "${existing.name}".`,
+          [
+            { text: 'Cancelar', style: 'cancel' },
+            { text: 'Ver recibo', onPress: () => handleViewDetails(existing) }
+          ]
+        );
+        return;
+      }
+
+      const newReceipt = await addReceipt({ ...factura, category: getDefaultCategory() });
+      Alert.alert(
+        'Factura importada',
+        `${factura.name} por ${formatMoney(factura.amount)}. Revisa la categoría asignada.`,
+        [{ text: 'OK', onPress: () => handleViewDetails(newReceipt) }]
+      );
+    } catch (error) {
+      console.error('Error al importar factura:', error);
+      Alert.alert('Error', error.message || 'No se pudo importar la factura');
+    }
+  };
+
   /**
    * Limpiar todos los filtros activos
    * 
@@ -147,8 +207,8 @@ export default function AllReceiptsScreen({ navigation }) {
   const clearFilters = () => {
     setSelectedCategory('Todas');
     setSelectedType('Todas');
-    setStartDate('');
-    setEndDate('');
+    setStartDate(null);
+    setEndDate(null);
     setMinAmount('');
     setMaxAmount('');
   };
@@ -190,6 +250,17 @@ export default function AllReceiptsScreen({ navigation }) {
         />
       </View>
 
+      {/* === Botón de Importar Factura === */}
+      {/* Crea un recibo tipo 'Factura' a partir del XML del CFDI */}
+      <TouchableOpacity 
+        style={styles.filterButton}
+        onPress={handleImportXml}
+      >
+        <Ionicons name="document-attach-outline" size={20} color="#6B7280" />
+        <Text style={styles.filterButtonText}>Importar factura (XML)</Text>
+        <Ionicons name="chevron-forward" size={20} color="#6B7280" />
+      </TouchableOpacity>
+
       {/* === Botón de Filtros === */}
       {/* Toggle para mostrar/ocultar panel de filtros avanzados */}
       <TouchableOpacity 
@@ -254,13 +325,28 @@ export default function AllReceiptsScreen({ navigation }) {
                     styles.typeButtonText,
                     selectedType === type && styles.typeButtonTextSelected
                   ]}>
-                    {type}
+                    {getTypeLabel(type)}
                   </Text>
                 </TouchableOpacity>
               ))}
             </View>
           </View>
 
+          {/* Filtro por Rango de Fechas */}
+          <View style={styles.filterSection}>
+            <Text style={styles.filterLabel}>Rango de fechas</Text>
+            <DateRangePicker
+              startDate={startDate}
+              endDate={endDate}
+              onChange={(start, end) => {
+                setStartDate(start);
+                setEndDate(end);
+              }}
+              startPlaceholder="Desde"
+              endPlaceholder="Hasta"
+            />
+          </View>
+
           {/* Filtro por Rango de Monto */}
           <View style={styles.filterSection}>
             <Text style={styles.filterLabel}>Rango por monto total</Text>
@@ -317,7 +403,7 @@ export default function AllReceiptsScreen({ navigation }) {
             <Ionicons name="receipt-outline" size={64} color="#D1D5DB" />
             <Text style={styles.emptyText}>No se encontraron recibos</Text>
             <Text style={styles.emptySubtext}>
-              {searchQuery || selectedCategory !== 'Todas' || minAmount || maxAmount
+              {searchQuery || selectedCategory !== 'Todas' || startDate || minAmount || maxAmount
                 ? 'Intenta ajustar los filtros de búsqueda'
                 : 'Agrega tu primer recibo para comenzar'}
             </Text>
@@ -339,20 +425,27 @@ export default function AllReceiptsScreen({ navigation }) {
                   {/* Badge del tipo de recibo */}
                   <View style={[
                     styles.typeBadge,
-                    (receipt.type || 'Manual') === 'Factura' ? styles.facturaBadge : styles.manualBadge
+                    (receipt.type || 'Manual') === 'Factura' ? styles.facturaBadge : styles.manualBadge,
+                    isDeposit(receipt) && styles.depositBadge
                   ]}>
                     <Text style={styles.typeBadgeText}>
-                      {receipt.type || 'Manual'}
+                      {getTypeLabel(receipt.type || 'Manual')}
                     </Text>
                   </View>
+                  {/* Ícono de gasto recurrente */}
+                  {isRecurringReceipt(receipt) && (
+                    <Ionicons name="repeat-outline" size={16} color="#6B7280" />
+                  )}
                 </View>
-                <Text style={styles.receiptCategory}>{receipt.category}</Text>
+                <Text style={styles.receiptCategory}>
+                  {isDeposit(receipt) ? receipt.source : receipt.category}
+                </Text>
                 <Text style={styles.receiptDate}>{formatDate(receipt.date)}</Text>
               </View>
               {/* Información del lado derecho */}
               <View style={styles.receiptRight}>
-                <Text style={styles.receiptAmount}>
-                  ${receipt.amount.toFixed(2)}
+                <Text style={[styles.receiptAmount, isDeposit(receipt) && styles.depositAmount]}>
+                  {isDeposit(receipt) ? '+' : ''}{formatMoney(receipt.amount)}
                 </Text>
                 <Ionicons name="chevron-forward" size={20} color="#9CA3AF" />
               </View>
@@ -658,6 +751,9 @@ const styles = StyleSheet.create({
   manualBadge: {
     backgroundColor: '#10B981',
   },
+  depositBadge: {
+    backgroundColor: '#7C3AED',
+  },
   typeBadgeText: {
     color: '#fff',
     fontSize: 10,
@@ -668,6 +764,9 @@ const styles = StyleSheet.create({
     fontWeight: '700',
     color: '#111',
   },
+  depositAmount: {
+    color: '#10B981',
+  },
   
   // === Estado vacío ===
   emptyState: {
@@ -2,7 +2,8 @@
  * Componente raíz de la aplicación
  * 
  * Este archivo configura la navegación principal de la aplicación y maneja:
- * - Verificación del estado de autenticación del usuario
+ * - Verificación de la sesión guardada del usuario (ver AuthService)
+ * - Regreso al inicio de sesión cuando la sesión expira
  * - Configuración del contexto global de gastos (ExpenseProvider)
  * - Navegación entre pantallas usando React Navigation
  * - Pantalla de carga mientras se verifica el estado de autenticación
@@ -11,25 +12,63 @@
  */
 
 import React, { useEffect, useState } from 'react';
-import { NavigationContainer } from '@react-navigation/native';
+import { NavigationContainer, createNavigationContainerRef } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
-import { ActivityIndicator, View } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { ActivityIndicator, View, Alert, AppState, NativeModules } from 'react-native';
+
+// Autenticación (en desarrollo, sin backend configurado, se usa el servidor simulado)
+import {
+  configureAuth,
+  migrateLegacyCredentials,
+  validateSession,
+  setSessionExpiredHandler
+} from './AuthService';
+import { createMockAuthServer, MOCK_AUTH_BASE_URL } from './AuthMockServer';
+import { recordLegacyDataOwner } from './UserStorage';
+
+// OCR (sin ML Kit, como en Expo Go, se usan tickets de ejemplo)
+import { setOcrEngine, createSampleEngine } from './OcrService';
+import { RECEIPT_SAMPLES } from './ReceiptSamples';
 
 // Contexto global para gestión de gastos
 import { ExpenseProvider } from './ExpenseContext';
 
 import LoginScreen from './LoginScreen';
+import RegisterScreen from './RegisterScreen';
+import ForgotPasswordScreen from './ForgotPasswordScreen';
 import ExpenseDashboard from './ExpenseDashboard';
 import AllReceiptsScreen from './AllReceiptsScreen';
 import ManualEntryScreen from './ManualEntryScreen';
 import ScanTicketScreen from './ScanTicketScreen';
 import ReportScreen from './ReportScreen';
 import ReceiptDetailsScreen from './ReceiptDetailsScreen';
+import CategoriesScreen from './CategoriesScreen';
+import BudgetsScreen from './BudgetsScreen';
+import RecurringExpensesScreen from './RecurringExpensesScreen';
+import TrashScreen from './TrashScreen';
+import UndoSnackbar from './UndoSnackbar';
 
 
 const Stack = createNativeStackNavigator();
 
+/**
+ * Referencia a la navegación, para volver al login fuera de las pantallas
+ */
+const navigationRef = createNavigationContainerRef();
+
+if (__DEV__ && !process.env.EXPO_PUBLIC_AUTH_API_URL) {
+  // El servidor simulado vive en memoria: sus cuentas y sesiones se pierden al reiniciar
+  configureAuth({
+    baseUrl: MOCK_AUTH_BASE_URL,
+    fetch: createMockAuthServer().fetch
+  });
+}
+
+if (!NativeModules.TextRecognition) {
+  // ML Kit requiere un development build; en Expo Go se simula el escaneo
+  setOcrEngine(createSampleEngine(RECEIPT_SAMPLES));
+}
+
 /**
  * Componente de navegación principal
  * 
@@ -50,6 +89,20 @@ function AppNavigator({ isLoggedIn }) {
         options={{ title: 'Iniciar sesión' }} 
       />
       
+      {/* Pantalla de registro de cuenta nueva */}
+      <Stack.Screen 
+        name="Register" 
+        component={RegisterScreen} 
+        options={{ title: 'Crear cuenta' }} 
+      />
+      
+      {/* Pantalla de recuperación de contraseña */}
+      <Stack.Screen 
+        name="ForgotPassword" 
+        component={ForgotPasswordScreen} 
+        options={{ title: 'Recuperar contraseña' }} 
+      />
+      
       {/* Dashboard principal de gastos */}
       <Stack.Screen 
         name="ExpenseDashboard" 
@@ -118,6 +171,70 @@ function AppNavigator({ isLoggedIn }) {
         }} 
       />
       
+      {/* Pantalla de administración de categorías */}
+      <Stack.Screen 
+        name="Categories" 
+        component={CategoriesScreen} 
+        options={{ 
+          title: 'Categorías',
+          headerStyle: {
+            backgroundColor: '#fff',
+          },
+          headerTintColor: '#111',
+          headerTitleStyle: {
+            fontWeight: '600',
+          },
+        }} 
+      />
+      
+      {/* Pantalla de presupuestos mensuales */}
+      <Stack.Screen 
+        name="Budgets" 
+        component={BudgetsScreen} 
+        options={{ 
+          title: 'Presupuestos',
+          headerStyle: {
+            backgroundColor: '#fff',
+          },
+          headerTintColor: '#111',
+          headerTitleStyle: {
+            fontWeight: '600',
+          },
+        }} 
+      />
+      
+      {/* Pantalla de gastos recurrentes */}
+      <Stack.Screen 
+        name="RecurringExpenses" 
+        component={RecurringExpensesScreen} 
+        options={{ 
+          title: 'Gastos Recurrentes',
+          headerStyle: {
+            backgroundColor: '#fff',
+          },
+          headerTintColor: '#111',
+          headerTitleStyle: {
+            fontWeight: '600',
+          },
+        }} 
+      />
+      
+      {/* Pantalla de papelera (recibos eliminados) */}
+      <Stack.Screen 
+        name="Trash" 
+        component={TrashScreen} 
+        options={{ 
+          title: 'Papelera',
+          headerStyle: {
+            backgroundColor: '#fff',
+          },
+          headerTintColor: '#111',
+          headerTitleStyle: {
+            fontWeight: '600',
+          },
+        }} 
+      />
+      
       {/* Pantalla de detalles de un recibo específico */}
       <Stack.Screen 
         name="ReceiptDetails" 
@@ -154,19 +271,22 @@ export default function App() {
   const [isLoggedIn, setIsLoggedIn] = useState(null); 
 
   /**
-   * Efecto: Verificar estado de autenticación al iniciar la app
+   * Efecto: Verificar la sesión al iniciar la app
    * 
-   * Busca en AsyncStorage si existe un 'username' guardado
-   * para determinar si el usuario ya inició sesión previamente.
+   * Valida la sesión guardada con AuthService (renovando el access token
+   * si venció) en lugar de solo revisar que exista un 'username'.
    */
-  
   useEffect(() => {
     const checkLoginStatus = async () => {
       try {
-        const storedUsername = await AsyncStorage.getItem('username');
-        if(storedUsername) {
+        // Antes de iniciar sesión, que sobrescribe el correo de la versión anterior
+        await recordLegacyDataOwner();
+        // Quitar la contraseña en texto plano de versiones anteriores
+        await migrateLegacyCredentials();
+        const session = await validateSession();
+        if (session) {
           setIsLoggedIn(true);
-          console.log('Usuario autenticado:', storedUsername);
+          console.log('Usuario autenticado:', session.user.email);
         } else {
           setIsLoggedIn(false);
         }
@@ -179,6 +299,35 @@ export default function App() {
     checkLoginStatus();
   }, []);
 
+  /**
+   * Efecto: Volver al login cuando la sesión expira
+   * 
+   * AuthService avisa cuando el servidor rechaza la sesión. Además, la
+   * sesión se revisa cada vez que la app vuelve a primer plano.
+   */
+  useEffect(() => {
+    setSessionExpiredHandler(() => {
+      Alert.alert('Sesión expirada', 'Tu sesión expiró. Inicia sesión de nuevo.');
+      if (navigationRef.isReady() && navigationRef.getCurrentRoute()?.name !== 'Login') {
+        navigationRef.reset({ index: 0, routes: [{ name: 'Login' }] });
+      }
+    });
+
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        // Si la sesión expiró, el aviso llega por setSessionExpiredHandler
+        validateSession().catch(error => {
+          console.error('Error al validar la sesión: ', error);
+        });
+      }
+    });
+
+    return () => {
+      setSessionExpiredHandler(null);
+      subscription.remove();
+    };
+  }, []);
+
   /**
    * Pantalla de carga
    * 
@@ -202,14 +351,16 @@ export default function App() {
    * 
    * Estructura:
    * ExpenseProvider: Proporciona estado global de gastos a toda la app
-   * └── NavigationContainer: Contenedor de navegación
-   *     └── AppNavigator: Stack Navigator con todas las pantallas
+   * ├── NavigationContainer: Contenedor de navegación
+   * │   └── AppNavigator: Stack Navigator con todas las pantallas
+   * └── UndoSnackbar: Aviso para deshacer eliminaciones, sobre cualquier pantalla
    */
   return (
     <ExpenseProvider>
-      <NavigationContainer>
+      <NavigationContainer ref={navigationRef}>
         <AppNavigator isLoggedIn={isLoggedIn} />
       </NavigationContainer>
+      <UndoSnackbar />
     </ExpenseProvider>
   );
 }
\ No newline at end of file
@@ -0,0 +1,316 @@
+/**
+ * Servidor de Autenticación Simulado
+ *
+ * Implementa la misma API REST que espera AuthService, para desarrollar
+ * sin backend y para probar el flujo de sesión:
+ * - POST /auth/register { name, email, password } → 201, tokens y usuario nuevo
+ * - POST /auth/login    { email, password } → tokens y usuario
+ * - POST /auth/refresh  { refreshToken }    → tokens nuevos (rota el refresh token)
+ * - POST /auth/logout   { refreshToken }    → 204, invalida los tokens
+ * - GET  /auth/me       (Bearer)            → { user }
+ * - POST /auth/password/forgot { email }       → 202, envía un código de 6 dígitos
+ * - POST /auth/password/verify { email, code } → { resetToken }
+ * - POST /auth/password/reset  { resetToken, password } → 204, cierra las sesiones
+ *
+ * Los códigos de recuperación no se envían por correo: se agregan a outbox
+ * y se muestran en la consola.
+ *
+ * Todo vive en memoria (las contraseñas y los tokens nunca se guardan en el
+ * dispositivo), así que las cuentas registradas y las sesiones se pierden
+ * al reiniciar la app.
+ *
+ * Las respuestas de error tienen la forma { code, message }.
+ *
+ * El servidor expone una función compatible con fetch, que se registra con
+ * configureAuth:
+ *
+ * @example
+ * const server = createMockAuthServer();
+ * configureAuth({ baseUrl: MOCK_AUTH_BASE_URL, fetch: server.fetch });
+ *
+ * @module AuthMockServer
+ */
+
+/**
+ * URL base para usar con el servidor simulado (no se hace ninguna conexión)
+ */
+export const MOCK_AUTH_BASE_URL = 'http://mock.fico.local';
+
+/**
+ * Usuario de demostración disponible por defecto
+ */
+export const DEMO_USER = {
+  email: 'demo@fico.mx',
+  password: 'demo1234',
+  name: 'Demo'
+};
+
+/**
+ * Crear un servidor de autenticación simulado
+ *
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.users=[DEMO_USER]] - Usuarios { email, password, name }
+ * @param {number} [options.accessTokenTtl=900] - Vigencia del access token (segundos)
+ * @param {number} [options.refreshTokenTtl=2592000] - Vigencia del refresh token (segundos)
+ * @param {Function} [options.now=Date.now] - Reloj en milisegundos (para simular expiraciones)
+ * @param {number} [options.resetCodeTtl=600] - Vigencia del código de recuperación (segundos)
+ * @param {number} [options.resendCooldown=60] - Espera para pedir otro código (segundos)
+ * @returns {{fetch: Function, handle: Function, users: Array<Object>, outbox: Array<Object>}}
+ *   Servidor simulado; outbox guarda los códigos enviados { email, code, sentAt }
+ */
+export const createMockAuthServer = ({
+  users = [DEMO_USER],
+  accessTokenTtl = 15 * 60,
+  refreshTokenTtl = 30 * 24 * 60 * 60,
+  now = Date.now,
+  resetCodeTtl = 10 * 60,
+  resendCooldown = 60
+} = {}) => {
+  const accounts = users.map((user, index) => ({ id: String(index + 1), ...user }));
+  const accessTokens = new Map(); // token → { userId, expiresAt }
+  const refreshTokens = new Map();
+  const resetCodes = new Map(); // email → { code, expiresAt, sentAt, attempts, requests }
+  const resetTokens = new Map(); // token → { userId, expiresAt }
+  const outbox = [];
+  let tokenCount = 0;
+
+  const MAX_CODE_ATTEMPTS = 5;
+  const MAX_CODE_REQUESTS_PER_HOUR = 5;
+
+  const createToken = (prefix) => {
+    tokenCount += 1;
+    return `${prefix}-${tokenCount}-${Math.random().toString(36).slice(2)}`;
+  };
+
+  // Los IDs no se reutilizan aunque se reinicie el servidor: los datos
+  // locales de cada cuenta se guardan con su ID (ver UserStorage)
+  const createUserId = () => `${now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+  const reply = (status, body = null) => ({ status, body });
+
+  const fail = (status, code, message) => reply(status, { code, message });
+
+  const publicUser = (account) => ({ id: account.id, email: account.email, name: account.name });
+
+  const issueTokens = (account) => {
+    const accessToken = createToken('access');
+    const refreshToken = createToken('refresh');
+    accessTokens.set(accessToken, { userId: account.id, expiresAt: now() + accessTokenTtl * 1000 });
+    refreshTokens.set(refreshToken, { userId: account.id, expiresAt: now() + refreshTokenTtl * 1000 });
+    return reply(200, {
+      accessToken,
+      refreshToken,
+      expiresIn: accessTokenTtl,
+      refreshExpiresIn: refreshTokenTtl,
+      user: publicUser(account)
+    });
+  };
+
+  /**
+   * Buscar la cuenta de un token vigente
+   */
+  const findByToken = (tokens, token) => {
+    const entry = token && tokens.get(token);
+    if (!entry) return null;
+    if (entry.expiresAt <= now()) {
+      tokens.delete(token);
+      return null;
+    }
+    return accounts.find(account => account.id === entry.userId) || null;
+  };
+
+  /**
+   * Cerrar todas las sesiones de una cuenta
+   */
+  const revokeTokens = (userId) => {
+    [accessTokens, refreshTokens].forEach(tokens => {
+      tokens.forEach((entry, token) => {
+        if (entry.userId === userId) tokens.delete(token);
+      });
+    });
+  };
+
+  const getBearer = (headers) => {
+    const value = headers.Authorization || headers.authorization || '';
+    return value.startsWith('Bearer ') ? value.slice(7) : null;
+  };
+
+  const routes = {
+    'POST /auth/register': ({ body }) => {
+      const email = (body.email || '').trim().toLowerCase();
+      const name = (body.name || '').trim();
+      if (!name) {
+        return fail(400, 'INVALID_NAME', 'El nombre es obligatorio');
+      }
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return fail(400, 'INVALID_EMAIL', 'El correo electrónico no es válido');
+      }
+      if (!body.password || body.password.length < 8) {
+        return fail(400, 'WEAK_PASSWORD', 'La contraseña debe tener al menos 8 caracteres');
+      }
+      if (accounts.some(user => user.email.toLowerCase() === email)) {
+        return fail(409, 'EMAIL_IN_USE', 'Ya existe una cuenta con este correo electrónico');
+      }
+      const account = { id: createUserId(), email, password: body.password, name };
+      accounts.push(account);
+      return reply(201, issueTokens(account).body);
+    },
+
+    'POST /auth/login': ({ body }) => {
+      const email = (body.email || '').trim().toLowerCase();
+      const account = accounts.find(user => user.email.toLowerCase() === email);
+      if (!account || account.password !== body.password) {
+        return fail(401, 'INVALID_CREDENTIALS', 'Correo o contraseña incorrectos');
+      }
+      return issueTokens(account);
+    },
+
+    'POST /auth/refresh': ({ body }) => {
+      const account = findByToken(refreshTokens, body.refreshToken);
+      if (!account) {
+        return fail(401, 'SESSION_EXPIRED', 'La sesión expiró');
+      }
+      refreshTokens.delete(body.refreshToken); // Cada refresh token se usa una sola vez
+      return issueTokens(account);
+    },
+
+    'POST /auth/logout': ({ body, headers }) => {
+      refreshTokens.delete(body.refreshToken);
+      accessTokens.delete(getBearer(headers));
+      return reply(204);
+    },
+
+    'GET /auth/me': ({ headers }) => {
+      const account = findByToken(accessTokens, getBearer(headers));
+      if (!account) {
+        return fail(401, 'UNAUTHORIZED', 'Token inválido o expirado');
+      }
+      return reply(200, { user: publicUser(account) });
+    },
+
+    'POST /auth/password/forgot': ({ body }) => {
+      const email = (body.email || '').trim().toLowerCase();
+      const previous = resetCodes.get(email);
+      const requests = (previous?.requests || []).filter(time => time > now() - 60 * 60 * 1000);
+
+      if (previous && previous.sentAt + resendCooldown * 1000 > now()) {
+        const retryAfter = Math.ceil((previous.sentAt + resendCooldown * 1000 - now()) / 1000);
+        return reply(429, {
+          code: 'RATE_LIMITED',
+          message: `Espera ${retryAfter} segundos para pedir otro código`,
+          retryAfter
+        });
+      }
+      if (requests.length >= MAX_CODE_REQUESTS_PER_HOUR) {
+        const retryAfter = Math.ceil((requests[0] + 60 * 60 * 1000 - now()) / 1000);
+        return reply(429, {
+          code: 'RATE_LIMITED',
+          message: 'Pediste demasiados códigos. Intenta de nuevo más tarde.',
+          retryAfter
+        });
+      }
+
+      // Se responde igual aunque el correo no exista, para no revelar cuentas
+      const response = reply(202, { expiresIn: resetCodeTtl, resendAfter: resendCooldown });
+      const account = accounts.find(user => user.email.toLowerCase() === email);
+      if (!account) return response;
+
+      const code = String(Math.floor(Math.random() * 1000000)).padStart(6, '0');
+      resetCodes.set(email, {
+        code,
+        userId: account.id,
+        expiresAt: now() + resetCodeTtl * 1000,
+        sentAt: now(),
+        attempts: 0,
+        requests: [...requests, now()]
+      });
+      outbox.push({ email, code, sentAt: new Date(now()).toISOString() });
+      console.log(`[AuthMockServer] Código de recuperación para ${email}: ${code}`);
+      return response;
+    },
+
+    'POST /auth/password/verify': ({ body }) => {
+      const email = (body.email || '').trim().toLowerCase();
+      const entry = resetCodes.get(email);
+      if (!entry || entry.attempts >= MAX_CODE_ATTEMPTS) {
+        return fail(400, 'INVALID_CODE', 'El código no es válido. Solicita uno nuevo.');
+      }
+      if (entry.expiresAt <= now()) {
+        return fail(410, 'CODE_EXPIRED', 'El código expiró. Solicita uno nuevo.');
+      }
+      if (entry.code !== body.code) {
+        entry.attempts += 1;
+        const attemptsLeft = MAX_CODE_ATTEMPTS - entry.attempts;
+        if (attemptsLeft === 0) {
+          return fail(429, 'TOO_MANY_ATTEMPTS', 'Demasiados intentos fallidos. Solicita un código nuevo.');
+        }
+        return reply(400, {
+          code: 'INVALID_CODE',
+          message: `Código incorrecto. Te quedan ${attemptsLeft} intento(s).`,
+          attemptsLeft
+        });
+      }
+
+      // El código se usa una sola vez; el token de cambio dura lo mismo que el código
+      resetCodes.set(email, { ...entry, code: null, attempts: MAX_CODE_ATTEMPTS });
+      const resetToken = createToken('reset');
+      resetTokens.set(resetToken, { userId: entry.userId, expiresAt: now() + resetCodeTtl * 1000 });
+      return reply(200, { resetToken });
+    },
+
+    'POST /auth/password/reset': ({ body }) => {
+      const account = findByToken(resetTokens, body.resetToken);
+      if (!account) {
+        return fail(410, 'RESET_EXPIRED', 'El tiempo para cambiar la contraseña expiró. Empieza de nuevo.');
+      }
+      if (!body.password || body.password.length < 8) {
+        return fail(400, 'WEAK_PASSWORD', 'La contraseña debe tener al menos 8 caracteres');
+      }
+      account.password = body.password;
+      resetTokens.delete(body.resetToken);
+      revokeTokens(account.id);
+      return reply(204);
+    }
+  };
+
+  /**
+   * Atender una petición
+   *
+   * @param {Object} request
+   * @param {string} request.method - Método HTTP
+   * @param {string} request.path - Ruta (sin la URL base)
+   * @param {Object} [request.body={}] - Cuerpo ya interpretado
+   * @param {Object} [request.headers={}] - Encabezados
+   * @returns {{status: number, body: Object|null}} Respuesta
+   */
+  const handle = ({ method, path, body = {}, headers = {} }) => {
+    const route = routes[`${method} ${path}`];
+    if (!route) {
+      return fail(404, 'NOT_FOUND', `Ruta no encontrada: ${method} ${path}`);
+    }
+    return route({ body, headers });
+  };
+
+  /**
+   * Función compatible con fetch que responde con el servidor simulado
+   *
+   * @param {string} url - URL completa (se ignora el dominio)
+   * @param {Object} [init] - Opciones de fetch (method, headers, body)
+   * @returns {Promise<Object>} Respuesta con ok, status y json()
+   */
+  const fetch = async (url, init = {}) => {
+    const { status, body } = handle({
+      method: init.method || 'GET',
+      path: url.replace(/^[a-z]+:\/\/[^/]+/i, ''),
+      body: init.body ? JSON.parse(init.body) : {},
+      headers: init.headers || {}
+    });
+    return {
+      ok: status >= 200 && status < 300,
+      status,
+      json: async () => body
+    };
+  };
+
+  return { fetch, handle, users: accounts, outbox };
+};
@@ -0,0 +1,135 @@
+import { createMockAuthServer, DEMO_USER, MOCK_AUTH_BASE_URL } from './AuthMockServer';
+
+/**
+ * Crear un servidor con un reloj que se puede adelantar
+ */
+const createServer = (options = {}) => {
+  let time = Date.UTC(2026, 9, 18);
+  const server = createMockAuthServer({ now: () => time, ...options });
+  const advance = (seconds) => { time += seconds * 1000; };
+  return { server, advance };
+};
+
+const post = (server, path, body) => server.fetch(`${MOCK_AUTH_BASE_URL}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+const getMe = (server, accessToken) => server.fetch(`${MOCK_AUTH_BASE_URL}/auth/me`, {
+  headers: { Authorization: `Bearer ${accessToken}` }
+});
+
+const login = async (server) => {
+  const response = await post(server, '/auth/login', { email: DEMO_USER.email, password: DEMO_USER.password });
+  return response.json();
+};
+
+describe('login', () => {
+  it('devuelve tokens y el usuario con credenciales válidas', async () => {
+    const { server } = createServer();
+    const response = await post(server, '/auth/login', {
+      email: ' Demo@Fico.mx ',
+      password: DEMO_USER.password
+    });
+    const body = await response.json();
+
+    expect(response.ok).toBe(true);
+    expect(body.accessToken).toEqual(expect.any(String));
+    expect(body.refreshToken).toEqual(expect.any(String));
+    expect(body.user).toEqual({ id: '1', email: DEMO_USER.email, name: DEMO_USER.name });
+    expect(body.user.password).toBeUndefined();
+  });
+
+  it('rechaza una contraseña incorrecta', async () => {
+    const { server } = createServer();
+    const response = await post(server, '/auth/login', { email: DEMO_USER.email, password: 'incorrecta' });
+
+    expect(response.status).toBe(401);
+    expect((await response.json()).code).toBe('INVALID_CREDENTIALS');
+  });
+
+  it('el access token da acceso a /auth/me', async () => {
+    const { server } = createServer();
+    const { accessToken } = await login(server);
+    const response = await getMe(server, accessToken);
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).user.email).toBe(DEMO_USER.email);
+  });
+});
+
+describe('refresh', () => {
+  it('entrega tokens nuevos y el refresh token anterior deja de servir', async () => {
+    const { server } = createServer();
+    const session = await login(server);
+
+    const response = await post(server, '/auth/refresh', { refreshToken: session.refreshToken });
+    const renewed = await response.json();
+    expect(response.status).toBe(200);
+    expect(renewed.accessToken).not.toBe(session.accessToken);
+    expect(renewed.refreshToken).not.toBe(session.refreshToken);
+    expect((await getMe(server, renewed.accessToken)).status).toBe(200);
+
+    const reused = await post(server, '/auth/refresh', { refreshToken: session.refreshToken });
+    expect(reused.status).toBe(401);
+    expect((await reused.json()).code).toBe('SESSION_EXPIRED');
+  });
+
+  it('no acepta tokens después de cerrar sesión', async () => {
+    const { server } = createServer();
+    const session = await login(server);
+
+    await server.fetch(`${MOCK_AUTH_BASE_URL}/auth/logout`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${session.accessToken}` },
+      body: JSON.stringify({ refreshToken: session.refreshToken })
+    });
+
+    expect((await getMe(server, session.accessToken)).status).toBe(401);
+    expect((await post(server, '/auth/refresh', { refreshToken: session.refreshToken })).status).toBe(401);
+  });
+});
+
+describe('expiración', () => {
+  it('el access token expira y se renueva con el refresh token', async () => {
+    const { server, advance } = createServer({ accessTokenTtl: 60 });
+    const session = await login(server);
+
+    advance(59);
+    expect((await getMe(server, session.accessToken)).status).toBe(200);
+
+    advance(1);
+    const expired = await getMe(server, session.accessToken);
+    expect(expired.status).toBe(401);
+    expect((await expired.json()).code).toBe('UNAUTHORIZED');
+
+    const response = await post(server, '/auth/refresh', { refreshToken: session.refreshToken });
+    const renewed = await response.json();
+    expect(response.status).toBe(200);
+    expect((await getMe(server, renewed.accessToken)).status).toBe(200);
+  });
+
+  it('el refresh token expira y obliga a iniciar sesión de nuevo', async () => {
+    const { server, advance } = createServer({ accessTokenTtl: 60, refreshTokenTtl: 3600 });
+    const session = await login(server);
+
+    advance(3600);
+    const response = await post(server, '/auth/refresh', { refreshToken: session.refreshToken });
+    expect(response.status).toBe(401);
+    expect((await response.json()).code).toBe('SESSION_EXPIRED');
+  });
+});
+
+describe('memoria', () => {
+  it('cada servidor empieza solo con los usuarios iniciales', async () => {
+    const { server } = createServer();
+    await post(server, '/auth/register', { name: 'Ana', email: 'ana@fico.mx', password: 'segura123' });
+    expect(server.users).toHaveLength(2);
+
+    const { server: restarted } = createServer();
+    expect(restarted.users).toHaveLength(1);
+    const response = await post(restarted, '/auth/login', { email: 'ana@fico.mx', password: 'segura123' });
+    expect(response.status).toBe(401);
+  });
+});
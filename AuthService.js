@@ -0,0 +1,568 @@
+/**
+ * Servicio de Autenticación
+ *
+ * Maneja la sesión del usuario contra un backend REST configurable:
+ * - Registro de cuentas nuevas
+ * - Recuperación de contraseña con un código enviado por correo
+ * - Inicio y cierre de sesión
+ * - Renovación del access token con el refresh token
+ * - Validación de la sesión guardada al abrir la app
+ * - Aviso de sesión expirada (setSessionExpiredHandler)
+ * - Aviso de cambio de usuario (addSessionListener), para cargar sus datos
+ *
+ * La URL del backend se toma de EXPO_PUBLIC_AUTH_API_URL o se define con
+ * configureAuth, que también permite cambiar la función fetch (por ejemplo,
+ * por la del servidor simulado, ver AuthMockServer).
+ *
+ * Almacenamiento de la sesión:
+ * - El refresh token se guarda cifrado en SecureStore (REFRESH_TOKEN_KEY)
+ * - En AsyncStorage (SESSION_KEY) solo se guarda { refreshExpiresAt, user }
+ * - El access token vive solo en memoria; al abrir la app se pide uno nuevo
+ * - El nombre a mostrar se guarda aparte en 'username'
+ *
+ * La contraseña nunca se guarda. Si el usuario no eligió "Recordarme", la
+ * sesión completa se mantiene solo en memoria.
+ *
+ * @module AuthService
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+
+/**
+ * Clave de AsyncStorage donde se guarda la sesión
+ */
+export const SESSION_KEY = 'session';
+
+/**
+ * Clave de SecureStore donde se guarda el refresh token
+ */
+export const REFRESH_TOKEN_KEY = 'refreshToken';
+
+/**
+ * Claves de AsyncStorage de versiones anteriores con la contraseña en texto plano
+ */
+const LEGACY_EMAIL_KEY = 'savedEmail';
+const LEGACY_PASSWORD_KEY = 'savedPassword';
+
+/**
+ * Margen antes del vencimiento del access token para renovarlo (milisegundos)
+ */
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * Error de autenticación
+ *
+ * Códigos posibles:
+ * - INVALID_CREDENTIALS: correo o contraseña incorrectos
+ * - SESSION_EXPIRED: la sesión ya no es válida y hay que iniciar sesión
+ * - NETWORK: no se pudo conectar con el servidor
+ * - NOT_CONFIGURED: no hay un backend configurado
+ * - EMAIL_IN_USE, INVALID_EMAIL, INVALID_NAME, WEAK_PASSWORD: datos de
+ *   registro rechazados por el servidor (el mensaje viene del servidor)
+ * - RATE_LIMITED: demasiadas solicitudes; retryAfter indica los segundos de espera
+ * - INVALID_CODE, CODE_EXPIRED, TOO_MANY_ATTEMPTS, RESET_EXPIRED: errores de
+ *   la recuperación de contraseña
+ * - SERVER: cualquier otra respuesta de error del servidor
+ */
+export class AuthError extends Error {
+  /**
+   * @param {string} code - Código del error
+   * @param {string} message - Mensaje para mostrar al usuario
+   * @param {Object} [details] - Datos adicionales
+   * @param {number} [details.status] - Código HTTP de la respuesta
+   * @param {Object} [details.body] - Cuerpo de la respuesta de error
+   * @param {Error} [details.cause] - Error original
+   */
+  constructor(code, message, { status, body, cause } = {}) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+    this.body = body;
+    this.cause = cause;
+    this.retryAfter = body?.retryAfter ?? null;
+  }
+}
+
+// Configuración activa (módulo privado)
+let config = {
+  baseUrl: process.env.EXPO_PUBLIC_AUTH_API_URL || null,
+  fetch: (...args) => fetch(...args)
+};
+
+// Renovación en curso, para no usar el mismo refresh token dos veces
+let pendingRefresh = null;
+
+// Función que se llama cuando la sesión expira
+let sessionExpiredHandler = null;
+
+// Sesión activa en memoria (incluye el access token) y si se guarda en el dispositivo
+let currentSession = null;
+let persistSession = true;
+
+// Funciones que se llaman cuando cambia el usuario de la sesión
+const sessionListeners = new Set();
+
+/**
+ * Configurar el backend de autenticación
+ *
+ * @param {Object} options
+ * @param {string} [options.baseUrl] - URL base de la API (sin "/" final)
+ * @param {Function} [options.fetch] - Función compatible con fetch
+ *
+ * @example
+ * configureAuth({ baseUrl: 'https://api.fico.mx' });
+ */
+export const configureAuth = (options) => {
+  config = { ...config, ...options };
+};
+
+/**
+ * Registrar la función que se llama cuando la sesión expira
+ *
+ * @param {Function|null} handler - Función sin argumentos (null para quitarla)
+ */
+export const setSessionExpiredHandler = (handler) => {
+  sessionExpiredHandler = handler;
+};
+
+/**
+ * Escuchar los cambios de usuario de la sesión
+ *
+ * Se llama al iniciar sesión con otra cuenta y al cerrar o expirar la
+ * sesión, pero no cuando solo se renueva el access token.
+ *
+ * @param {Function} listener - Recibe el usuario { id, email, name } o null
+ * @returns {Function} Función para dejar de escuchar
+ *
+ * @example
+ * const unsubscribe = addSessionListener(user => setUserId(user?.id ?? null));
+ */
+export const addSessionListener = (listener) => {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+};
+
+/**
+ * Cambiar la sesión activa y avisar si cambió el usuario
+ */
+const setCurrentSession = (session) => {
+  const previousUserId = currentSession?.user.id ?? null;
+  currentSession = session;
+  const user = session?.user ?? null;
+  if ((user?.id ?? null) !== previousUserId) {
+    sessionListeners.forEach(listener => listener(user));
+  }
+};
+
+/**
+ * Hacer una petición a la API
+ *
+ * @param {string} method - Método HTTP
+ * @param {string} path - Ruta de la API (por ejemplo '/auth/login')
+ * @param {Object} [options]
+ * @param {Object} [options.body] - Cuerpo a enviar como JSON
+ * @param {string} [options.token] - Access token para el encabezado Authorization
+ * @returns {Promise<Object|null>} Cuerpo de la respuesta
+ * @throws {AuthError} Si no hay conexión o el servidor responde con error
+ */
+const request = async (method, path, { body, token } = {}) => {
+  if (!config.baseUrl) {
+    throw new AuthError('NOT_CONFIGURED', 'No hay un servidor de autenticación configurado');
+  }
+
+  let response;
+  try {
+    response = await config.fetch(`${config.baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+  } catch (error) {
+    throw new AuthError('NETWORK', 'No se pudo conectar con el servidor', { cause: error });
+  }
+
+  const data = response.status === 204 ? null : await response.json().catch(() => null);
+  if (!response.ok) {
+    throw new AuthError(
+      data?.code || 'SERVER',
+      data?.message || 'El servidor respondió con un error',
+      { status: response.status, body: data }
+    );
+  }
+  return data;
+};
+
+/**
+ * Convertir la respuesta de login o refresh en una sesión
+ *
+ * @param {Object} data - { accessToken, refreshToken, expiresIn, refreshExpiresIn, user }
+ * @returns {Object} Sesión con fechas de vencimiento absolutas
+ */
+const toSession = (data) => {
+  const now = Date.now();
+  return {
+    accessToken: data.accessToken,
+    refreshToken: data.refreshToken,
+    expiresAt: new Date(now + data.expiresIn * 1000).toISOString(),
+    refreshExpiresAt: data.refreshExpiresIn
+      ? new Date(now + data.refreshExpiresIn * 1000).toISOString()
+      : null,
+    user: data.user
+  };
+};
+
+/**
+ * Obtener el nombre a mostrar de un usuario
+ *
+ * @param {Object} user - Usuario de la API { email, name }
+ * @returns {string} Nombre, o la parte del correo antes de la @
+ */
+export const getDisplayName = (user) => user.name || user.email.split('@')[0];
+
+/**
+ * Guardar la sesión y el nombre del usuario
+ *
+ * Con persistSession activo, el refresh token va a SecureStore y los datos
+ * sin tokens a AsyncStorage; si no, se borra lo que hubiera guardado.
+ */
+const saveSession = async (session) => {
+  setCurrentSession(session);
+  if (persistSession) {
+    await SecureStore.setItemAsync(REFRESH_TOKEN_KEY, session.refreshToken);
+    await AsyncStorage.setItem(SESSION_KEY, JSON.stringify({
+      refreshExpiresAt: session.refreshExpiresAt,
+      user: session.user
+    }));
+  } else {
+    await SecureStore.deleteItemAsync(REFRESH_TOKEN_KEY);
+    await AsyncStorage.removeItem(SESSION_KEY);
+  }
+  await AsyncStorage.setItem('username', getDisplayName(session.user));
+};
+
+/**
+ * Borrar la sesión guardada
+ */
+const clearSession = async () => {
+  setCurrentSession(null);
+  await SecureStore.deleteItemAsync(REFRESH_TOKEN_KEY);
+  await AsyncStorage.removeItem(SESSION_KEY);
+  await AsyncStorage.removeItem('username');
+};
+
+/**
+ * Borrar la sesión y avisar que expiró
+ */
+const expireSession = async () => {
+  await clearSession();
+  if (sessionExpiredHandler) {
+    sessionExpiredHandler();
+  }
+};
+
+/**
+ * Obtener la sesión activa o guardada (sin validarla)
+ *
+ * Una sesión recién leída del dispositivo no tiene access token
+ * (accessToken y expiresAt en null), así que validateSession la renueva.
+ *
+ * @returns {Promise<Object|null>} Sesión o null si no hay
+ */
+export const getSession = async () => {
+  if (currentSession) return currentSession;
+
+  const raw = await AsyncStorage.getItem(SESSION_KEY);
+  const refreshToken = await SecureStore.getItemAsync(REFRESH_TOKEN_KEY);
+  if (!raw || !refreshToken) return null;
+
+  persistSession = true;
+  setCurrentSession({
+    ...JSON.parse(raw),
+    accessToken: null,
+    expiresAt: null,
+    refreshToken
+  });
+  return currentSession;
+};
+
+/**
+ * Iniciar sesión
+ *
+ * @param {string} email - Correo electrónico
+ * @param {string} password - Contraseña
+ * @param {Object} [options]
+ * @param {boolean} [options.remember=true] - Guardar la sesión en el
+ *   dispositivo para no pedir la contraseña al volver a abrir la app
+ * @returns {Promise<Object>} Sesión iniciada
+ * @throws {AuthError} INVALID_CREDENTIALS, NETWORK, NOT_CONFIGURED o SERVER
+ *
+ * @example
+ * try {
+ *   await login('demo@fico.mx', 'demo1234', { remember: false });
+ * } catch (error) {
+ *   if (error.code === 'INVALID_CREDENTIALS') { ... }
+ * }
+ */
+export const login = async (email, password, { remember = true } = {}) => {
+  const data = await request('POST', '/auth/login', {
+    body: { email: email.trim(), password }
+  });
+  const session = toSession(data);
+  persistSession = remember;
+  await saveSession(session);
+  return session;
+};
+
+/**
+ * Crear una cuenta nueva
+ *
+ * Si el registro es exitoso, la sesión de la cuenta nueva queda iniciada.
+ *
+ * @param {Object} account
+ * @param {string} account.name - Nombre a mostrar
+ * @param {string} account.email - Correo electrónico
+ * @param {string} account.password - Contraseña
+ * @param {Object} [options]
+ * @param {boolean} [options.remember=true] - Guardar la sesión en el dispositivo
+ * @returns {Promise<Object>} Sesión de la cuenta nueva
+ * @throws {AuthError} EMAIL_IN_USE, INVALID_EMAIL, INVALID_NAME, WEAK_PASSWORD,
+ *   NETWORK, NOT_CONFIGURED o SERVER
+ */
+export const register = async ({ name, email, password }, { remember = true } = {}) => {
+  const data = await request('POST', '/auth/register', {
+    body: { name: name.trim(), email: email.trim(), password }
+  });
+  const session = toSession(data);
+  persistSession = remember;
+  await saveSession(session);
+  return session;
+};
+
+/**
+ * Pedir un código de recuperación de contraseña
+ *
+ * El servidor envía un código de 6 dígitos al correo. Responde igual
+ * aunque el correo no esté registrado.
+ *
+ * @param {string} email - Correo de la cuenta
+ * @returns {Promise<{expiresAt: number, resendAt: number}>} Cuándo vence el
+ *   código y desde cuándo se puede pedir otro (milisegundos)
+ * @throws {AuthError} RATE_LIMITED (con retryAfter), NETWORK, NOT_CONFIGURED o SERVER
+ */
+export const requestPasswordReset = async (email) => {
+  const data = await request('POST', '/auth/password/forgot', {
+    body: { email: email.trim() }
+  });
+  const now = Date.now();
+  return {
+    expiresAt: now + data.expiresIn * 1000,
+    resendAt: now + data.resendAfter * 1000
+  };
+};
+
+/**
+ * Verificar el código de recuperación
+ *
+ * @param {string} email - Correo de la cuenta
+ * @param {string} code - Código de 6 dígitos
+ * @returns {Promise<string>} Token para cambiar la contraseña con resetPassword
+ * @throws {AuthError} INVALID_CODE, CODE_EXPIRED, TOO_MANY_ATTEMPTS, NETWORK o SERVER
+ */
+export const verifyResetCode = async (email, code) => {
+  const data = await request('POST', '/auth/password/verify', {
+    body: { email: email.trim(), code }
+  });
+  return data.resetToken;
+};
+
+/**
+ * Cambiar la contraseña con el token de verifyResetCode
+ *
+ * El servidor cierra todas las sesiones de la cuenta, así que la sesión
+ * local también se borra.
+ *
+ * @param {string} resetToken - Token de verifyResetCode
+ * @param {string} password - Contraseña nueva
+ * @throws {AuthError} RESET_EXPIRED, WEAK_PASSWORD, NETWORK o SERVER
+ */
+export const resetPassword = async (resetToken, password) => {
+  await request('POST', '/auth/password/reset', {
+    body: { resetToken, password }
+  });
+  await clearSession();
+};
+
+/**
+ * Migrar las credenciales de versiones anteriores
+ *
+ * Las versiones anteriores guardaban la contraseña de "Recordarme" en
+ * AsyncStorage y la sesión con sus tokens sin cifrar. Esta función:
+ * - Mueve el refresh token de la sesión antigua a SecureStore
+ * - Si había contraseña guardada y no hay sesión, inicia sesión con ella
+ *   una última vez para obtener un refresh token
+ * - Borra la contraseña en texto plano siempre, aunque falle lo anterior
+ *
+ * Se llama al abrir la app; si no hay nada que migrar no hace nada.
+ */
+export const migrateLegacyCredentials = async () => {
+  try {
+    const raw = await AsyncStorage.getItem(SESSION_KEY);
+    const stored = raw ? JSON.parse(raw) : null;
+    if (stored?.refreshToken) {
+      await SecureStore.setItemAsync(REFRESH_TOKEN_KEY, stored.refreshToken);
+      await AsyncStorage.setItem(SESSION_KEY, JSON.stringify({
+        refreshExpiresAt: stored.refreshExpiresAt,
+        user: stored.user
+      }));
+      console.log('Sesión migrada a almacenamiento seguro');
+    }
+
+    const legacyEmail = await AsyncStorage.getItem(LEGACY_EMAIL_KEY);
+    const legacyPassword = await AsyncStorage.getItem(LEGACY_PASSWORD_KEY);
+    if (legacyPassword && legacyEmail && !(await getSession())) {
+      await login(legacyEmail, legacyPassword);
+      console.log('Credenciales guardadas migradas a una sesión');
+    }
+  } catch (error) {
+    console.log('No se pudieron migrar las credenciales guardadas:', error.message);
+  } finally {
+    await AsyncStorage.removeItem(LEGACY_PASSWORD_KEY);
+  }
+};
+
+/**
+ * Renovar el access token
+ *
+ * Si el servidor rechaza el refresh token, la sesión se borra y se avisa
+ * con el manejador de sesión expirada. Las llamadas simultáneas comparten
+ * la misma renovación.
+ *
+ * @returns {Promise<Object>} Sesión renovada
+ * @throws {AuthError} SESSION_EXPIRED si hay que volver a iniciar sesión,
+ *   o NETWORK si no hay conexión
+ */
+export const refreshSession = async () => {
+  if (!pendingRefresh) {
+    pendingRefresh = (async () => {
+      const session = await getSession();
+      if (!session) {
+        throw new AuthError('SESSION_EXPIRED', 'Inicia sesión para continuar');
+      }
+      try {
+        const data = await request('POST', '/auth/refresh', {
+          body: { refreshToken: session.refreshToken }
+        });
+        const renewed = toSession(data);
+        await saveSession(renewed);
+        return renewed;
+      } catch (error) {
+        if (error.status === 401) {
+          await expireSession();
+          throw new AuthError('SESSION_EXPIRED', 'Tu sesión expiró. Inicia sesión de nuevo.', {
+            status: error.status,
+            body: error.body
+          });
+        }
+        throw error;
+      }
+    })().finally(() => {
+      pendingRefresh = null;
+    });
+  }
+  return pendingRefresh;
+};
+
+/**
+ * Validar la sesión guardada
+ *
+ * - Sin sesión, o con el refresh token vencido: null
+ * - Con el access token vigente: la sesión guardada
+ * - Sin access token (app recién abierta) o con el access token vencido: se
+ *   renueva; si el servidor la rechaza, null
+ *
+ * Sin conexión se conserva la sesión guardada (mientras su refresh token
+ * no haya vencido), para poder usar la app sin internet.
+ *
+ * @returns {Promise<Object|null>} Sesión válida o null si hay que iniciar sesión
+ */
+export const validateSession = async () => {
+  const session = await getSession();
+  if (!session) return null;
+
+  const now = Date.now();
+  if (session.refreshExpiresAt && new Date(session.refreshExpiresAt).getTime() <= now) {
+    await expireSession();
+    return null;
+  }
+  if (session.accessToken && new Date(session.expiresAt).getTime() - EXPIRY_MARGIN_MS > now) {
+    return session;
+  }
+
+  try {
+    return await refreshSession();
+  } catch (error) {
+    if (error.code === 'NETWORK') {
+      console.log('Sin conexión: se conserva la sesión guardada');
+      return session;
+    }
+    if (error.code !== 'SESSION_EXPIRED') {
+      console.error('Error al validar la sesión:', error);
+    }
+    return null;
+  }
+};
+
+/**
+ * Hacer una petición autenticada a la API
+ *
+ * Renueva el access token si venció y reintenta una vez si el servidor
+ * responde 401.
+ *
+ * @param {string} method - Método HTTP
+ * @param {string} path - Ruta de la API
+ * @param {Object} [body] - Cuerpo a enviar como JSON
+ * @returns {Promise<Object|null>} Cuerpo de la respuesta
+ * @throws {AuthError} SESSION_EXPIRED si no hay sesión válida
+ *
+ * @example
+ * const { user } = await authorizedRequest('GET', '/auth/me');
+ */
+export const authorizedRequest = async (method, path, body) => {
+  const session = await validateSession();
+  if (!session) {
+    throw new AuthError('SESSION_EXPIRED', 'Inicia sesión para continuar');
+  }
+  try {
+    return await request(method, path, { body, token: session.accessToken });
+  } catch (error) {
+    if (error.status !== 401) throw error;
+    const renewed = await refreshSession();
+    return request(method, path, { body, token: renewed.accessToken });
+  }
+};
+
+/**
+ * Cerrar sesión
+ *
+ * Avisa al servidor para invalidar los tokens; aunque no haya conexión, la
+ * sesión local siempre se borra.
+ */
+export const logout = async () => {
+  const session = await getSession();
+  if (session) {
+    try {
+      await request('POST', '/auth/logout', {
+        body: { refreshToken: session.refreshToken },
+        token: session.accessToken
+      });
+    } catch (error) {
+      console.log('No se pudo cerrar la sesión en el servidor:', error.message);
+    }
+  }
+  await clearSession();
+};
@@ -0,0 +1,112 @@
+/**
+ * Almacenamiento de Presupuestos Mensuales
+ *
+ * Los presupuestos se guardan en AsyncStorage como un historial de cambios
+ * (nunca se sobrescriben), para que cada mes se evalúe con el presupuesto
+ * vigente en ese momento:
+ * { categoryId, amount, effectiveFrom, changedAt }
+ *
+ * - categoryId: ID de la categoría (ver CategoryStorage) o null para el
+ *   presupuesto general
+ * - amount: límite mensual en centavos, o null si se quitó el presupuesto
+ * - effectiveFrom: mes desde el que aplica ("YYYY-MM")
+ * - changedAt: fecha ISO del cambio
+ *
+ * @module BudgetStorage
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Clave de AsyncStorage donde se guarda el historial de presupuestos
+ */
+export const BUDGETS_KEY = 'budgets';
+
+/**
+ * Proporción del presupuesto a partir de la cual se muestra la advertencia
+ */
+export const BUDGET_WARNING_RATIO = 0.8;
+
+/**
+ * Obtener la clave de mes ("YYYY-MM") de una fecha
+ *
+ * @param {Date|string} date - Fecha a convertir
+ * @returns {string} Mes en formato YYYY-MM
+ *
+ * @example
+ * getMonthKey(new Date(2026, 9, 18)); // "2026-10"
+ */
+export const getMonthKey = (date) => {
+  const value = new Date(date);
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Obtener el presupuesto vigente en un mes
+ *
+ * Toma el último cambio cuyo mes de inicio sea igual o anterior al mes
+ * consultado; si hubo varios cambios en el mismo mes, gana el más reciente.
+ *
+ * @param {Array<Object>} history - Historial de cambios de presupuesto
+ * @param {string|null} categoryId - ID de la categoría o null para el general
+ * @param {string} monthKey - Mes consultado (YYYY-MM)
+ * @returns {number|null} Límite en centavos, o null si no hay presupuesto
+ */
+export const getBudgetForMonth = (history, categoryId, monthKey) => {
+  const applicable = history
+    .filter(entry => entry.categoryId === categoryId && entry.effectiveFrom <= monthKey)
+    .sort((a, b) =>
+      a.effectiveFrom === b.effectiveFrom
+        ? a.changedAt.localeCompare(b.changedAt)
+        : a.effectiveFrom.localeCompare(b.effectiveFrom)
+    );
+  const latest = applicable[applicable.length - 1];
+  return latest && latest.amount > 0 ? latest.amount : null;
+};
+
+/**
+ * Evaluar el gasto contra un presupuesto
+ *
+ * @param {number} spent - Gasto del mes en centavos
+ * @param {number|null} budget - Límite en centavos
+ * @returns {{ratio: number, status: 'ok'|'warning'|'exceeded'}|null}
+ *   Proporción usada y estado, o null si no hay presupuesto
+ */
+export const getBudgetStatus = (spent, budget) => {
+  if (!budget) return null;
+  const ratio = spent / budget;
+  let status = 'ok';
+  if (ratio > 1) {
+    status = 'exceeded';
+  } else if (ratio >= BUDGET_WARNING_RATIO) {
+    status = 'warning';
+  }
+  return { ratio, status };
+};
+
+/**
+ * Cargar el historial de presupuestos
+ *
+ * @param {string} [key=BUDGETS_KEY] - Clave de AsyncStorage
+ * @returns {Promise<Array<Object>>} Historial de cambios (vacío si no hay datos)
+ */
+export const loadStoredBudgets = async (key = BUDGETS_KEY) => {
+  const raw = await AsyncStorage.getItem(key);
+  if (!raw) return [];
+
+  const parsed = JSON.parse(raw);
+  if (!Array.isArray(parsed)) {
+    throw new Error('Formato de presupuestos desconocido');
+  }
+  return parsed;
+};
+
+/**
+ * Guardar el historial de presupuestos
+ *
+ * @param {Array<Object>} history - Historial de cambios
+ * @param {string} [key=BUDGETS_KEY] - Clave de AsyncStorage
+ */
+export const saveStoredBudgets = async (history, key = BUDGETS_KEY) => {
+  await AsyncStorage.setItem(key, JSON.stringify(history));
+};
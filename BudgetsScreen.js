@@ -0,0 +1,334 @@
+/**
+ * Pantalla de Presupuestos Mensuales
+ *
+ * Permite definir un límite de gasto mensual por categoría y un
+ * presupuesto general. Características principales:
+ * - Captura de montos en pesos (se guardan en centavos)
+ * - Dejar un campo vacío quita el presupuesto
+ * - Historial de cambios: los meses anteriores se siguen evaluando con el
+ *   presupuesto que estaba vigente en su momento
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useExpense } from './ExpenseContext';
+import { toCents, formatMoney, centsToInput } from './Money';
+
+/**
+ * Clave usada en el formulario para el presupuesto general
+ */
+const OVERALL_KEY = 'general';
+
+export default function BudgetsScreen({ navigation }) {
+  // Obtener categorías y presupuestos del contexto global
+  const {
+    categoryList,
+    budgetHistory,
+    getActiveCategories,
+    getBudget,
+    setBudgets
+  } = useExpense();
+
+  /**
+   * Montos capturados por el usuario (texto en pesos)
+   * Las claves son el ID de la categoría o OVERALL_KEY
+   */
+  const [amounts, setAmounts] = useState({});
+
+  const activeCategories = getActiveCategories();
+
+  /**
+   * Efecto: Pre-llenar el formulario con los presupuestos vigentes
+   */
+  useEffect(() => {
+    const current = {};
+    const overall = getBudget(null);
+    current[OVERALL_KEY] = overall ? centsToInput(overall) : '';
+    activeCategories.forEach(cat => {
+      const budget = getBudget(cat.id);
+      current[cat.id] = budget ? centsToInput(budget) : '';
+    });
+    setAmounts(current);
+  }, [budgetHistory, categoryList]);
+
+  /**
+   * Actualizar el monto capturado de un presupuesto
+   *
+   * @param {string} key - ID de la categoría o OVERALL_KEY
+   * @param {string} value - Texto capturado
+   */
+  const handleAmountChange = (key, value) => {
+    setAmounts(prev => ({ ...prev, [key]: value }));
+  };
+
+  /**
+   * Guardar todos los presupuestos
+   *
+   * Valida que los montos capturados sean números no negativos.
+   */
+  const handleSave = async () => {
+    const invalid = Object.values(amounts).some(value =>
+      value.trim() && !(parseFloat(value.replace(/[$,\s]/g, '')) >= 0)
+    );
+    if (invalid) {
+      Alert.alert('Error', 'Por favor ingrese montos válidos');
+      return;
+    }
+
+    try {
+      await setBudgets(Object.entries(amounts).map(([key, value]) => ({
+        categoryId: key === OVERALL_KEY ? null : key,
+        amount: value.trim() ? toCents(value) : null
+      })));
+      Alert.alert('Éxito', 'Presupuestos guardados correctamente', [
+        { text: 'OK', onPress: () => navigation.goBack() }
+      ]);
+    } catch (error) {
+      console.error('Error al guardar presupuestos:', error);
+      Alert.alert('Error', 'No se pudieron guardar los presupuestos');
+    }
+  };
+
+  /**
+   * Obtener el nombre a mostrar para un cambio del historial
+   *
+   * @param {string|null} categoryId - ID de la categoría o null
+   * @returns {string} Nombre de la categoría o "General"
+   */
+  const getBudgetLabel = (categoryId) => {
+    if (categoryId === null) return 'General';
+    const category = categoryList.find(cat => cat.id === categoryId);
+    return category ? category.name : 'Categoría eliminada';
+  };
+
+  /**
+   * Formatear un mes YYYY-MM como "oct 2026"
+   */
+  const formatMonth = (monthKey) => {
+    const [year, month] = monthKey.split('-');
+    return new Date(year, month - 1, 1).toLocaleDateString('es-MX', {
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView style={styles.scrollView}>
+        <View style={styles.content}>
+          {/* === Sección: Presupuesto general === */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Presupuesto general</Text>
+            <Text style={styles.sectionSubtitle}>
+              Límite de gasto mensual para todas las categorías
+            </Text>
+            <View style={styles.amountContainer}>
+              <Text style={styles.currencySymbol}>$</Text>
+              <TextInput
+                style={styles.amountInput}
+                placeholder="Sin presupuesto"
+                placeholderTextColor="#9CA3AF"
+                value={amounts[OVERALL_KEY] || ''}
+                onChangeText={(value) => handleAmountChange(OVERALL_KEY, value)}
+                keyboardType="decimal-pad"
+              />
+            </View>
+          </View>
+
+          {/* === Sección: Presupuesto por categoría === */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Por categoría</Text>
+            <Text style={styles.sectionSubtitle}>
+              Deja el campo vacío para no limitar la categoría
+            </Text>
+            {activeCategories.map((category) => (
+              <View key={category.id} style={styles.categoryRow}>
+                <View style={styles.categoryLeft}>
+                  <Ionicons name={category.icon} size={18} color={category.color} />
+                  <Text style={styles.categoryName}>{category.name}</Text>
+                </View>
+                <View style={[styles.amountContainer, styles.categoryAmount]}>
+                  <Text style={styles.currencySymbol}>$</Text>
+                  <TextInput
+                    style={styles.amountInput}
+                    placeholder="0.00"
+                    placeholderTextColor="#9CA3AF"
+                    value={amounts[category.id] || ''}
+                    onChangeText={(value) => handleAmountChange(category.id, value)}
+                    keyboardType="decimal-pad"
+                  />
+                </View>
+              </View>
+            ))}
+          </View>
+
+          {/* === Botón Guardar === */}
+          <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
+            <Ionicons name="save-outline" size={20} color="#fff" />
+            <Text style={styles.saveButtonText}>Guardar</Text>
+          </TouchableOpacity>
+
+          {/* === Sección: Historial de cambios === */}
+          {budgetHistory.length > 0 && (
+            <View style={[styles.section, styles.historySection]}>
+              <Text style={styles.sectionTitle}>Historial de cambios</Text>
+              {[...budgetHistory].reverse().map((entry, index) => (
+                <View key={index} style={styles.historyRow}>
+                  <View>
+                    <Text style={styles.historyLabel}>{getBudgetLabel(entry.categoryId)}</Text>
+                    <Text style={styles.historyDate}>
+                      Desde {formatMonth(entry.effectiveFrom)}
+                    </Text>
+                  </View>
+                  <Text style={styles.historyAmount}>
+                    {entry.amount ? formatMoney(entry.amount) : 'Sin presupuesto'}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          )}
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+/**
+ * Estilos del componente
+ */
+const styles = StyleSheet.create({
+  // === Contenedor principal ===
+  container: {
+    flex: 1,
+    backgroundColor: '#E5E7EB',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    padding: 20,
+  },
+
+  // === Secciones ===
+  section: {
+    backgroundColor: '#fff',
+    padding: 20,
+    borderRadius: 12,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#111',
+    marginBottom: 4,
+  },
+  sectionSubtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 16,
+  },
+
+  // === Campos de monto ===
+  amountContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F9FAFB',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+  },
+  currencySymbol: {
+    fontSize: 16,
+    color: '#6B7280',
+    marginRight: 4,
+  },
+  amountInput: {
+    flex: 1,
+    paddingVertical: 12,
+    fontSize: 16,
+    color: '#111',
+  },
+
+  // === Filas de categorías ===
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+    gap: 12,
+  },
+  categoryLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+    flex: 1,
+  },
+  categoryName: {
+    fontSize: 15,
+    color: '#333',
+  },
+  categoryAmount: {
+    width: 140,
+  },
+
+  // === Botón Guardar ===
+  saveButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#1E3A8A',
+    padding: 16,
+    borderRadius: 12,
+    gap: 8,
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '700',
+  },
+
+  // === Historial ===
+  historySection: {
+    marginTop: 16,
+  },
+  historyRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  historyLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#111',
+  },
+  historyDate: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  historyAmount: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#111',
+  },
+});
@@ -0,0 +1,537 @@
+/**
+ * Pantalla de Administración de Categorías
+ *
+ * Permite al usuario personalizar las categorías de gastos:
+ * - Crear categorías nuevas con nombre, color e ícono
+ * - Marcar las categorías de consumos en restaurantes (deducibles solo al 8.5%)
+ * - Renombrar y cambiar color/ícono (los recibos se actualizan al renombrar)
+ * - Reordenar la lista (el orden se usa en toda la app)
+ * - Archivar categorías que ya no se usan y restaurarlas
+ *
+ * Las categorías archivadas no aparecen al registrar gastos nuevos,
+ * pero sus recibos conservan la categoría y siguen contando en los totales.
+ *
+ * @component
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  Modal,
+  Switch
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useExpense } from './ExpenseContext';
+import { CATEGORY_COLORS, CATEGORY_ICONS } from './CategoryStorage';
+
+export default function CategoriesScreen() {
+  // Obtener categorías y funciones del contexto global
+  const {
+    categoryList,
+    receipts,
+    addCategory,
+    updateCategory,
+    setCategoryArchived,
+    moveCategory
+  } = useExpense();
+
+  // === Estados del formulario (modal de crear/editar) ===
+  const [showEditor, setShowEditor] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [name, setName] = useState('');
+  const [color, setColor] = useState(CATEGORY_COLORS[0]);
+  const [icon, setIcon] = useState(CATEGORY_ICONS[0]);
+  const [restaurant, setRestaurant] = useState(false);
+
+  const activeCategories = categoryList.filter(cat => !cat.archived);
+  const archivedCategories = categoryList.filter(cat => cat.archived);
+
+  /**
+   * Contar los recibos de una categoría
+   *
+   * @param {string} categoryName - Nombre de la categoría
+   * @returns {number} Número de recibos
+   */
+  const countReceipts = (categoryName) => {
+    return receipts.filter(r => r.category === categoryName).length;
+  };
+
+  /**
+   * Abrir el editor para crear una categoría nueva
+   */
+  const openNewCategory = () => {
+    setEditingId(null);
+    setName('');
+    setColor(CATEGORY_COLORS[categoryList.length % CATEGORY_COLORS.length]);
+    setIcon(CATEGORY_ICONS[0]);
+    setRestaurant(false);
+    setShowEditor(true);
+  };
+
+  /**
+   * Abrir el editor con los datos de una categoría existente
+   *
+   * @param {Object} category - Categoría a editar
+   */
+  const openEditCategory = (category) => {
+    setEditingId(category.id);
+    setName(category.name);
+    setColor(category.color);
+    setIcon(category.icon);
+    setRestaurant(Boolean(category.restaurant));
+    setShowEditor(true);
+  };
+
+  /**
+   * Guardar la categoría del editor (crear o actualizar)
+   *
+   * Si se cambia el nombre de una categoría con recibos, se pide
+   * confirmación porque los recibos también se renombran.
+   */
+  const handleSave = async () => {
+    const save = async () => {
+      try {
+        if (editingId) {
+          await updateCategory(editingId, { name, color, icon, restaurant });
+        } else {
+          await addCategory({ name, color, icon, restaurant });
+        }
+        setShowEditor(false);
+      } catch (error) {
+        console.error('Error al guardar categoría:', error);
+        Alert.alert('Error', error.message);
+      }
+    };
+
+    const current = categoryList.find(cat => cat.id === editingId);
+    const receiptCount = current ? countReceipts(current.name) : 0;
+    if (current && current.name !== name.trim() && receiptCount > 0) {
+      Alert.alert(
+        'Renombrar categoría',
+        `Se actualizarán ${receiptCount} recibo(s) de "${current.name}" a "${name.trim()}".`,
+        [
+          { text: 'Cancelar', style: 'cancel' },
+          { text: 'Renombrar', onPress: save }
+        ]
+      );
+      return;
+    }
+    await save();
+  };
+
+  /**
+   * Archivar o restaurar una categoría
+   *
+   * @param {Object} category - Categoría a modificar
+   */
+  const handleToggleArchived = async (category) => {
+    try {
+      await setCategoryArchived(category.id, !category.archived);
+    } catch (error) {
+      console.error('Error al archivar categoría:', error);
+      Alert.alert('Error', error.message);
+    }
+  };
+
+  /**
+   * Mover una categoría en la lista
+   *
+   * @param {Object} category - Categoría a mover
+   * @param {number} offset - -1 para subir, 1 para bajar
+   */
+  const handleMove = async (category, offset) => {
+    try {
+      await moveCategory(category.id, offset);
+    } catch (error) {
+      console.error('Error al reordenar categorías:', error);
+      Alert.alert('Error', 'No se pudo cambiar el orden de las categorías');
+    }
+  };
+
+  /**
+   * Renderizar una fila de categoría con sus acciones
+   *
+   * @param {Object} category - Categoría a mostrar
+   * @returns {JSX.Element} Fila de la lista
+   */
+  const renderCategory = (category) => {
+    const index = activeCategories.findIndex(cat => cat.id === category.id);
+    const isFirst = index === 0;
+    const isLast = index === activeCategories.length - 1;
+    return (
+      <View key={category.id} style={styles.categoryRow}>
+        {/* Ícono con el color de la categoría */}
+        <View style={[styles.categoryIcon, { backgroundColor: category.color }]}>
+          <Ionicons name={category.icon} size={20} color="#fff" />
+        </View>
+
+        {/* Nombre y número de recibos */}
+        <View style={styles.categoryInfo}>
+          <Text style={[styles.categoryName, category.archived && styles.archivedText]}>
+            {category.name}
+          </Text>
+          <Text style={styles.categoryCount}>
+            {countReceipts(category.name)} recibo(s)
+          </Text>
+        </View>
+
+        {/* Acciones: reordenar, editar y archivar */}
+        <View style={styles.categoryActions}>
+          {!category.archived && (
+            <>
+              <TouchableOpacity
+                style={styles.actionIcon}
+                onPress={() => handleMove(category, -1)}
+                disabled={isFirst}
+              >
+                <Ionicons name="chevron-up" size={20} color={isFirst ? '#D1D5DB' : '#6B7280'} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.actionIcon}
+                onPress={() => handleMove(category, 1)}
+                disabled={isLast}
+              >
+                <Ionicons name="chevron-down" size={20} color={isLast ? '#D1D5DB' : '#6B7280'} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.actionIcon}
+                onPress={() => openEditCategory(category)}
+              >
+                <Ionicons name="create-outline" size={20} color="#3B82F6" />
+              </TouchableOpacity>
+            </>
+          )}
+          <TouchableOpacity
+            style={styles.actionIcon}
+            onPress={() => handleToggleArchived(category)}
+          >
+            <Ionicons
+              name={category.archived ? 'arrow-undo-outline' : 'archive-outline'}
+              size={20}
+              color={category.archived ? '#10B981' : '#DC2626'}
+            />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView style={styles.scrollView}>
+        <View style={styles.content}>
+          {/* === Sección: Categorías activas === */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Categorías</Text>
+            <Text style={styles.sectionSubtitle}>
+              El orden de esta lista se usa en toda la app
+            </Text>
+            {activeCategories.map(renderCategory)}
+          </View>
+
+          {/* === Sección: Categorías archivadas === */}
+          {archivedCategories.length > 0 && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Archivadas</Text>
+              <Text style={styles.sectionSubtitle}>
+                No se ofrecen para gastos nuevos; sus recibos siguen contando en los totales
+              </Text>
+              {archivedCategories.map(renderCategory)}
+            </View>
+          )}
+
+          {/* === Botón Nueva Categoría === */}
+          <TouchableOpacity style={styles.addButton} onPress={openNewCategory}>
+            <Ionicons name="add" size={20} color="#fff" />
+            <Text style={styles.addButtonText}>Nueva categoría</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+
+      {/* === Modal de Crear/Editar Categoría === */}
+      <Modal
+        visible={showEditor}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowEditor(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>
+                {editingId ? 'Editar categoría' : 'Nueva categoría'}
+              </Text>
+              <TouchableOpacity onPress={() => setShowEditor(false)}>
+                <Ionicons name="close" size={24} color="#111" />
+              </TouchableOpacity>
+            </View>
+
+            {/* Campo: Nombre */}
+            <Text style={styles.label}>Nombre</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="Nombre de la categoría"
+              placeholderTextColor="#9CA3AF"
+              value={name}
+              onChangeText={setName}
+            />
+
+            {/* Selector de color */}
+            <Text style={styles.label}>Color</Text>
+            <View style={styles.optionsGrid}>
+              {CATEGORY_COLORS.map((option) => (
+                <TouchableOpacity
+                  key={option}
+                  style={[
+                    styles.colorOption,
+                    { backgroundColor: option },
+                    color === option && styles.colorOptionSelected
+                  ]}
+                  onPress={() => setColor(option)}
+                >
+                  {color === option && <Ionicons name="checkmark" size={18} color="#fff" />}
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {/* Selector de ícono */}
+            <Text style={styles.label}>Ícono</Text>
+            <View style={styles.optionsGrid}>
+              {CATEGORY_ICONS.map((option) => (
+                <TouchableOpacity
+                  key={option}
+                  style={[
+                    styles.iconOption,
+                    icon === option && { backgroundColor: color, borderColor: color }
+                  ]}
+                  onPress={() => setIcon(option)}
+                >
+                  <Ionicons name={option} size={20} color={icon === option ? '#fff' : '#6B7280'} />
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {/* Consumos en restaurantes: deducibles solo al 8.5% */}
+            <View style={styles.toggleRow}>
+              <View style={styles.toggleInfo}>
+                <Text style={styles.toggleLabel}>Consumo en restaurantes</Text>
+                <Text style={styles.toggleHint}>
+                  En el informe de deducibles cuenta solo el 8.5%
+                </Text>
+              </View>
+              <Switch
+                value={restaurant}
+                onValueChange={setRestaurant}
+                trackColor={{ true: '#1E3A8A' }}
+              />
+            </View>
+
+            {/* Botón Guardar */}
+            <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
+              <Ionicons name="save-outline" size={20} color="#fff" />
+              <Text style={styles.saveButtonText}>Guardar</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+/**
+ * Estilos del componente
+ */
+const styles = StyleSheet.create({
+  // === Contenedor principal ===
+  container: {
+    flex: 1,
+    backgroundColor: '#E5E7EB',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    padding: 20,
+  },
+
+  // === Secciones ===
+  section: {
+    backgroundColor: '#fff',
+    padding: 20,
+    borderRadius: 12,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#111',
+    marginBottom: 4,
+  },
+  sectionSubtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 16,
+  },
+
+  // === Filas de categorías ===
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+    gap: 12,
+  },
+  categoryIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  categoryInfo: {
+    flex: 1,
+  },
+  categoryName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111',
+  },
+  archivedText: {
+    color: '#9CA3AF',
+  },
+  categoryCount: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  categoryActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  actionIcon: {
+    padding: 6,
+  },
+
+  // === Botón Nueva Categoría ===
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#10B981',
+    padding: 16,
+    borderRadius: 12,
+    gap: 8,
+  },
+  addButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+
+  // === Modal ===
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)', // Fondo oscuro semi-transparente
+    justifyContent: 'flex-end', // Bottom sheet style
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#111',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#F9FAFB',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: '#111',
+    marginBottom: 16,
+  },
+  optionsGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 10,
+    marginBottom: 16,
+  },
+  colorOption: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  colorOptionSelected: {
+    borderWidth: 3,
+    borderColor: '#111',
+  },
+  iconOption: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  toggleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: 12,
+    marginBottom: 16,
+  },
+  toggleInfo: {
+    flex: 1,
+  },
+  toggleLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  toggleHint: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
+  saveButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#1E3A8A',
+    padding: 16,
+    borderRadius: 12,
+    gap: 8,
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '700',
+  },
+});
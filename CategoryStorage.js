@@ -0,0 +1,105 @@
+/**
+ * Almacenamiento de Categorías
+ *
+ * Las categorías son entidades definidas por el usuario y se guardan en
+ * AsyncStorage como un array ordenado:
+ * { id, name, color, icon, archived, restaurant }
+ *
+ * El orden del array es el orden en que se muestran en la app.
+ * Los recibos hacen referencia a la categoría por su nombre, por lo que
+ * renombrar una categoría implica actualizar los recibos (ver ExpenseContext).
+ * Una categoría archivada no se ofrece para gastos nuevos, pero se conserva
+ * para que los totales históricos y los filtros sigan funcionando.
+ * restaurant marca los consumos en restaurantes, que solo son deducibles
+ * en parte (ver Deductibility). Ninguna categoría lo trae activado: el
+ * usuario marca las que correspondan.
+ *
+ * @module CategoryStorage
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Clave de AsyncStorage donde se guardan las categorías
+ */
+export const CATEGORIES_KEY = 'categories';
+
+/**
+ * Colores disponibles para las categorías
+ */
+export const CATEGORY_COLORS = [
+  '#6B7FED',
+  '#A855F7',
+  '#EC4899',
+  '#F59E0B',
+  '#10B981',
+  '#3B82F6',
+  '#EF4444',
+  '#14B8A6',
+  '#F97316',
+  '#6B7280'
+];
+
+/**
+ * Íconos disponibles para las categorías (nombres de Ionicons)
+ */
+export const CATEGORY_ICONS = [
+  'restaurant-outline',
+  'car-outline',
+  'briefcase-outline',
+  'flash-outline',
+  'pricetag-outline',
+  'home-outline',
+  'medkit-outline',
+  'school-outline',
+  'airplane-outline',
+  'cart-outline',
+  'game-controller-outline',
+  'gift-outline'
+];
+
+/**
+ * Color para recibos cuya categoría ya no existe en la lista
+ */
+export const UNKNOWN_CATEGORY_COLOR = '#9CA3AF';
+
+/**
+ * Categorías iniciales (las que la app tenía fijas antes de ser configurables)
+ */
+export const DEFAULT_CATEGORIES = [
+  { id: 'alimentos', name: 'Alimentos', color: '#6B7FED', icon: 'restaurant-outline', archived: false, restaurant: false },
+  { id: 'transporte', name: 'Transporte', color: '#A855F7', icon: 'car-outline', archived: false, restaurant: false },
+  { id: 'equipo-oficina', name: 'Equipo de oficina', color: '#EC4899', icon: 'briefcase-outline', archived: false, restaurant: false },
+  { id: 'servicios', name: 'Servicios', color: '#F59E0B', icon: 'flash-outline', archived: false, restaurant: false },
+  { id: 'otros', name: 'Otros', color: '#10B981', icon: 'pricetag-outline', archived: false, restaurant: false }
+];
+
+/**
+ * Cargar las categorías guardadas
+ *
+ * Las categorías guardadas antes de existir restaurant no lo tienen; se
+ * tratan como no restaurante hasta que el usuario las marque.
+ *
+ * @param {string} [key=CATEGORIES_KEY] - Clave de AsyncStorage
+ * @returns {Promise<Array<Object>>} Categorías en orden (las iniciales si no hay datos)
+ */
+export const loadStoredCategories = async (key = CATEGORIES_KEY) => {
+  const raw = await AsyncStorage.getItem(key);
+  if (!raw) return DEFAULT_CATEGORIES;
+
+  const parsed = JSON.parse(raw);
+  if (!Array.isArray(parsed)) {
+    throw new Error('Formato de categorías desconocido');
+  }
+  return parsed;
+};
+
+/**
+ * Guardar las categorías
+ *
+ * @param {Array<Object>} categories - Categorías en orden
+ * @param {string} [key=CATEGORIES_KEY] - Clave de AsyncStorage
+ */
+export const saveStoredCategories = async (categories, key = CATEGORIES_KEY) => {
+  await AsyncStorage.setItem(key, JSON.stringify(categories));
+};
@@ -0,0 +1,243 @@
+/**
+ * Parser de Facturas Electrónicas (CFDI)
+ *
+ * Convierte el XML de un CFDI versión 3.3 o 4.0 en los datos de un recibo
+ * de tipo 'Factura':
+ * - Emisor (nombre y RFC)
+ * - Fecha de emisión
+ * - Subtotal, impuestos trasladados (IVA e IEPS) y total
+ * - Forma de pago (convertida a los métodos de pago de la app)
+ * - UUID del Timbre Fiscal Digital
+ * - Conceptos como productos
+ *
+ * Es un módulo puro: recibe el contenido del XML como texto.
+ *
+ * @module CfdiParser
+ */
+
+import { XMLParser } from 'fast-xml-parser';
+import { toCents, sumCents } from './Money';
+
+/**
+ * Versiones de CFDI soportadas
+ */
+const SUPPORTED_VERSIONS = ['3.3', '4.0'];
+
+/**
+ * Catálogo c_FormaPago del SAT convertido a los métodos de pago de la app
+ */
+const PAYMENT_METHODS = {
+  '01': 'Efectivo',
+  '03': 'Transferencia',
+  '04': 'Tarjeta de crédito',
+  '28': 'Tarjeta de débito'
+};
+
+/**
+ * Claves de impuesto del SAT
+ */
+const TAX_IVA = '002';
+const TAX_IEPS = '003';
+
+/**
+ * Parser XML configurado para CFDI
+ *
+ * - Elimina los prefijos de namespace (cfdi:, tfd:)
+ * - Expone los atributos sin prefijo
+ * - Conceptos y traslados siempre como arreglos, aunque haya uno solo
+ */
+const xmlParser = new XMLParser({
+  ignoreAttributes: false,
+  attributeNamePrefix: '',
+  removeNSPrefix: true,
+  parseAttributeValue: false,
+  isArray: (name) => ['Concepto', 'Traslado'].includes(name)
+});
+
+/**
+ * Convertir un atributo numérico del CFDI (cantidades, no montos)
+ */
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : 0;
+};
+
+/**
+ * Sumar los traslados de una clave de impuesto
+ *
+ * @param {Array<Object>} traslados - Nodos Traslado del comprobante
+ * @param {string} impuesto - Clave del impuesto (002 IVA, 003 IEPS)
+ * @returns {number} Importe trasladado en centavos
+ */
+const sumTransfers = (traslados, impuesto) => {
+  return sumCents(
+    traslados
+      .filter(t => t.Impuesto === impuesto)
+      .map(t => toCents(t.Importe))
+  );
+};
+
+/**
+ * Obtener la tasa de IVA de un concepto (ver IVA_RATES en Taxes)
+ *
+ * Los conceptos sin traslado de IVA (no objeto de impuesto) se tratan como exentos.
+ *
+ * @param {Object|undefined} traslado - Traslado de IVA del concepto
+ * @returns {string} Clave de la tasa de IVA
+ */
+const toIvaRateKey = (traslado) => {
+  if (!traslado || traslado.TipoFactor === 'Exento') return 'exento';
+  const rate = toNumber(traslado.TasaOCuota);
+  if (rate >= 0.16) return 'general';
+  if (rate > 0) return 'frontera';
+  return 'tasaCero';
+};
+
+/**
+ * Convertir un concepto del CFDI en un producto con su desglose de impuestos
+ *
+ * @param {Object} concepto - Nodo Concepto
+ * @returns {Object} { name, quantity, price, amount, subtotal, ivaRate, iepsRate, iva, ieps }
+ */
+const toProduct = (concepto) => {
+  const trasladosConcepto = concepto.Impuestos?.Traslados?.Traslado || [];
+  const ivaTransfer = trasladosConcepto.find(t => t.Impuesto === TAX_IVA);
+  const iepsTransfer = trasladosConcepto.find(t => t.Impuesto === TAX_IEPS);
+  const subtotal = toCents(concepto.Importe) - toCents(concepto.Descuento || 0);
+
+  // El IEPS por cuota (p. ej. por litro) se expresa como tasa sobre la base
+  let iepsRate = 0;
+  if (iepsTransfer?.TipoFactor === 'Tasa') {
+    iepsRate = toNumber(iepsTransfer.TasaOCuota);
+  } else if (iepsTransfer && toNumber(iepsTransfer.Base) > 0) {
+    iepsRate = toNumber(iepsTransfer.Importe) / toNumber(iepsTransfer.Base);
+  }
+
+  return {
+    name: concepto.Descripcion,
+    quantity: toNumber(concepto.Cantidad) || 1,
+    price: toCents(concepto.ValorUnitario),
+    amount: toCents(concepto.Importe),
+    subtotal,
+    ivaRate: toIvaRateKey(ivaTransfer),
+    iepsRate,
+    iva: ivaTransfer ? toCents(ivaTransfer.Importe || 0) : 0,
+    ieps: iepsTransfer ? toCents(iepsTransfer.Importe || 0) : 0
+  };
+};
+
+/**
+ * Interpretar el XML de un CFDI
+ *
+ * @param {string} xml - Contenido del archivo XML
+ * @returns {Object} Datos del recibo listos para addReceipt:
+ *   { name, rfc, amount, subtotal, iva, ieps, taxesTransferred, date,
+ *     paymentMethod, paymentForm, uuid, cfdiVersion, products, pricesIncludeTax, type }
+ *   Los montos e impuestos se devuelven en centavos; cada producto trae su
+ *   desglose de impuestos (ver Taxes).
+ * @throws {Error} Si el XML no es un CFDI 3.3/4.0, no está timbrado o su fecha no es válida
+ *
+ * @example
+ * const factura = parseCfdiXml(xmlText);
+ * await addReceipt({ ...factura, category: 'Servicios' });
+ */
+export const parseCfdiXml = (xml) => {
+  let document;
+  try {
+    document = xmlParser.parse(xml);
+  } catch (error) {
+    throw new Error('El archivo no es un XML válido');
+  }
+
+  const comprobante = document?.Comprobante;
+  if (!comprobante || !SUPPORTED_VERSIONS.includes(comprobante.Version)) {
+    throw new Error('El archivo no es un CFDI 3.3 o 4.0 válido');
+  }
+
+  const timbre = comprobante.Complemento?.TimbreFiscalDigital;
+  if (!timbre?.UUID) {
+    throw new Error('El CFDI no contiene el Timbre Fiscal Digital (UUID)');
+  }
+
+  // La fecha del CFDI no trae zona horaria: se interpreta como hora local
+  const date = new Date(comprobante.Fecha);
+  if (!comprobante.Fecha || Number.isNaN(date.getTime())) {
+    throw new Error('El CFDI no tiene una fecha de emisión válida');
+  }
+
+  const emisor = comprobante.Emisor || {};
+  const impuestos = comprobante.Impuestos || {};
+  const traslados = impuestos.Traslados?.Traslado || [];
+  const conceptos = comprobante.Conceptos?.Concepto || [];
+
+  return {
+    name: emisor.Nombre || emisor.Rfc || 'Factura',
+    rfc: emisor.Rfc,
+    amount: toCents(comprobante.Total),
+    subtotal: toCents(comprobante.SubTotal),
+    iva: sumTransfers(traslados, TAX_IVA),
+    ieps: sumTransfers(traslados, TAX_IEPS),
+    taxesTransferred: toCents(impuestos.TotalImpuestosTrasladados),
+    date: date.toISOString(),
+    paymentMethod: PAYMENT_METHODS[comprobante.FormaPago] || 'Otro',
+    paymentForm: comprobante.FormaPago,
+    uuid: timbre.UUID.toUpperCase(),
+    cfdiVersion: comprobante.Version,
+    products: conceptos.map(toProduct),
+    // En el CFDI el valor unitario de cada concepto es antes de impuestos
+    pricesIncludeTax: false,
+    type: 'Factura'
+  };
+};
+
+/**
+ * Interpretar el código QR de verificación del SAT
+ *
+ * Las facturas impresas incluyen un QR con la URL de verificación:
+ * https://verificacfdi.facturaelectronica.sat.gob.mx/default.aspx?id=UUID&re=RFC&rr=RFC&tt=TOTAL&fe=SELLO
+ * Los CFDI 3.2 traen solo los parámetros, sin dominio y en otro orden:
+ * ?re=RFC&rr=RFC&tt=0000001234.567890&id=UUID
+ *
+ * @param {string} data - Contenido leído del código QR
+ * @returns {{uuid: string, rfc: string, receiverRfc: string, amount: number}|null}
+ *   Datos de la factura (amount en centavos) o null si el QR no es de verificación
+ *   del SAT o está mal formado
+ *
+ * @example
+ * const qr = parseSatQr(scanningResult.data);
+ * if (qr) console.log(qr.uuid, qr.amount);
+ */
+export const parseSatQr = (data) => {
+  const content = (data || '').trim();
+  const isVerificationUrl = /facturaelectronica\.sat\.gob\.mx/i.test(content);
+  const isCfdi32 = /^\?re=/i.test(content);
+  if (!isVerificationUrl && !isCfdi32) {
+    return null;
+  }
+
+  // URLSearchParams no está completo en React Native: se leen los parámetros a mano
+  const query = content.slice(content.indexOf('?') + 1);
+  const params = {};
+  try {
+    query.split('&').forEach(pair => {
+      const separator = pair.indexOf('=');
+      if (separator === -1) return;
+      const key = pair.slice(0, separator).toLowerCase();
+      params[key] = decodeURIComponent(pair.slice(separator + 1).replace(/\+/g, ' ')).trim();
+    });
+  } catch (error) {
+    // Un escape "%" inválido: el QR está dañado o no es del SAT
+    return null;
+  }
+
+  if (!params.id || !params.re) {
+    return null;
+  }
+
+  return {
+    uuid: params.id.toUpperCase(),
+    rfc: params.re.toUpperCase(),
+    receiverRfc: (params.rr || '').toUpperCase(),
+    amount: toCents(params.tt)
+  };
+};
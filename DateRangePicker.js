@@ -0,0 +1,447 @@
+/**
+ * Selector de Rango de Fechas
+ *
+ * Componente compartido para elegir un periodo de consulta:
+ * - Dos campos (fecha inicial / fecha final) que abren el calendario
+ * - Atajos de periodos comunes (ver DATE_RANGE_PRESETS en Periods)
+ * - Calendario mensual: el primer toque marca el inicio y el segundo el fin
+ * - Botón para limpiar el rango
+ *
+ * Las fechas se entregan con el día completo: inicio a las 00:00 y
+ * fin a las 23:59:59.999.
+ *
+ * @component
+ * @param {Object} props
+ * @param {Date|null} props.startDate - Fecha inicial seleccionada
+ * @param {Date|null} props.endDate - Fecha final seleccionada
+ * @param {Function} props.onChange - Recibe (start, end); ambos null al limpiar
+ * @param {string} [props.startPlaceholder='Fecha inicial'] - Texto sin fecha inicial
+ * @param {string} [props.endPlaceholder='Fecha final'] - Texto sin fecha final
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Modal
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { DATE_RANGE_PRESETS, getPeriodRange, startOfDay, endOfDay } from './Periods';
+
+/**
+ * Encabezados de los días de la semana (las semanas empiezan en lunes)
+ */
+const WEEKDAYS = ['L', 'M', 'M', 'J', 'V', 'S', 'D'];
+
+/**
+ * Construir las semanas de un mes para el calendario
+ *
+ * @param {number} year - Año
+ * @param {number} month - Mes (0 = enero)
+ * @returns {Array<Array<Date|null>>} Semanas de 7 días; null en los huecos
+ */
+const buildMonthWeeks = (year, month) => {
+  const leading = (new Date(year, month, 1).getDay() + 6) % 7;
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+  const cells = Array(leading).fill(null);
+  for (let day = 1; day <= daysInMonth; day++) {
+    cells.push(new Date(year, month, day));
+  }
+  while (cells.length % 7 !== 0) {
+    cells.push(null);
+  }
+
+  const weeks = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7));
+  }
+  return weeks;
+};
+
+/**
+ * Formatear una fecha como "18 oct 2026"
+ */
+const formatDate = (date) => {
+  return date.toLocaleDateString('es-MX', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  });
+};
+
+export default function DateRangePicker({
+  startDate,
+  endDate,
+  onChange,
+  startPlaceholder = 'Fecha inicial',
+  endPlaceholder = 'Fecha final'
+}) {
+  // === Estados del calendario ===
+  const [visible, setVisible] = useState(false);
+  const [draftStart, setDraftStart] = useState(null);
+  const [draftEnd, setDraftEnd] = useState(null);
+  const [visibleMonth, setVisibleMonth] = useState(() => new Date());
+
+  /**
+   * Abrir el calendario con el rango actual
+   */
+  const openPicker = () => {
+    setDraftStart(startDate ? startOfDay(startDate) : null);
+    setDraftEnd(endDate ? startOfDay(endDate) : null);
+    const reference = startDate || new Date();
+    setVisibleMonth(new Date(reference.getFullYear(), reference.getMonth(), 1));
+    setVisible(true);
+  };
+
+  /**
+   * Entregar un rango y cerrar el calendario
+   *
+   * @param {Date|null} start - Fecha inicial
+   * @param {Date|null} end - Fecha final
+   */
+  const applyRange = (start, end) => {
+    onChange(start ? startOfDay(start) : null, end ? endOfDay(end) : null);
+    setVisible(false);
+  };
+
+  /**
+   * Seleccionar un día del calendario
+   *
+   * El primer toque marca el inicio; el segundo marca el fin. Si el segundo
+   * día es anterior al inicio, se toma como nuevo inicio.
+   *
+   * @param {Date} day - Día tocado
+   */
+  const handleDayPress = (day) => {
+    if (!draftStart || draftEnd || day < draftStart) {
+      setDraftStart(day);
+      setDraftEnd(null);
+      return;
+    }
+    setDraftEnd(day);
+  };
+
+  /**
+   * Cambiar el mes visible
+   *
+   * @param {number} offset - -1 para el mes anterior, 1 para el siguiente
+   */
+  const changeMonth = (offset) => {
+    setVisibleMonth(prev => new Date(prev.getFullYear(), prev.getMonth() + offset, 1));
+  };
+
+  /**
+   * Aplicar un atajo de periodo
+   *
+   * @param {string} key - Clave del atajo (ver DATE_RANGE_PRESETS)
+   */
+  const handlePreset = (key) => {
+    const { start, end } = getPeriodRange(key);
+    applyRange(start, end);
+  };
+
+  /**
+   * Obtener el estilo de un día según el rango en edición
+   */
+  const getDayState = (day) => {
+    const time = day.getTime();
+    const isStart = draftStart && time === draftStart.getTime();
+    const isEnd = draftEnd && time === draftEnd.getTime();
+    const inRange = draftStart && draftEnd && time > draftStart.getTime() && time < draftEnd.getTime();
+    return { isEdge: isStart || isEnd, inRange };
+  };
+
+  const weeks = buildMonthWeeks(visibleMonth.getFullYear(), visibleMonth.getMonth());
+  const monthTitle = visibleMonth.toLocaleDateString('es-MX', { month: 'long', year: 'numeric' });
+
+  return (
+    <View>
+      {/* === Campos de fecha === */}
+      <View style={styles.fieldsContainer}>
+        <TouchableOpacity style={styles.field} onPress={openPicker}>
+          <Ionicons name="calendar-outline" size={20} color="#9CA3AF" />
+          <Text style={[styles.fieldText, !startDate && styles.placeholderText]}>
+            {startDate ? formatDate(startDate) : startPlaceholder}
+          </Text>
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.field} onPress={openPicker}>
+          <Ionicons name="calendar-outline" size={20} color="#9CA3AF" />
+          <Text style={[styles.fieldText, !endDate && styles.placeholderText]}>
+            {endDate ? formatDate(endDate) : endPlaceholder}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      {/* === Modal del calendario === */}
+      <Modal
+        visible={visible}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Seleccionar periodo</Text>
+              <TouchableOpacity onPress={() => setVisible(false)}>
+                <Ionicons name="close" size={24} color="#111" />
+              </TouchableOpacity>
+            </View>
+
+            {/* Atajos de periodos */}
+            <ScrollView
+              horizontal
+              showsHorizontalScrollIndicator={false}
+              style={styles.presetsScroll}
+            >
+              {DATE_RANGE_PRESETS.map((preset) => (
+                <TouchableOpacity
+                  key={preset.key}
+                  style={styles.presetChip}
+                  onPress={() => handlePreset(preset.key)}
+                >
+                  <Text style={styles.presetChipText}>{preset.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </ScrollView>
+
+            {/* Navegación entre meses */}
+            <View style={styles.monthHeader}>
+              <TouchableOpacity onPress={() => changeMonth(-1)} style={styles.monthButton}>
+                <Ionicons name="chevron-back" size={22} color="#111" />
+              </TouchableOpacity>
+              <Text style={styles.monthTitle}>{monthTitle}</Text>
+              <TouchableOpacity onPress={() => changeMonth(1)} style={styles.monthButton}>
+                <Ionicons name="chevron-forward" size={22} color="#111" />
+              </TouchableOpacity>
+            </View>
+
+            {/* Días de la semana */}
+            <View style={styles.weekRow}>
+              {WEEKDAYS.map((weekday, index) => (
+                <Text key={index} style={styles.weekdayText}>{weekday}</Text>
+              ))}
+            </View>
+
+            {/* Días del mes */}
+            {weeks.map((week, weekIndex) => (
+              <View key={weekIndex} style={styles.weekRow}>
+                {week.map((day, dayIndex) => {
+                  if (!day) {
+                    return <View key={dayIndex} style={styles.dayCell} />;
+                  }
+                  const { isEdge, inRange } = getDayState(day);
+                  return (
+                    <TouchableOpacity
+                      key={dayIndex}
+                      style={[
+                        styles.dayCell,
+                        inRange && styles.dayInRange,
+                        isEdge && styles.dayEdge
+                      ]}
+                      onPress={() => handleDayPress(day)}
+                    >
+                      <Text style={[styles.dayText, isEdge && styles.dayEdgeText]}>
+                        {day.getDate()}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            ))}
+
+            {/* Rango en edición */}
+            <Text style={styles.selectionText}>
+              {draftStart
+                ? `${formatDate(draftStart)} - ${draftEnd ? formatDate(draftEnd) : 'Selecciona la fecha final'}`
+                : 'Selecciona la fecha inicial'}
+            </Text>
+
+            {/* Acciones */}
+            <View style={styles.actionsContainer}>
+              <TouchableOpacity
+                style={styles.clearButton}
+                onPress={() => applyRange(null, null)}
+              >
+                <Text style={styles.clearButtonText}>Limpiar</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.applyButton, !(draftStart && draftEnd) && styles.applyButtonDisabled]}
+                onPress={() => applyRange(draftStart, draftEnd)}
+                disabled={!(draftStart && draftEnd)}
+              >
+                <Text style={styles.applyButtonText}>Aplicar</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+/**
+ * Estilos del componente
+ */
+const styles = StyleSheet.create({
+  // === Campos de fecha ===
+  fieldsContainer: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  field: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#F9FAFB',
+    padding: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    gap: 8,
+  },
+  fieldText: {
+    fontSize: 16,
+    color: '#111',
+  },
+  placeholderText: {
+    color: '#9CA3AF',
+  },
+
+  // === Modal ===
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)', // Fondo oscuro semi-transparente
+    justifyContent: 'flex-end', // Bottom sheet style
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#111',
+  },
+
+  // === Atajos ===
+  presetsScroll: {
+    flexGrow: 0,
+    marginBottom: 16,
+  },
+  presetChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    backgroundColor: '#F9FAFB',
+    borderRadius: 20,
+    marginRight: 8,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  presetChipText: {
+    fontSize: 14,
+    color: '#1E3A8A',
+    fontWeight: '500',
+  },
+
+  // === Calendario ===
+  monthHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 8,
+  },
+  monthButton: {
+    padding: 6,
+  },
+  monthTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111',
+    textTransform: 'capitalize',
+  },
+  weekRow: {
+    flexDirection: 'row',
+  },
+  weekdayText: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#9CA3AF',
+    paddingVertical: 6,
+  },
+  dayCell: {
+    flex: 1,
+    height: 40,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  dayInRange: {
+    backgroundColor: '#DBEAFE',
+  },
+  dayEdge: {
+    backgroundColor: '#1E3A8A',
+    borderRadius: 20,
+  },
+  dayText: {
+    fontSize: 15,
+    color: '#111',
+  },
+  dayEdgeText: {
+    color: '#fff',
+    fontWeight: '700',
+  },
+  selectionText: {
+    fontSize: 14,
+    color: '#6B7280',
+    textAlign: 'center',
+    marginVertical: 12,
+  },
+
+  // === Acciones ===
+  actionsContainer: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  clearButton: {
+    flex: 1,
+    paddingVertical: 14,
+    alignItems: 'center',
+    backgroundColor: '#F9FAFB',
+    borderRadius: 12,
+  },
+  clearButtonText: {
+    color: '#3B82F6',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  applyButton: {
+    flex: 1,
+    paddingVertical: 14,
+    alignItems: 'center',
+    backgroundColor: '#1E3A8A',
+    borderRadius: 12,
+  },
+  applyButtonDisabled: {
+    backgroundColor: '#9CA3AF',
+  },
+  applyButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
@@ -0,0 +1,124 @@
+/**
+ * Reglas de Deducibilidad (SAT)
+ *
+ * Clasifica cada recibo como deducible, parcialmente deducible o no
+ * deducible para el reporte de deducibles, con las reglas básicas de la
+ * Ley del ISR:
+ * - Solo se deducen gastos amparados por un CFDI (Factura con UUID)
+ * - Los pagos en efectivo mayores a $2,000 no son deducibles
+ *   (Art. 27 fr. III LISR)
+ * - Algunas categorías solo son deducibles en parte, como los consumos en
+ *   restaurantes (8.5%, Art. 28 fr. XX LISR)
+ *
+ * El IVA acreditable sigue la misma proporción que la deducción del gasto.
+ * Todos los montos están en centavos.
+ *
+ * @module Deductibility
+ */
+
+import { toCents, sumCents, multiplyCents } from './Money';
+
+/**
+ * Monto máximo pagado en efectivo que se puede deducir (centavos)
+ */
+export const CASH_DEDUCTION_LIMIT = toCents(2000);
+
+/**
+ * Proporción deducible de las categorías marcadas como restaurante
+ * (restaurant en CategoryStorage)
+ *
+ * Las demás categorías son deducibles al 100%.
+ */
+export const RESTAURANT_DEDUCTION_RULE = {
+  rate: 0.085,
+  reason: 'Consumo en restaurantes: deducible solo al 8.5%'
+};
+
+/**
+ * Etiquetas de cada clasificación
+ */
+export const DEDUCTIBILITY_LABELS = {
+  deductible: 'Deducible',
+  partial: 'Parcialmente deducible',
+  nonDeductible: 'No deducible'
+};
+
+/**
+ * Clasificar un recibo
+ *
+ * Se revisan todas las reglas para listar todos los motivos de exclusión,
+ * no solo el primero.
+ *
+ * @param {Object} receipt - Recibo a clasificar
+ * @param {Array<Object>} categoryList - Categorías configuradas (para saber si es restaurante)
+ * @returns {{status: 'deductible'|'partial'|'nonDeductible', deductibleAmount: number,
+ *   creditableIva: number, reasons: Array<string>}} Clasificación del recibo
+ */
+export const classifyReceipt = (receipt, categoryList) => {
+  const reasons = [];
+  let rate = 1;
+
+  if (receipt.type !== 'Factura' || !receipt.uuid) {
+    reasons.push('Sin factura electrónica (CFDI con UUID)');
+    rate = 0;
+  }
+
+  if (receipt.paymentMethod === 'Efectivo' && receipt.amount > CASH_DEDUCTION_LIMIT) {
+    reasons.push('Pago en efectivo mayor a $2,000');
+    rate = 0;
+  }
+
+  const category = categoryList.find(cat => cat.name === receipt.category);
+  const rule = category?.restaurant ? RESTAURANT_DEDUCTION_RULE : null;
+  if (rule) {
+    reasons.push(rule.reason);
+    rate = Math.min(rate, rule.rate);
+  }
+
+  let status = 'partial';
+  if (rate === 0) {
+    status = 'nonDeductible';
+  } else if (rate === 1) {
+    status = 'deductible';
+  }
+
+  // La deducción es sobre el importe sin IVA; el IVA se acredita aparte
+  const iva = receipt.iva || 0;
+  return {
+    status,
+    deductibleAmount: multiplyCents(receipt.amount - iva, rate),
+    creditableIva: multiplyCents(iva, rate),
+    reasons
+  };
+};
+
+/**
+ * Construir el reporte de deducibles
+ *
+ * @param {Array<Object>} receipts - Recibos del periodo
+ * @param {Array<Object>} categoryList - Categorías configuradas
+ * @returns {Object} { items, deductibleTotal, creditableIva, nonDeductibleTotal, counts }
+ *   donde items es [{ receipt, status, deductibleAmount, creditableIva, reasons }]
+ *
+ * @example
+ * const { deductibleTotal, creditableIva } = buildDeductibilityReport(receipts, categoryList);
+ */
+export const buildDeductibilityReport = (receipts, categoryList) => {
+  const items = receipts.map(receipt => ({
+    receipt,
+    ...classifyReceipt(receipt, categoryList)
+  }));
+
+  const deductibleTotal = sumCents(items.map(item => item.deductibleAmount));
+  const creditableIva = sumCents(items.map(item => item.creditableIva));
+  const counts = { deductible: 0, partial: 0, nonDeductible: 0 };
+  items.forEach(item => { counts[item.status]++; });
+
+  return {
+    items,
+    deductibleTotal,
+    creditableIva,
+    nonDeductibleTotal: sumCents(receipts.map(r => r.amount)) - deductibleTotal - creditableIva,
+    counts
+  };
+};
@@ -0,0 +1,40 @@
+/**
+ * Ingresos y Depósitos
+ *
+ * Los ingresos se guardan junto con los recibos, con type 'Deposit' y un
+ * origen (source) en lugar de categoría, productos e impuestos:
+ * { name, amount, date, type: 'Deposit', source, status }
+ *
+ * No cuentan como gasto: los totales, promedios, categorías y presupuestos
+ * de ExpenseContext los excluyen, y se suman aparte como ingresos.
+ *
+ * @module Deposits
+ */
+
+/**
+ * Tipo de los registros de ingreso
+ */
+export const DEPOSIT_TYPE = 'Deposit';
+
+/**
+ * Nombre con el que se muestran los ingresos en filtros y etiquetas
+ */
+export const DEPOSIT_LABEL = 'Ingreso';
+
+/**
+ * Orígenes de ingreso disponibles
+ */
+export const DEPOSIT_SOURCES = [
+  'Reembolso',
+  'Reintegro de gastos',
+  'Salario',
+  'Otro ingreso'
+];
+
+/**
+ * Saber si un registro es un ingreso
+ *
+ * @param {Object} receipt - Recibo o ingreso guardado
+ * @returns {boolean} true si es un ingreso o depósito
+ */
+export const isDeposit = (receipt) => receipt.type === DEPOSIT_TYPE;
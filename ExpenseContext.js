@@ -3,16 +3,64 @@
  * 
  * Este archivo implementa un Context de React para gestionar el estado global
  * de los recibos y gastos en toda la aplicación. Proporciona funciones para:
- * - Agregar, actualizar y eliminar recibos
+ * - Agregar, actualizar y eliminar recibos (los eliminados van a la papelera, ver TrashStorage)
+ * - Registrar el historial de cambios de cada recibo (ver ReceiptHistory)
  * - Calcular estadísticas de gastos por categoría
- * - Persistir datos en AsyncStorage
+ * - Registrar ingresos y depósitos, que no cuentan como gasto (ver Deposits)
+ * - Administrar las categorías definidas por el usuario (ver CategoryStorage)
+ * - Definir presupuestos mensuales y evaluar el gasto contra ellos (ver BudgetStorage)
+ * - Generar los recibos de los gastos recurrentes (ver RecurringExpenses)
+ * - Persistir datos en AsyncStorage (con formato versionado, ver ReceiptStorage)
+ * - Separar los datos de cada usuario y recargarlos al cambiar de cuenta (ver UserStorage)
+ * - Guardar y limpiar las imágenes asociadas a los recibos
  * - Consultar recibos por diferentes criterios
  * 
+ * Todos los montos se manejan como enteros en centavos (ver Money).
+ * 
  * @module ExpenseContext
  */
 
-import React, { createContext, useState, useContext, useEffect } from 'react';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import React, { createContext, useState, useContext, useEffect, useRef } from 'react';
+import { loadStoredReceipts, saveStoredReceipts } from './ReceiptStorage';
+import {
+  saveReceiptImage,
+  deleteReceiptImage,
+  deleteUserImages,
+  collectOrphanImages
+} from './ReceiptImageStore';
+import { sumCents, divideCents, toPercentages } from './Money';
+import {
+  loadStoredCategories,
+  saveStoredCategories,
+  DEFAULT_CATEGORIES,
+  CATEGORY_COLORS,
+  UNKNOWN_CATEGORY_COLOR
+} from './CategoryStorage';
+import {
+  loadStoredBudgets,
+  saveStoredBudgets,
+  getMonthKey,
+  getBudgetForMonth,
+  getBudgetStatus
+} from './BudgetStorage';
+import { isDeposit } from './Deposits';
+import {
+  loadStoredRecurringRules,
+  saveStoredRecurringRules,
+  collectDueReceipts,
+  rescheduleRecurringRule,
+  RECURRING_FREQUENCIES
+} from './RecurringExpenses';
+import { loadStoredTrash, saveStoredTrash, splitExpired } from './TrashStorage';
+import { applyTrackedChanges, getHistoryUser } from './ReceiptHistory';
+import {
+  getUserStorageKeys,
+  claimLegacyData,
+  hasLegacyData,
+  deleteLegacyData,
+  clearUserData
+} from './UserStorage';
+import { getSession, addSessionListener } from './AuthService';
 
 // Crear el contexto
 const ExpenseContext = createContext();
@@ -53,6 +101,13 @@ export const useExpense = () => {
 export const ExpenseProvider = ({ children }) => {
   // === Estados principales ===
   
+  /**
+   * ID del usuario de la sesión; sus datos se guardan con claves propias
+   * (ver UserStorage). undefined mientras se lee la sesión, null sin sesión
+   * @type {string|null|undefined}
+   */
+  const [userId, setUserId] = useState(undefined);
+
   /**
    * Array de todos los recibos/gastos
    * @type {Array<Object>}
@@ -60,16 +115,43 @@ export const ExpenseProvider = ({ children }) => {
   const [receipts, setReceipts] = useState([]);
   
   /**
-   * Array de categorías con sus montos y porcentajes calculados
+   * Categorías definidas por el usuario, en el orden en que se muestran
+   * Cada una tiene: id, name, color, icon, archived
+   * @type {Array<Object>}
+   */
+  const [categoryList, setCategoryList] = useState(DEFAULT_CATEGORIES);
+
+  /**
+   * Array de categorías con sus montos (en centavos) y porcentajes calculados
+   * Incluye las categorías activas y las archivadas que tienen gastos
    * @type {Array<Object>}
    */
-  const [categories, setCategories] = useState([
-    { name: 'Alimentos', percentage: 0, amount: 0, color: '#6B7FED' },
-    { name: 'Transporte', percentage: 0, amount: 0, color: '#A855F7' },
-    { name: 'Equipo de oficina', percentage: 0, amount: 0, color: '#EC4899' },
-    { name: 'Servicios', percentage: 0, amount: 0, color: '#F59E0B' },
-    { name: 'Otros', percentage: 0, amount: 0, color: '#10B981' }
-  ]);
+  const [categories, setCategories] = useState([]);
+
+  /**
+   * Historial de cambios de presupuestos mensuales (ver BudgetStorage)
+   * @type {Array<Object>}
+   */
+  const [budgetHistory, setBudgetHistory] = useState([]);
+
+  /**
+   * Reglas de gastos recurrentes (ver RecurringExpenses)
+   * @type {Array<Object>}
+   */
+  const [recurringRules, setRecurringRules] = useState([]);
+
+  /**
+   * Recibos en la papelera, del eliminado más reciente al más antiguo
+   * Cada uno conserva sus datos y agrega deletedAt
+   * @type {Array<Object>}
+   */
+  const [trash, setTrash] = useState([]);
+
+  /**
+   * Última eliminación que se puede deshacer (la muestra UndoSnackbar)
+   * @type {{ids: Array<number>, message: string}|null}
+   */
+  const [pendingUndo, setPendingUndo] = useState(null);
   
   /**
    * Estado de carga para operaciones asíncronas
@@ -78,41 +160,273 @@ export const ExpenseProvider = ({ children }) => {
   const [loading, setLoading] = useState(true);
 
   /**
-   * Efecto: Cargar recibos desde AsyncStorage al montar el componente
+   * Error al cargar o migrar los recibos guardados
+   * Mientras exista, no se permite guardar para no sobrescribir los datos originales
+   * @type {Error|null}
+   */
+  const [storageError, setStorageError] = useState(null);
+
+  /**
+   * Hay datos de una versión sin cuentas que no son del usuario actual
+   * (ver claimLegacyData); se le ofrece borrarlos
+   * @type {boolean}
+   */
+  const [unclaimedLegacyData, setUnclaimedLegacyData] = useState(false);
+
+  // Claves de AsyncStorage del usuario actual
+  const storageKeys = userId ? getUserStorageKeys(userId) : null;
+
+  /**
+   * Usuario cuyos datos están cargados
+   * 
+   * Cada función ve el userId del render en que se creó. Una carga o un
+   * guardado que termina después de cambiar de cuenta compara contra esta
+   * referencia para descartar su resultado (ver isActiveUser).
+   */
+  const activeUserIdRef = useRef(undefined);
+
+  /**
+   * Efecto: Seguir al usuario de la sesión
+   * 
+   * Al montar se lee la sesión actual y después se escuchan los cambios
+   * de usuario (inicio de sesión con otra cuenta, cierre de sesión).
    */
   useEffect(() => {
-    loadReceipts();
+    getSession()
+      .then(session => setUserId(session?.user.id ?? null))
+      .catch(error => {
+        console.error('Error al leer la sesión:', error);
+        setUserId(null);
+      });
+    return addSessionListener(user => setUserId(user?.id ?? null));
   }, []);
 
+  /**
+   * Efecto: Cargar los datos del usuario cada vez que cambia
+   * 
+   * Los datos del usuario anterior se descartan de la memoria (siguen
+   * guardados en sus propias claves). Sin sesión, el estado queda vacío.
+   */
+  useEffect(() => {
+    activeUserIdRef.current = userId;
+    if (userId === undefined) return;
+    resetUserState();
+    if (!userId) {
+      setLoading(false);
+      return;
+    }
+    loadUserData(userId);
+  }, [userId]);
+
   /**
    * Efecto: Recalcular categorías cuando los recibos cambien
    * 
-   * Cada vez que se agregan, actualizan o eliminan recibos,
-   * se recalculan automáticamente los totales y porcentajes por categoría.
+   * Cada vez que se agregan, actualizan o eliminan recibos (o se modifican
+   * las categorías), se recalculan automáticamente los totales y porcentajes.
    */
   useEffect(() => {
     calculateCategories();
-  }, [receipts]);
+  }, [receipts, categoryList]);
+
+  /**
+   * Obtener las claves de AsyncStorage del usuario actual
+   * 
+   * @returns {Object} Claves del usuario (ver getUserStorageKeys)
+   * @throws {Error} Si no hay una sesión iniciada
+   */
+  const requireStorageKeys = () => {
+    if (!storageKeys) {
+      throw new Error('No hay una sesión iniciada');
+    }
+    if (!isActiveUser()) {
+      throw new Error('La sesión cambió de usuario');
+    }
+    return storageKeys;
+  };
+
+  /**
+   * Saber si el usuario de este render sigue siendo el de la sesión
+   * 
+   * Se revisa después de cada espera, antes de actualizar el estado: si
+   * cambió, el resultado es del usuario anterior y se descarta.
+   * 
+   * @returns {boolean} true si no se ha cambiado de cuenta
+   */
+  const isActiveUser = () => activeUserIdRef.current === userId;
+
+  /**
+   * Vaciar el estado en memoria (al cambiar de usuario o borrar sus datos)
+   */
+  const resetUserState = () => {
+    setReceipts([]);
+    setCategoryList(DEFAULT_CATEGORIES);
+    setBudgetHistory([]);
+    setRecurringRules([]);
+    setTrash([]);
+    setPendingUndo(null);
+    setStorageError(null);
+    setUnclaimedLegacyData(false);
+  };
+
+  /**
+   * Cargar todos los datos de un usuario
+   * 
+   * Si en el dispositivo quedan datos de una versión sin cuentas y son de
+   * este usuario, se le asignan primero (ver claimLegacyData).
+   * 
+   * @param {string} id - ID del usuario
+   */
+  const loadUserData = async (id) => {
+    setLoading(true);
+    try {
+      const session = await getSession();
+      if (session?.user.id === id) {
+        await claimLegacyData(session.user);
+      }
+      const pendingLegacyData = await hasLegacyData();
+      if (!isActiveUser()) return;
+      setUnclaimedLegacyData(pendingLegacyData);
+    } catch (error) {
+      console.error('Error al asignar los datos anteriores al usuario:', error);
+    }
+    if (!isActiveUser()) return;
+    loadCategories();
+    loadBudgets();
+    loadReceipts();
+  };
+
+  /**
+   * Cargar categorías desde AsyncStorage
+   * 
+   * Si no hay categorías guardadas se usan las iniciales.
+   */
+  const loadCategories = async () => {
+    try {
+      const storedCategories = await loadStoredCategories(requireStorageKeys().categories);
+      if (!isActiveUser()) return;
+      setCategoryList(storedCategories);
+    } catch (error) {
+      console.error('Error al cargar categorías:', error);
+    }
+  };
+
+  /**
+   * Cargar el historial de presupuestos desde AsyncStorage
+   */
+  const loadBudgets = async () => {
+    try {
+      const storedBudgets = await loadStoredBudgets(requireStorageKeys().budgets);
+      if (!isActiveUser()) return;
+      setBudgetHistory(storedBudgets);
+    } catch (error) {
+      console.error('Error al cargar presupuestos:', error);
+    }
+  };
 
   /**
    * Cargar recibos desde AsyncStorage
    * 
    * Lee los recibos almacenados localmente y los carga en el estado.
+   * Si los datos son de una versión anterior, se migran al formato actual.
    * Si no hay datos almacenados, el array de recibos queda vacío.
+   * Después de cargar, genera los gastos recurrentes vencidos, vacía de la
+   * papelera los recibos vencidos y elimina las imágenes que ya no pertenecen
+   * a ningún recibo (ni de la lista ni de la papelera).
    */
   const loadReceipts = async () => {
     try {
-      const storedReceipts = await AsyncStorage.getItem('receipts');
-      if (storedReceipts) {
-        setReceipts(JSON.parse(storedReceipts));
+      const storedReceipts = await loadStoredReceipts(requireStorageKeys().receipts);
+      if (!isActiveUser()) return;
+      setReceipts(storedReceipts);
+      setStorageError(null);
+      await loadRecurringRules(storedReceipts);
+      const storedTrash = await loadTrash();
+      // Sin la papelera no se sabe qué imágenes siguen en uso
+      if (storedTrash) {
+        await collectOrphanImages([...storedReceipts, ...storedTrash], userId);
       }
     } catch (error) {
       console.error('Error al cargar recibos:', error);
+      if (isActiveUser()) setStorageError(error);
     } finally {
-      setLoading(false);
+      // La carga del usuario nuevo controla su propio indicador
+      if (isActiveUser()) setLoading(false);
+    }
+  };
+
+  /**
+   * Cargar la papelera y eliminar definitivamente los recibos vencidos
+   * 
+   * Las imágenes de los recibos vencidos quedan huérfanas y se eliminan
+   * después con collectOrphanImages.
+   * 
+   * @returns {Promise<Array<Object>|null>} Recibos que siguen en la papelera,
+   *   o null si no se pudo cargar
+   */
+  const loadTrash = async () => {
+    try {
+      const { kept, expired } = splitExpired(await loadStoredTrash(requireStorageKeys().trash));
+      if (expired.length > 0) {
+        await saveStoredTrash(kept, requireStorageKeys().trash);
+      }
+      if (!isActiveUser()) return null;
+      setTrash(kept);
+      return kept;
+    } catch (error) {
+      console.error('Error al cargar la papelera:', error);
+      return null;
     }
   };
 
+  /**
+   * Cargar las reglas de gastos recurrentes y generar sus recibos vencidos
+   * 
+   * Se llama al iniciar la app, después de cargar los recibos. Genera todas
+   * las ocurrencias que vencieron desde la última vez, aunque la app haya
+   * estado cerrada varios periodos. Si falla, los recibos ya cargados se
+   * conservan.
+   * 
+   * @param {Array<Object>} storedReceipts - Recibos recién cargados
+   */
+  const loadRecurringRules = async (storedReceipts) => {
+    try {
+      const storedRules = await loadStoredRecurringRules(requireStorageKeys().recurringRules);
+      if (!isActiveUser()) return;
+      setRecurringRules(storedRules);
+      await generateRecurringReceipts(storedRules, storedReceipts);
+    } catch (error) {
+      console.error('Error al generar gastos recurrentes:', error);
+    }
+  };
+
+  /**
+   * Generar los recibos vencidos de las reglas recurrentes
+   * 
+   * Función privada. Los recibos se guardan antes que las reglas: si el
+   * guardado se interrumpe, collectDueReceipts evita duplicarlos después.
+   * 
+   * @param {Array<Object>} rules - Todas las reglas
+   * @param {Array<Object>} currentReceipts - Recibos actuales
+   * @returns {Promise<number>} Número de recibos generados
+   */
+  const generateRecurringReceipts = async (rules, currentReceipts) => {
+    const { rules: updatedRules, receipts: generated } = collectDueReceipts(rules, currentReceipts);
+    if (generated.length > 0) {
+      const baseId = Date.now(); // IDs consecutivos para no repetir el timestamp
+      const newReceipts = generated.map((receipt, index) => ({
+        ...receipt,
+        id: baseId + index,
+        status: 'Procesado',
+        history: []
+      }));
+      await saveReceipts([...newReceipts, ...currentReceipts]);
+    }
+    if (updatedRules.some((rule, index) => rule !== rules[index])) {
+      await saveRecurringRules(updatedRules);
+    }
+    return generated.length;
+  };
+
   /**
    * Guardar recibos en AsyncStorage
    * 
@@ -120,12 +434,15 @@ export const ExpenseProvider = ({ children }) => {
    * Esta función es privada y es llamada por las funciones públicas del contexto.
    * 
    * @param {Array<Object>} newReceipts - Array de recibos a guardar
-   * @throws {Error} Si falla el guardado en AsyncStorage
+   * @throws {Error} Si falla el guardado en AsyncStorage o los datos guardados no se pudieron cargar
    */
   const saveReceipts = async (newReceipts) => {
+    if (storageError) {
+      throw new Error('No se puede guardar: los recibos almacenados no se pudieron cargar');
+    }
     try {
-      await AsyncStorage.setItem('receipts', JSON.stringify(newReceipts));
-      setReceipts(newReceipts);
+      await saveStoredReceipts(newReceipts, requireStorageKeys().receipts);
+      if (isActiveUser()) setReceipts(newReceipts);
     } catch (error) {
       console.error('Error al guardar recibos:', error);
       throw error;
@@ -136,39 +453,107 @@ export const ExpenseProvider = ({ children }) => {
    * Agregar un nuevo recibo
    * 
    * Crea un nuevo recibo con ID único basado en timestamp,
-   * fecha actual y estado 'Procesado' por defecto.
+   * la fecha indicada (o la actual si no se indica) y estado 'Procesado' por defecto.
    * El nuevo recibo se agrega al inicio del array.
+   * Si incluye una imagen, se copia al almacenamiento durable de la app.
    * 
    * @param {Object} receipt - Datos del recibo a agregar
    * @param {string} receipt.name - Nombre del comerciante
-   * @param {number} receipt.amount - Monto total
+   * @param {number} receipt.amount - Monto total en centavos
    * @param {string} receipt.category - Categoría del gasto
+   * @param {string} [receipt.date] - Fecha del gasto en formato ISO (opcional)
    * @param {string} [receipt.paymentMethod] - Método de pago (opcional)
    * @param {Array} [receipt.products] - Lista de productos (opcional)
+   * @param {string} [receipt.imageUri] - URI temporal de la foto del ticket (opcional)
+   * @returns {Promise<Object>} Recibo creado (con id, fecha y estado)
    * 
    * @example
    * await addReceipt({
    *   name: 'Supermercado',
-   *   amount: 150.50,
+   *   amount: 15050,
    *   category: 'Alimentos',
    *   paymentMethod: 'Tarjeta de crédito'
    * });
    */
   const addReceipt = async (receipt) => {
+    const id = Date.now(); // ID único basado en timestamp
     const newReceipt = {
       ...receipt,
-      id: Date.now(), // ID único basado en timestamp
-      date: new Date().toISOString(), // Fecha actual en formato ISO
-      status: 'Procesado'
+      id,
+      date: receipt.date || new Date().toISOString(), // Fecha del ticket o la actual
+      status: 'Procesado',
+      imageUri: await persistImage(receipt.imageUri, id),
+      history: []
     };
     const updatedReceipts = [newReceipt, ...receipts]; // Agregar al inicio
     await saveReceipts(updatedReceipts);
+    return newReceipt;
+  };
+
+  /**
+   * Copiar la imagen de un recibo al almacenamiento durable
+   * 
+   * Si la copia falla, el recibo se guarda sin imagen en lugar de
+   * perder el gasto completo.
+   * 
+   * @param {string} [imageUri] - URI de la imagen a guardar
+   * @param {number} receiptId - ID del recibo dueño de la imagen
+   * @returns {Promise<string|undefined>} URI durable o undefined si no hay imagen
+   */
+  const persistImage = async (imageUri, receiptId) => {
+    if (!imageUri) return undefined;
+    try {
+      return await saveReceiptImage(imageUri, receiptId, userId);
+    } catch (error) {
+      console.error('Error al guardar imagen del recibo:', error);
+      return undefined;
+    }
+  };
+
+  /**
+   * Guardar la papelera en AsyncStorage
+   * 
+   * Función privada, llamada por las funciones de la papelera.
+   * 
+   * @param {Array<Object>} newTrash - Recibos eliminados
+   * @throws {Error} Si falla el guardado en AsyncStorage
+   */
+  const saveTrash = async (newTrash) => {
+    try {
+      await saveStoredTrash(newTrash, requireStorageKeys().trash);
+      if (isActiveUser()) setTrash(newTrash);
+    } catch (error) {
+      console.error('Error al guardar la papelera:', error);
+      throw error;
+    }
+  };
+
+  /**
+   * Mover recibos a la papelera
+   * 
+   * Función privada. La papelera se guarda antes que la lista de recibos
+   * para que un guardado interrumpido no pierda ningún recibo. La
+   * eliminación queda disponible para deshacer (ver pendingUndo).
+   * 
+   * @param {Array<Object>} toDelete - Recibos a eliminar
+   * @param {string} message - Mensaje para el aviso de deshacer
+   */
+  const moveToTrash = async (toDelete, message) => {
+    const ids = toDelete.map(r => r.id);
+    const deletedAt = new Date().toISOString();
+    await saveTrash([
+      ...toDelete.map(r => ({ ...r, deletedAt })),
+      ...trash.filter(entry => !ids.includes(entry.id))
+    ]);
+    await saveReceipts(receipts.filter(r => !ids.includes(r.id)));
+    setPendingUndo({ ids, message });
   };
 
   /**
    * Eliminar un recibo por ID
    * 
-   * Filtra el recibo especificado del array y guarda el resultado.
+   * El recibo se mueve a la papelera, donde se conserva (con su imagen)
+   * durante TRASH_RETENTION_DAYS días antes de eliminarse definitivamente.
    * 
    * @param {number} id - ID del recibo a eliminar
    * 
@@ -176,8 +561,84 @@ export const ExpenseProvider = ({ children }) => {
    * await deleteReceipt(1234567890);
    */
   const deleteReceipt = async (id) => {
-    const updatedReceipts = receipts.filter(r => r.id !== id);
-    await saveReceipts(updatedReceipts);
+    const receipt = receipts.find(r => r.id === id);
+    if (!receipt) return;
+    await moveToTrash([receipt], 'Recibo movido a la papelera');
+  };
+
+  /**
+   * Restaurar recibos de la papelera
+   * 
+   * Los recibos restaurados vuelven al inicio de la lista. Se guardan antes
+   * de quitarlos de la papelera; si un recibo ya está en la lista (por un
+   * guardado interrumpido), no se duplica.
+   * 
+   * @param {Array<number>} ids - IDs de los recibos a restaurar
+   * 
+   * @example
+   * await restoreReceipts([1234567890]);
+   */
+  const restoreReceipts = async (ids) => {
+    const existingIds = receipts.map(r => r.id);
+    const restored = trash
+      .filter(entry => ids.includes(entry.id) && !existingIds.includes(entry.id))
+      .map(entry => {
+        const receipt = { ...entry };
+        delete receipt.deletedAt;
+        return receipt;
+      });
+    if (restored.length > 0) {
+      await saveReceipts([...restored, ...receipts]);
+    }
+    await saveTrash(trash.filter(entry => !ids.includes(entry.id)));
+    setPendingUndo(current =>
+      current && current.ids.some(id => ids.includes(id)) ? null : current
+    );
+  };
+
+  /**
+   * Eliminar definitivamente recibos de la papelera
+   * 
+   * También elimina sus imágenes. Esta acción no se puede deshacer.
+   * 
+   * @param {Array<number>} ids - IDs de los recibos a eliminar
+   */
+  const purgeReceipts = async (ids) => {
+    const purged = trash.filter(entry => ids.includes(entry.id));
+    await saveTrash(trash.filter(entry => !ids.includes(entry.id)));
+    for (const entry of purged) {
+      if (entry.imageUri) {
+        await deleteReceiptImage(entry.imageUri);
+      }
+    }
+  };
+
+  /**
+   * Vaciar la papelera
+   * 
+   * Elimina definitivamente todos los recibos de la papelera y sus imágenes.
+   */
+  const emptyTrash = async () => {
+    await purgeReceipts(trash.map(entry => entry.id));
+  };
+
+  /**
+   * Deshacer la última eliminación
+   * 
+   * Restaura los recibos de pendingUndo y oculta el aviso.
+   */
+  const undoLastDeletion = async () => {
+    if (!pendingUndo) return;
+    await restoreReceipts(pendingUndo.ids);
+  };
+
+  /**
+   * Ocultar el aviso de deshacer sin restaurar
+   * 
+   * Los recibos siguen en la papelera.
+   */
+  const dismissUndo = () => {
+    setPendingUndo(null);
   };
 
   /**
@@ -185,69 +646,171 @@ export const ExpenseProvider = ({ children }) => {
    * 
    * Busca el recibo por ID y actualiza sus datos con los proporcionados.
    * Los datos no especificados en updatedData se mantienen sin cambios.
+   * Cada campo que cambia se agrega al historial del recibo con el valor
+   * anterior, el nuevo, la fecha y el usuario.
+   * Si se reemplaza la imagen, la nueva se guarda y la anterior se elimina.
    * 
    * @param {number} id - ID del recibo a actualizar
    * @param {Object} updatedData - Datos a actualizar (spread sobre el recibo existente)
    * 
    * @example
    * await updateReceipt(1234567890, {
-   *   amount: 200,
+   *   amount: 20000,
    *   category: 'Transporte'
    * });
    */
   const updateReceipt = async (id, updatedData) => {
+    const previous = receipts.find(r => r.id === id);
+    const data = { ...updatedData };
+    const imageChanged = 'imageUri' in data && data.imageUri !== previous?.imageUri;
+    if (imageChanged) {
+      data.imageUri = await persistImage(data.imageUri, id);
+    }
+
+    const user = await getHistoryUser();
     const updatedReceipts = receipts.map(r => 
-      r.id === id ? { ...r, ...updatedData } : r
+      r.id === id ? applyTrackedChanges(r, data, user) : r
     );
     await saveReceipts(updatedReceipts);
+
+    if (imageChanged && previous?.imageUri && previous.imageUri !== data.imageUri) {
+      await deleteReceiptImage(previous.imageUri);
+    }
   };
 
   /**
    * Calcular totales y porcentajes por categoría
    * 
-   * Recorre todos los recibos y calcula:
+   * Actualiza el estado 'categories' con el desglose de todos los recibos.
+   */
+  const calculateCategories = () => {
+    setCategories(getCategoryBreakdown());
+  };
+
+  /**
+   * Obtener los recibos de un periodo
+   * 
+   * Función privada usada por las funciones de consulta que aceptan un
+   * rango opcional. Sin rango, devuelve todos los recibos.
+   * 
+   * @param {Date} [startDate] - Fecha inicial del rango
+   * @param {Date} [endDate] - Fecha final del rango
+   * @returns {Array<Object>} Recibos del periodo
+   */
+  const getReceiptsInPeriod = (startDate, endDate) => {
+    return startDate && endDate ? getReceiptsByDateRange(startDate, endDate) : receipts;
+  };
+
+  /**
+   * Obtener los gastos de un periodo (sin ingresos ni depósitos)
+   * 
+   * Función privada usada por los totales, promedios y desgloses de gasto.
+   * 
+   * @param {Date} [startDate] - Fecha inicial del rango
+   * @param {Date} [endDate] - Fecha final del rango
+   * @returns {Array<Object>} Recibos de gasto del periodo
+   */
+  const getExpensesInPeriod = (startDate, endDate) => {
+    return getReceiptsInPeriod(startDate, endDate).filter(r => !isDeposit(r));
+  };
+
+  /**
+   * Obtener el desglose de gastos por categoría
+   * 
+   * Recorre los recibos del periodo y calcula:
    * - Monto total por categoría
-   * - Porcentaje de cada categoría respecto al total
+   * - Porcentaje de cada categoría respecto al total (siempre suman 100)
+   * 
+   * Las categorías archivadas solo aparecen si tienen gastos, y los recibos
+   * con una categoría que ya no existe se agrupan bajo su nombre, para que
+   * los totales históricos no cambien.
+   * 
+   * @param {Date} [startDate] - Fecha inicial del periodo (todos los recibos si se omite)
+   * @param {Date} [endDate] - Fecha final del periodo
+   * @returns {Array<Object>} Categorías con amount (centavos) y percentage
    * 
-   * Actualiza el estado 'categories' con los valores calculados.
+   * @example
+   * const { start, end } = getPeriodRange('month');
+   * const breakdown = getCategoryBreakdown(start, end);
    */
-  const calculateCategories = () => {
-    // Calcular monto total de todos los recibos
-    const total = receipts.reduce((sum, r) => sum + r.amount, 0);
-    
+  const getCategoryBreakdown = (startDate, endDate) => {
     // Objeto para acumular totales por categoría
     const categoryTotals = {};
 
     // Sumar montos por cada categoría
-    receipts.forEach(receipt => {
-      if (!categoryTotals[receipt.category]) {
-        categoryTotals[receipt.category] = 0;
+    getExpensesInPeriod(startDate, endDate).forEach(receipt => {
+      const name = receipt.category || getDefaultCategory();
+      if (!categoryTotals[name]) {
+        categoryTotals[name] = 0;
       }
-      categoryTotals[receipt.category] += receipt.amount;
+      categoryTotals[name] += receipt.amount;
     });
 
-    // Actualizar categorías con montos y porcentajes calculados
-    const updatedCategories = categories.map(cat => ({
+    // Categorías de recibos que no están en la lista
+    const knownNames = categoryList.map(cat => cat.name);
+    const unknownCategories = Object.keys(categoryTotals)
+      .filter(name => !knownNames.includes(name))
+      .map(name => ({
+        id: name,
+        name,
+        color: UNKNOWN_CATEGORY_COLOR,
+        icon: 'help-circle-outline',
+        archived: true
+      }));
+
+    const visibleCategories = [...categoryList, ...unknownCategories]
+      .filter(cat => !cat.archived || categoryTotals[cat.name]);
+
+    // Completar categorías con montos y porcentajes calculados
+    const amounts = visibleCategories.map(cat => categoryTotals[cat.name] || 0);
+    const percentages = toPercentages(amounts);
+    return visibleCategories.map((cat, index) => ({
       ...cat,
-      amount: categoryTotals[cat.name] || 0,
-      percentage: total > 0 
-        ? Math.round((categoryTotals[cat.name] || 0) / total * 100) 
-        : 0
+      amount: amounts[index],
+      percentage: percentages[index]
     }));
+  };
+
+  /**
+   * Obtener el total de los gastos
+   * 
+   * No incluye ingresos ni depósitos.
+   * 
+   * @param {Date} [startDate] - Fecha inicial del periodo (todos los recibos si se omite)
+   * @param {Date} [endDate] - Fecha final del periodo
+   * @returns {number} Suma de los montos de los recibos en centavos
+   * 
+   * @example
+   * const total = getTotalExpenses(); // 123456
+   */
+  const getTotalExpenses = (startDate, endDate) => {
+    return sumCents(getExpensesInPeriod(startDate, endDate).map(r => r.amount));
+  };
 
-    setCategories(updatedCategories);
+  /**
+   * Obtener el total de ingresos y depósitos
+   * 
+   * @param {Date} [startDate] - Fecha inicial del periodo (todos los registros si se omite)
+   * @param {Date} [endDate] - Fecha final del periodo
+   * @returns {number} Suma de los ingresos en centavos
+   */
+  const getTotalIncome = (startDate, endDate) => {
+    return sumCents(getReceiptsInPeriod(startDate, endDate).filter(isDeposit).map(r => r.amount));
   };
 
   /**
-   * Obtener el total de todos los gastos
+   * Obtener el balance neto (ingresos menos gastos)
    * 
-   * @returns {number} Suma total de todos los montos de recibos
+   * @param {Date} [startDate] - Fecha inicial del periodo (todos los registros si se omite)
+   * @param {Date} [endDate] - Fecha final del periodo
+   * @returns {number} Balance en centavos (negativo si se gastó más de lo que entró)
    * 
    * @example
-   * const total = getTotalExpenses(); // 1234.56
+   * const { start, end } = getPeriodRange('month');
+   * const net = getNetBalance(start, end);
    */
-  const getTotalExpenses = () => {
-    return receipts.reduce((sum, r) => sum + r.amount, 0);
+  const getNetBalance = (startDate, endDate) => {
+    return getTotalIncome(startDate, endDate) - getTotalExpenses(startDate, endDate);
   };
 
   /**
@@ -256,14 +819,27 @@ export const ExpenseProvider = ({ children }) => {
    * Calcula el monto promedio dividiendo el total entre el número de recibos.
    * Retorna 0 si no hay recibos para evitar división por cero.
    * 
-   * @returns {number} Promedio de gasto por recibo
+   * @param {Date} [startDate] - Fecha inicial del periodo (todos los recibos si se omite)
+   * @param {Date} [endDate] - Fecha final del periodo
+   * @returns {number} Promedio de gasto por recibo en centavos
    * 
    * @example
-   * const avg = getAveragePerReceipt(); // 123.45
+   * const avg = getAveragePerReceipt(); // 12345
    */
-  const getAveragePerReceipt = () => {
-    const total = getTotalExpenses();
-    return receipts.length > 0 ? total / receipts.length : 0;
+  const getAveragePerReceipt = (startDate, endDate) => {
+    const periodReceipts = getExpensesInPeriod(startDate, endDate);
+    return divideCents(sumCents(periodReceipts.map(r => r.amount)), periodReceipts.length);
+  };
+
+  /**
+   * Contar los recibos de gasto de un periodo
+   * 
+   * @param {Date} [startDate] - Fecha inicial del periodo (todos los recibos si se omite)
+   * @param {Date} [endDate] - Fecha final del periodo
+   * @returns {number} Número de recibos (sin contar ingresos)
+   */
+  const getReceiptCount = (startDate, endDate) => {
+    return getExpensesInPeriod(startDate, endDate).length;
   };
 
   /**
@@ -279,6 +855,21 @@ export const ExpenseProvider = ({ children }) => {
     return receipts.filter(r => r.category === category);
   };
 
+  /**
+   * Buscar una factura por el UUID de su timbre fiscal
+   * 
+   * @param {string} uuid - UUID del CFDI (sin distinguir mayúsculas)
+   * @returns {Object|undefined} Recibo con ese UUID, si existe
+   * 
+   * @example
+   * const duplicate = findReceiptByUuid('AD662D33-6934-459C-A128-BDF0393E0F44');
+   */
+  const findReceiptByUuid = (uuid) => {
+    if (!uuid) return undefined;
+    const normalized = uuid.toUpperCase();
+    return receipts.find(r => r.uuid && r.uuid.toUpperCase() === normalized);
+  };
+
   /**
    * Obtener recibos en un rango de fechas
    * 
@@ -300,17 +891,528 @@ export const ExpenseProvider = ({ children }) => {
     });
   };
 
+  /**
+   * Guardar categorías en AsyncStorage
+   * 
+   * Función privada, llamada por las funciones de administración de categorías.
+   * 
+   * @param {Array<Object>} newCategories - Categorías en orden
+   * @throws {Error} Si falla el guardado en AsyncStorage
+   */
+  const saveCategories = async (newCategories) => {
+    try {
+      await saveStoredCategories(newCategories, requireStorageKeys().categories);
+      if (isActiveUser()) setCategoryList(newCategories);
+    } catch (error) {
+      console.error('Error al guardar categorías:', error);
+      throw error;
+    }
+  };
+
+  /**
+   * Validar el nombre de una categoría
+   * 
+   * @param {string} name - Nombre propuesto
+   * @param {string} [exceptId] - ID de la categoría que se está editando
+   * @returns {string} Nombre sin espacios sobrantes
+   * @throws {Error} Si el nombre está vacío o ya existe (sin distinguir mayúsculas)
+   */
+  const validateCategoryName = (name, exceptId) => {
+    const trimmed = (name || '').trim();
+    if (!trimmed) {
+      throw new Error('El nombre de la categoría no puede estar vacío');
+    }
+    const exists = categoryList.some(
+      cat => cat.id !== exceptId && cat.name.toLowerCase() === trimmed.toLowerCase()
+    );
+    if (exists) {
+      throw new Error(`Ya existe una categoría llamada "${trimmed}"`);
+    }
+    return trimmed;
+  };
+
+  /**
+   * Crear una categoría nueva al final de la lista
+   * 
+   * @param {Object} category - Datos de la categoría
+   * @param {string} category.name - Nombre (único)
+   * @param {string} [category.color] - Color en hexadecimal
+   * @param {string} [category.icon] - Nombre del ícono de Ionicons
+   * @param {boolean} [category.restaurant=false] - Consumos en restaurantes (deducibles en parte)
+   * @returns {Promise<Object>} Categoría creada
+   * @throws {Error} Si el nombre no es válido
+   * 
+   * @example
+   * await addCategory({ name: 'Viáticos', color: '#3B82F6', icon: 'airplane-outline' });
+   */
+  const addCategory = async ({ name, color, icon, restaurant = false }) => {
+    const newCategory = {
+      id: String(Date.now()),
+      name: validateCategoryName(name),
+      color: color || CATEGORY_COLORS[categoryList.length % CATEGORY_COLORS.length],
+      icon: icon || 'pricetag-outline',
+      archived: false,
+      restaurant
+    };
+    await saveCategories([...categoryList, newCategory]);
+    return newCategory;
+  };
+
+  /**
+   * Actualizar una categoría (renombrar, cambiar color o ícono)
+   * 
+   * Al renombrar, los recibos (también los de la papelera) y las reglas de
+   * gastos recurrentes que usaban el nombre anterior se actualizan para que
+   * sigan perteneciendo a la categoría.
+   * 
+   * @param {string} id - ID de la categoría
+   * @param {Object} updatedData - Campos a actualizar (name, color, icon, restaurant)
+   * @throws {Error} Si la categoría no existe o el nombre no es válido
+   * 
+   * @example
+   * await updateCategory('servicios', { name: 'Servicios básicos', color: '#14B8A6' });
+   */
+  const updateCategory = async (id, updatedData) => {
+    const current = categoryList.find(cat => cat.id === id);
+    if (!current) {
+      throw new Error('La categoría no existe');
+    }
+
+    const updated = { ...current, ...updatedData };
+    if ('name' in updatedData) {
+      updated.name = validateCategoryName(updatedData.name, id);
+    }
+
+    if (updated.name !== current.name) {
+      // Los recibos guardan el nombre de la categoría: renombrarlos primero
+      await saveReceipts(receipts.map(r =>
+        r.category === current.name ? { ...r, category: updated.name } : r
+      ));
+      if (recurringRules.some(rule => rule.category === current.name)) {
+        await saveRecurringRules(recurringRules.map(rule =>
+          rule.category === current.name ? { ...rule, category: updated.name } : rule
+        ));
+      }
+      if (trash.some(entry => entry.category === current.name)) {
+        await saveTrash(trash.map(entry =>
+          entry.category === current.name ? { ...entry, category: updated.name } : entry
+        ));
+      }
+    }
+    await saveCategories(categoryList.map(cat => (cat.id === id ? updated : cat)));
+  };
+
+  /**
+   * Archivar o restaurar una categoría
+   * 
+   * Las categorías archivadas no se ofrecen para gastos nuevos, pero sus
+   * recibos se conservan y siguen contando en los totales.
+   * 
+   * @param {string} id - ID de la categoría
+   * @param {boolean} archived - true para archivar, false para restaurar
+   * @throws {Error} Si se intenta archivar la última categoría activa
+   */
+  const setCategoryArchived = async (id, archived) => {
+    const activeCount = categoryList.filter(cat => !cat.archived).length;
+    const target = categoryList.find(cat => cat.id === id);
+    if (archived && target && !target.archived && activeCount <= 1) {
+      throw new Error('Debe quedar al menos una categoría activa');
+    }
+    await updateCategory(id, { archived });
+  };
+
+  /**
+   * Mover una categoría dentro de la lista
+   * 
+   * Se intercambia con la categoría vecina del mismo estado (activa o
+   * archivada), ya que cada grupo se muestra por separado.
+   * 
+   * @param {string} id - ID de la categoría
+   * @param {number} offset - -1 para subir, 1 para bajar
+   */
+  const moveCategory = async (id, offset) => {
+    const index = categoryList.findIndex(cat => cat.id === id);
+    if (index === -1) return;
+
+    let target = index + offset;
+    while (
+      target >= 0 &&
+      target < categoryList.length &&
+      categoryList[target].archived !== categoryList[index].archived
+    ) {
+      target += offset;
+    }
+    if (target < 0 || target >= categoryList.length) return;
+
+    const reordered = [...categoryList];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    await saveCategories(reordered);
+  };
+
+  /**
+   * Obtener las categorías disponibles para gastos nuevos
+   * 
+   * @returns {Array<Object>} Categorías no archivadas, en orden
+   */
+  const getActiveCategories = () => {
+    return categoryList.filter(cat => !cat.archived);
+  };
+
+  /**
+   * Obtener la categoría a usar cuando un gasto no tiene una asignada
+   * 
+   * Siempre hay al menos una categoría activa (no se puede archivar la última).
+   * 
+   * @returns {string} Nombre de la primera categoría activa
+   */
+  const getDefaultCategory = () => {
+    return getActiveCategories()[0]?.name;
+  };
+
+  /**
+   * Obtener el color de una categoría por su nombre
+   * 
+   * @param {string} name - Nombre de la categoría
+   * @returns {string} Color en hexadecimal (gris si la categoría no existe)
+   */
+  const getCategoryColor = (name) => {
+    const category = categoryList.find(cat => cat.name === name);
+    return category ? category.color : UNKNOWN_CATEGORY_COLOR;
+  };
+
+  /**
+   * Comparar el gasto del mes actual contra el mes anterior
+   * 
+   * Usa la misma ventana "mes a la fecha" en ambos meses: del día 1 al día
+   * de hoy (o al último día del mes anterior si es más corto), para no
+   * comparar un mes incompleto contra uno completo.
+   * 
+   * @param {Date} [date=new Date()] - Fecha de referencia (hoy)
+   * @returns {{current: number, previous: number, change: number|null}}
+   *   Totales en centavos y cambio porcentual con un decimal
+   *   (null si el mes anterior no tiene gastos en esa ventana)
+   * 
+   * @example
+   * const { change } = getMonthOverMonthChange(); // 12.5, -3.2 o null
+   */
+  const getMonthOverMonthChange = (date = new Date()) => {
+    const year = date.getFullYear();
+    const month = date.getMonth();
+    const day = date.getDate();
+
+    const currentStart = new Date(year, month, 1);
+    const currentEnd = new Date(year, month, day, 23, 59, 59, 999);
+
+    // Día equivalente del mes anterior (31 de marzo → 28/29 de febrero)
+    const lastDayPrevious = new Date(year, month, 0).getDate();
+    const previousStart = new Date(year, month - 1, 1);
+    const previousEnd = new Date(year, month - 1, Math.min(day, lastDayPrevious), 23, 59, 59, 999);
+
+    const current = getTotalExpenses(currentStart, currentEnd);
+    const previous = getTotalExpenses(previousStart, previousEnd);
+    const change = previous > 0
+      ? Math.round(((current - previous) / previous) * 1000) / 10
+      : null;
+
+    return { current, previous, change };
+  };
+
+  /**
+   * Definir presupuestos mensuales por categoría y general
+   * 
+   * Los cambios aplican desde el mes actual; los meses anteriores conservan
+   * el presupuesto que tenían. Un monto de 0 (o null) quita el presupuesto.
+   * Solo se registran en el historial los presupuestos que cambiaron.
+   * 
+   * @param {Array<{categoryId: string|null, amount: number|null}>} budgets -
+   *   Presupuestos a definir (categoryId null para el general, amount en centavos)
+   * @throws {Error} Si falla el guardado en AsyncStorage
+   * 
+   * @example
+   * await setBudgets([
+   *   { categoryId: 'alimentos', amount: 400000 }, // $4,000.00 al mes
+   *   { categoryId: null, amount: 1500000 }        // Presupuesto general
+   * ]);
+   */
+  const setBudgets = async (budgets) => {
+    const monthKey = getMonthKey(new Date());
+    const changedAt = new Date().toISOString();
+    const entries = budgets
+      .map(({ categoryId, amount }) => ({
+        categoryId,
+        amount: amount > 0 ? amount : null,
+        effectiveFrom: monthKey,
+        changedAt
+      }))
+      .filter(entry =>
+        entry.amount !== getBudgetForMonth(budgetHistory, entry.categoryId, monthKey)
+      );
+    if (entries.length === 0) return;
+
+    const updatedHistory = [...budgetHistory, ...entries];
+    try {
+      await saveStoredBudgets(updatedHistory, requireStorageKeys().budgets);
+      if (isActiveUser()) setBudgetHistory(updatedHistory);
+    } catch (error) {
+      console.error('Error al guardar presupuestos:', error);
+      throw error;
+    }
+  };
+
+  /**
+   * Obtener el presupuesto vigente en un mes
+   * 
+   * @param {string|null} categoryId - ID de la categoría o null para el general
+   * @param {Date} [date=new Date()] - Cualquier fecha del mes a consultar
+   * @returns {number|null} Límite en centavos, o null si no hay presupuesto
+   */
+  const getBudget = (categoryId, date = new Date()) => {
+    return getBudgetForMonth(budgetHistory, categoryId, getMonthKey(date));
+  };
+
+  /**
+   * Obtener el avance del gasto mensual contra el presupuesto
+   * 
+   * Cada mes se evalúa con el presupuesto vigente en ese mes.
+   * 
+   * @param {string|null} categoryId - ID de la categoría o null para el general
+   * @param {Date} [date=new Date()] - Cualquier fecha del mes a consultar
+   * @returns {{budget: number, spent: number, ratio: number, status: string}|null}
+   *   Montos en centavos y estado ('ok', 'warning' o 'exceeded'); null si no hay presupuesto
+   * 
+   * @example
+   * const progress = getBudgetProgress('alimentos');
+   * if (progress?.status === 'exceeded') { ... }
+   */
+  const getBudgetProgress = (categoryId, date = new Date()) => {
+    const monthKey = getMonthKey(date);
+    const budget = getBudgetForMonth(budgetHistory, categoryId, monthKey);
+    if (!budget) return null;
+
+    const category = categoryList.find(cat => cat.id === categoryId);
+    const spent = sumCents(receipts
+      .filter(r => !isDeposit(r) && getMonthKey(r.date) === monthKey)
+      .filter(r => categoryId === null || (category && r.category === category.name))
+      .map(r => r.amount));
+
+    return { budget, spent, ...getBudgetStatus(spent, budget) };
+  };
+
+  /**
+   * Guardar las reglas de gastos recurrentes en AsyncStorage
+   * 
+   * Función privada, llamada por las funciones de gastos recurrentes.
+   * 
+   * @param {Array<Object>} newRules - Reglas a guardar
+   * @throws {Error} Si falla el guardado en AsyncStorage
+   */
+  const saveRecurringRules = async (newRules) => {
+    try {
+      await saveStoredRecurringRules(newRules, requireStorageKeys().recurringRules);
+      if (isActiveUser()) setRecurringRules(newRules);
+    } catch (error) {
+      console.error('Error al guardar gastos recurrentes:', error);
+      throw error;
+    }
+  };
+
+  /**
+   * Validar los datos de una regla de gasto recurrente
+   * 
+   * @param {Object} rule - Datos de la regla (ver RecurringExpenses)
+   * @returns {Object} Campos de la regla normalizados
+   * @throws {Error} Si falta un dato o no es válido
+   */
+  const validateRecurringRule = (rule) => {
+    const name = (rule.name || '').trim();
+    if (!name) {
+      throw new Error('Ingresa el nombre del comercio');
+    }
+    if (!Number.isInteger(rule.amount) || rule.amount <= 0) {
+      throw new Error('Ingresa un monto válido');
+    }
+    if (!rule.category) {
+      throw new Error('Selecciona una categoría');
+    }
+    if (!RECURRING_FREQUENCIES.some(option => option.key === rule.frequency)) {
+      throw new Error('Selecciona una frecuencia');
+    }
+    if (!Number.isInteger(rule.dayOfMonth) || rule.dayOfMonth < 1 || rule.dayOfMonth > 31) {
+      throw new Error('El día de cobro debe estar entre 1 y 31');
+    }
+    if (!rule.startDate || isNaN(new Date(rule.startDate).getTime())) {
+      throw new Error('Ingresa una fecha de inicio válida');
+    }
+    if (rule.endDate && !(new Date(rule.endDate) >= new Date(rule.startDate))) {
+      throw new Error('La fecha de fin debe ser posterior a la de inicio');
+    }
+
+    return {
+      name,
+      amount: rule.amount,
+      category: rule.category,
+      frequency: rule.frequency,
+      dayOfMonth: rule.dayOfMonth,
+      startDate: rule.startDate,
+      endDate: rule.endDate || null
+    };
+  };
+
+  /**
+   * Crear una regla de gasto recurrente
+   * 
+   * Si la fecha de inicio es anterior a hoy, se generan de inmediato los
+   * recibos de las ocurrencias que ya vencieron.
+   * 
+   * @param {Object} rule - Datos de la regla
+   * @param {string} rule.name - Nombre del comercio
+   * @param {number} rule.amount - Monto en centavos
+   * @param {string} rule.category - Categoría del gasto
+   * @param {string} rule.frequency - Clave de RECURRING_FREQUENCIES
+   * @param {number} rule.dayOfMonth - Día de cobro (1-31)
+   * @param {string} rule.startDate - Fecha ISO de inicio
+   * @param {string|null} [rule.endDate] - Fecha ISO de fin (opcional)
+   * @returns {Promise<{rule: Object, generatedCount: number}>} Regla creada y
+   *   número de recibos generados
+   * @throws {Error} Si los datos no son válidos
+   * 
+   * @example
+   * await addRecurringRule({
+   *   name: 'Internet',
+   *   amount: 59900,
+   *   category: 'Servicios',
+   *   frequency: 'monthly',
+   *   dayOfMonth: 5,
+   *   startDate: new Date(2026, 0, 1).toISOString()
+   * });
+   */
+  const addRecurringRule = async (rule) => {
+    const newRule = {
+      id: String(Date.now()),
+      ...validateRecurringRule(rule),
+      lastGeneratedDate: null
+    };
+    const updatedRules = [...recurringRules, newRule];
+    await saveRecurringRules(updatedRules);
+    const generatedCount = await generateRecurringReceipts(updatedRules, receipts);
+    return { rule: newRule, generatedCount };
+  };
+
+  /**
+   * Actualizar una regla de gasto recurrente
+   * 
+   * Las ocurrencias que aún no se generan usan los datos nuevos. Con
+   * applyFrom, los recibos ya generados desde esa fecha también se
+   * actualizan (comercio, monto y categoría). Si cambia el calendario, los
+   * meses ya generados no vuelven a generarse (ver rescheduleRecurringRule).
+   * 
+   * @param {string} id - ID de la regla
+   * @param {Object} updatedData - Campos a actualizar
+   * @param {Date} [applyFrom] - Fecha desde la que se actualizan los recibos generados
+   * @returns {Promise<number>} Número de recibos generados actualizados
+   * @throws {Error} Si la regla no existe o los datos no son válidos
+   * 
+   * @example
+   * // Subió la renta a partir de este mes
+   * await updateRecurringRule(ruleId, { amount: 1250000 }, new Date(2026, 9, 1));
+   */
+  const updateRecurringRule = async (id, updatedData, applyFrom) => {
+    const current = recurringRules.find(rule => rule.id === id);
+    if (!current) {
+      throw new Error('El gasto recurrente no existe');
+    }
+    const updated = rescheduleRecurringRule(
+      current,
+      { ...current, ...validateRecurringRule({ ...current, ...updatedData }) }
+    );
+
+    let updatedReceipts = receipts;
+    let updatedCount = 0;
+    if (applyFrom) {
+      const user = await getHistoryUser();
+      updatedReceipts = receipts.map(r => {
+        if (r.recurringRuleId !== id || new Date(r.date) < applyFrom) return r;
+        updatedCount++;
+        return applyTrackedChanges(r, {
+          name: updated.name,
+          amount: updated.amount,
+          category: updated.category
+        }, user);
+      });
+      if (updatedCount > 0) {
+        await saveReceipts(updatedReceipts);
+      }
+    }
+
+    const updatedRules = recurringRules.map(rule => (rule.id === id ? updated : rule));
+    await saveRecurringRules(updatedRules);
+    await generateRecurringReceipts(updatedRules, updatedReceipts);
+    return updatedCount;
+  };
+
+  /**
+   * Eliminar una regla de gasto recurrente
+   * 
+   * Deja de generar recibos; los que ya se generaron se conservan.
+   * 
+   * @param {string} id - ID de la regla
+   */
+  const deleteRecurringRule = async (id) => {
+    await saveRecurringRules(recurringRules.filter(rule => rule.id !== id));
+  };
+
   /**
    * Eliminar todos los recibos
    * 
-   * Limpia completamente el array de recibos tanto en estado como en AsyncStorage.
+   * Mueve todos los recibos a la papelera, igual que deleteReceipt, por lo
+   * que se pueden deshacer o restaurar durante el periodo de retención.
    * Útil para funcionalidades de "reset" o "borrar todo".
    * 
    * @example
    * await clearAllReceipts();
    */
   const clearAllReceipts = async () => {
-    await saveReceipts([]);
+    if (receipts.length === 0) return;
+    await moveToTrash(receipts, `${receipts.length} recibo(s) movido(s) a la papelera`);
+  };
+
+  /**
+   * Borrar los datos locales del usuario actual
+   * 
+   * Elimina de este dispositivo sus recibos, papelera, categorías,
+   * presupuestos, gastos recurrentes e imágenes. Se ofrece al cerrar sesión
+   * en un dispositivo compartido; los datos de otros usuarios no se tocan.
+   * 
+   * @example
+   * await deleteLocalData();
+   * await logout();
+   */
+  const deleteLocalData = async () => {
+    if (!userId) return;
+    // Las imágenes de versiones anteriores están fuera de la carpeta del usuario
+    await Promise.all([...receipts, ...trash].map(r => deleteReceiptImage(r.imageUri)));
+    await deleteUserImages(userId);
+    await clearUserData(userId);
+    if (isActiveUser()) resetUserState();
+  };
+
+  /**
+   * Borrar los datos de una versión sin cuentas que no se asignaron
+   * 
+   * Son de otra persona que usó la app en este dispositivo; se borran
+   * también las imágenes de esos recibos.
+   */
+  const deleteUnclaimedLegacyData = async () => {
+    try {
+      // Claves globales: las que usaba la versión sin cuentas
+      const legacyReceipts = [...await loadStoredReceipts(), ...await loadStoredTrash()];
+      await Promise.all(legacyReceipts.map(r => deleteReceiptImage(r.imageUri)));
+    } catch (error) {
+      // Sin los recibos no se sabe qué imágenes borrar; los datos se borran igual
+      console.error('Error al leer los recibos anteriores:', error);
+    }
+    await deleteLegacyData();
+    setUnclaimedLegacyData(false);
   };
 
   /**
@@ -321,9 +1423,16 @@ export const ExpenseProvider = ({ children }) => {
    */
   const value = {
     // Estado
+    userId,
     receipts,
     categories,
+    categoryList,
+    budgetHistory,
+    recurringRules,
+    trash,
+    pendingUndo,
     loading,
+    storageError,
     
     // Funciones CRUD
     addReceipt,
@@ -332,12 +1441,47 @@ export const ExpenseProvider = ({ children }) => {
     
     // Funciones de consulta
     getTotalExpenses,
+    getTotalIncome,
+    getNetBalance,
     getAveragePerReceipt,
+    getCategoryBreakdown,
+    getReceiptCount,
     getReceiptsByCategory,
     getReceiptsByDateRange,
+    findReceiptByUuid,
+    getActiveCategories,
+    getDefaultCategory,
+    getCategoryColor,
+    getBudget,
+    getBudgetProgress,
+    getMonthOverMonthChange,
+    
+    // Funciones de categorías
+    addCategory,
+    updateCategory,
+    setCategoryArchived,
+    moveCategory,
+    
+    // Funciones de presupuestos
+    setBudgets,
+    
+    // Funciones de la papelera
+    restoreReceipts,
+    purgeReceipts,
+    emptyTrash,
+    undoLastDeletion,
+    dismissUndo,
+    
+    // Funciones de gastos recurrentes
+    addRecurringRule,
+    updateRecurringRule,
+    deleteRecurringRule,
     
     // Funciones de utilidad
     clearAllReceipts,
+    deleteLocalData,
+    unclaimedLegacyData,
+    deleteUnclaimedLegacyData,
     refreshReceipts: loadReceipts // Alias para recargar recibos
   };
 
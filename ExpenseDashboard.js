@@ -3,7 +3,9 @@
  * 
  * Este componente es la pantalla principal de la aplicación después del login.
  * Muestra un resumen completo de los gastos del usuario incluyendo:
- * - Total de gastos con cambio porcentual
+ * - Selector de periodo (semana, mes, trimestre, año o rango personalizado)
+ * - Total de gastos del periodo con cambio porcentual mensual
+ * - Ingresos, gastos y balance neto del periodo
  * - Acciones rápidas (ver recibos, generar reportes, agregar gastos)
  * - Promedio por recibo
  * - Distribución de gastos por categoría
@@ -32,27 +34,40 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useExpense } from './ExpenseContext';
+import { logout } from './AuthService';
+import { formatMoney } from './Money';
+import { DASHBOARD_PERIODS, getPeriodRange } from './Periods';
+import DateRangePicker from './DateRangePicker';
+import { isDeposit } from './Deposits';
 
 export default function ExpenseDashboard({ navigation }) {
 
   // === Estados del componente ===
   const [username, setUsername] = useState('Usuario');
   const [refreshing, setRefreshing] = useState(false);
-  
+
   /**
-   * Porcentaje de cambio respecto al mes anterior
-   * TODO: Este valor es estático, debería calcularse comparando con datos históricos
+   * Periodo seleccionado (ver DASHBOARD_PERIODS) y rango personalizado
    */
-  const [percentageChange] = useState(12.5);
-
+  const [period, setPeriod] = useState('month');
+  const [customRange, setCustomRange] = useState(null);
+  
   // Obtener datos y funciones del contexto global
   const {
     receipts,
-    categories,
     getTotalExpenses,
+    getTotalIncome,
     getAveragePerReceipt,
+    getCategoryBreakdown,
+    getReceiptCount,
     loading,
-    refreshReceipts
+    storageError,
+    refreshReceipts,
+    getBudgetProgress,
+    getMonthOverMonthChange,
+    deleteLocalData,
+    unclaimedLegacyData,
+    deleteUnclaimedLegacyData
   } = useExpense();
 
   /**
@@ -91,48 +106,213 @@ export default function ExpenseDashboard({ navigation }) {
     setRefreshing(false);
   };
 
+  /**
+   * Cerrar sesión y volver al login
+   * 
+   * @param {boolean} wipeData - Borrar antes los datos locales del usuario
+   */
+  const signOut = async (wipeData) => {
+    if (wipeData) {
+      try {
+        await deleteLocalData();
+      } catch (error) {
+        console.error('Error al borrar los datos locales:', error);
+        Alert.alert('Error', 'No se pudieron borrar los datos de este dispositivo');
+        return;
+      }
+    }
+    try {
+      await logout();
+    } catch (error) {
+      console.error('Error al cerrar sesión:', error);
+      Alert.alert('Error', 'No se pudo cerrar la sesión. Por favor intente nuevamente.');
+      return;
+    }
+    navigation.replace('Login');
+  };
+
+  /**
+   * Borrar los datos de la versión anterior que no son de este usuario
+   * 
+   * Pide confirmación porque no se pueden recuperar.
+   */
+  const handleDeleteLegacyData = () => {
+    Alert.alert(
+      'Borrar datos anteriores',
+      'Estos recibos se guardaron con otra cuenta o antes de que la app tuviera cuentas. ' +
+      'Si no son tuyos, puedes borrarlos de este dispositivo. Esta acción no se puede deshacer.',
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Borrar',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteUnclaimedLegacyData();
+            } catch (error) {
+              console.error('Error al borrar los datos anteriores:', error);
+              Alert.alert('Error', 'No se pudieron borrar los datos anteriores');
+            }
+          }
+        }
+      ]
+    );
+  };
+
   /**
    * Manejador de cierre de sesión
    * 
-   * Muestra un diálogo de confirmación antes de cerrar sesión.
-   * Si el usuario confirma:
-   * - Elimina el username de AsyncStorage
+   * Muestra un diálogo de confirmación antes de cerrar sesión, con la
+   * opción de conservar o borrar los datos del usuario en este dispositivo
+   * (útil en dispositivos compartidos). Después:
+   * - Cierra la sesión en el servidor y borra la sesión local
    * - Navega a la pantalla de Login (replace para no poder volver)
    */
   const handleLogout = async () => {
     Alert.alert(
       'Cerrar Sesión',
-      '¿Estás seguro de que deseas cerrar sesión?',
+      '¿Deseas conservar tus recibos en este dispositivo? Si los borras, se ' +
+        'eliminarán tus recibos, papelera, categorías, presupuestos y gastos ' +
+        'recurrentes guardados aquí.',
       [
         { text: 'Cancelar', style: 'cancel' },
+        { text: 'Conservar y salir', onPress: () => signOut(false) },
         {
-          text: 'Salir',
+          text: 'Borrar y salir',
           style: 'destructive',
-          onPress: async () => {
-            await AsyncStorage.removeItem('username');
-            navigation.replace('Login');
-          }
+          onPress: () => signOut(true)
         }
       ]
     );
   };
 
+  /**
+   * Seleccionar un periodo
+   * 
+   * El periodo personalizado empieza con el rango del periodo actual y se
+   * ajusta con el selector de fechas que aparece debajo de los periodos.
+   * 
+   * @param {string} key - Clave del periodo
+   */
+  const handleSelectPeriod = (key) => {
+    if (key === 'custom' && !customRange) {
+      setCustomRange({ start: periodStart, end: periodEnd });
+    }
+    setPeriod(key);
+  };
+
+  /**
+   * Aplicar el rango elegido en el selector de fechas
+   * 
+   * Al limpiar el rango se vuelve al mes actual.
+   * 
+   * @param {Date|null} start - Fecha inicial
+   * @param {Date|null} end - Fecha final
+   */
+  const handleCustomRangeChange = (start, end) => {
+    if (!start || !end) {
+      setCustomRange(null);
+      setPeriod('month');
+      return;
+    }
+    setCustomRange({ start, end });
+  };
+
   // === Cálculos de datos para mostrar ===
   
   /**
    * Obtener solo los 3 recibos más recientes para mostrar en el dashboard
    */
   const recentReceipts = receipts.slice(0, 3);
+
+  /**
+   * Rango de fechas del periodo seleccionado
+   */
+  const now = new Date();
+  const { start: periodStart, end: periodEnd } = getPeriodRange(period, now, customRange);
+
+  /**
+   * Etiqueta del periodo (el personalizado muestra sus fechas)
+   */
+  const periodLabel = period === 'custom'
+    ? `${periodStart.toLocaleDateString('es-MX', { day: '2-digit', month: 'short' })} - ${periodEnd.toLocaleDateString('es-MX', { day: '2-digit', month: 'short', year: 'numeric' })}`
+    : DASHBOARD_PERIODS.find(p => p.key === period).label;
   
   /**
-   * Total de gastos (suma de todos los montos)
+   * Total de gastos del periodo
    */
-  const totalExpenses = getTotalExpenses();
+  const totalExpenses = getTotalExpenses(periodStart, periodEnd);
+
+  /**
+   * Ingresos y balance neto del periodo
+   */
+  const totalIncome = getTotalIncome(periodStart, periodEnd);
+  const netBalance = totalIncome - totalExpenses;
   
   /**
-   * Promedio de gasto por recibo
+   * Promedio de gasto por recibo en el periodo
+   */
+  const averagePerReceipt = getAveragePerReceipt(periodStart, periodEnd);
+
+  /**
+   * Desglose por categoría y número de tickets del periodo
+   */
+  const periodCategories = getCategoryBreakdown(periodStart, periodEnd);
+  const ticketCount = getReceiptCount(periodStart, periodEnd);
+
+  /**
+   * Cambio porcentual del gasto del mes a la fecha contra el mes anterior
+   * (change es null si el mes anterior no tiene gastos para comparar)
+   */
+  const { change: percentageChange } = getMonthOverMonthChange();
+
+  /**
+   * Mes con el que se comparan los presupuestos (son mensuales, así que
+   * solo se muestran al ver este mes o el mes pasado)
+   */
+  const budgetDate = period === 'month' ? now : period === 'lastMonth' ? periodStart : null;
+
+  /**
+   * Avance del mes contra el presupuesto general (null si no hay presupuesto)
+   */
+  const overallBudget = budgetDate ? getBudgetProgress(null, budgetDate) : null;
+
+  /**
+   * Colores de la barra de presupuesto según su estado
+   */
+  const budgetColors = {
+    ok: '#10B981',
+    warning: '#F59E0B',
+    exceeded: '#DC2626'
+  };
+
+  /**
+   * Renderizar la barra de avance de un presupuesto
+   * 
+   * @param {Object} progress - Resultado de getBudgetProgress
+   * @returns {JSX.Element} Barra con el gasto del mes y su estado
    */
-  const averagePerReceipt = getAveragePerReceipt();
+  const renderBudgetBar = (progress) => {
+    const color = budgetColors[progress.status];
+    return (
+      <View style={styles.budgetContainer}>
+        <View style={styles.budgetTrack}>
+          <View
+            style={[
+              styles.budgetFill,
+              { width: `${Math.min(progress.ratio, 1) * 100}%`, backgroundColor: color }
+            ]}
+          />
+        </View>
+        <Text style={[styles.budgetText, progress.status !== 'ok' && { color }]}>
+          {progress.status === 'exceeded'
+            ? `Excedido por ${formatMoney(progress.spent - progress.budget)}`
+            : `${formatMoney(progress.spent)} de ${formatMoney(progress.budget)}`}
+          {progress.status === 'warning' && ' · Cerca del límite'}
+        </Text>
+      </View>
+    );
+  };
 
   return (
     <SafeAreaView style={styles.container}>
@@ -171,6 +351,64 @@ export default function ExpenseDashboard({ navigation }) {
           </View>
         </View>
 
+        {/* === Selector de Periodo === */}
+        {/* Todos los totales del dashboard se calculan para el periodo elegido */}
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          style={styles.periodScroll}
+          contentContainerStyle={styles.periodScrollContent}
+        >
+          {DASHBOARD_PERIODS.map((option) => (
+            <TouchableOpacity
+              key={option.key}
+              style={[styles.periodChip, period === option.key && styles.periodChipSelected]}
+              onPress={() => handleSelectPeriod(option.key)}
+            >
+              <Text style={[
+                styles.periodChipText,
+                period === option.key && styles.periodChipTextSelected
+              ]}>
+                {option.key === 'custom' && period === 'custom' ? periodLabel : option.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+
+        {/* Rango del periodo personalizado */}
+        {period === 'custom' && (
+          <View style={styles.customRangeContainer}>
+            <DateRangePicker
+              startDate={periodStart}
+              endDate={periodEnd}
+              onChange={handleCustomRangeChange}
+            />
+          </View>
+        )}
+
+        {/* === Aviso de error de almacenamiento === */}
+        {/* Los datos guardados no se pudieron cargar o migrar; se conservan sin cambios */}
+        {storageError && (
+          <View style={styles.storageErrorCard}>
+            <Ionicons name="warning-outline" size={20} color="#DC2626" />
+            <Text style={styles.storageErrorText}>
+              No se pudieron cargar tus recibos guardados. Tus datos se conservan sin cambios;
+              desliza hacia abajo para reintentar.
+            </Text>
+          </View>
+        )}
+
+        {/* === Aviso de datos de la versión anterior === */}
+        {/* No se asignaron a esta cuenta porque los guardó otra persona */}
+        {unclaimedLegacyData && (
+          <TouchableOpacity style={styles.legacyDataCard} onPress={handleDeleteLegacyData}>
+            <Ionicons name="people-outline" size={20} color="#B45309" />
+            <Text style={styles.legacyDataText}>
+              Hay recibos de otra persona guardados en este dispositivo. Toca para borrarlos.
+            </Text>
+          </TouchableOpacity>
+        )}
+
         {/* === Tarjeta de Total de Gastos === */}
         {/* Muestra el monto total y el porcentaje de cambio */}
         <View style={styles.card}>
@@ -178,10 +416,60 @@ export default function ExpenseDashboard({ navigation }) {
             <Text style={styles.cardTitle}>Total de gastos</Text>
             <Text style={styles.currencySymbol}>$</Text>
           </View>
-          <Text style={styles.totalAmount}>${totalExpenses.toFixed(2)}</Text>
-          <Text style={styles.changeText}>
-            +{percentageChange}% desde el mes pasado
-          </Text>
+          <Text style={styles.totalAmount}>{formatMoney(totalExpenses)}</Text>
+          {period !== 'month' ? (
+            <Text style={styles.changeText}>{periodLabel}</Text>
+          ) : percentageChange === null ? (
+            <Text style={styles.changeText}>
+              Sin gastos del mes pasado para comparar
+            </Text>
+          ) : (
+            <View style={styles.changeRow}>
+              {percentageChange !== 0 && (
+                <Ionicons
+                  name={percentageChange > 0 ? 'arrow-up' : 'arrow-down'}
+                  size={14}
+                  color={percentageChange > 0 ? '#DC2626' : '#10B981'}
+                />
+              )}
+              {/* Gastar más es negativo (rojo); gastar menos es positivo (verde) */}
+              <Text style={[
+                styles.changeText,
+                percentageChange > 0 && styles.changeUp,
+                percentageChange < 0 && styles.changeDown
+              ]}>
+                {percentageChange > 0 ? '+' : ''}{percentageChange}% desde el mes pasado
+              </Text>
+            </View>
+          )}
+        </View>
+
+        {/* === Tarjeta de Balance === */}
+        {/* Ingresos y depósitos contra gastos del periodo */}
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Balance</Text>
+          <Text style={styles.subtitle}>{periodLabel}</Text>
+          <View style={styles.balanceRow}>
+            <Text style={styles.balanceLabel}>Ingresos</Text>
+            <Text style={[styles.balanceValue, styles.changeDown]}>
+              +{formatMoney(totalIncome)}
+            </Text>
+          </View>
+          <View style={styles.balanceRow}>
+            <Text style={styles.balanceLabel}>Gastos</Text>
+            <Text style={[styles.balanceValue, styles.changeUp]}>
+              -{formatMoney(totalExpenses)}
+            </Text>
+          </View>
+          <View style={[styles.balanceRow, styles.balanceNetRow]}>
+            <Text style={styles.balanceNetLabel}>Balance neto</Text>
+            <Text style={[
+              styles.balanceNetValue,
+              netBalance < 0 ? styles.changeUp : styles.changeDown
+            ]}>
+              {netBalance < 0 ? '-' : ''}{formatMoney(Math.abs(netBalance))}
+            </Text>
+          </View>
         </View>
 
         {/* === Tarjeta de Acciones === */}
@@ -218,6 +506,33 @@ export default function ExpenseDashboard({ navigation }) {
             </Text>
           </TouchableOpacity>
 
+          {/* Botón: Registrar ingreso */}
+          <TouchableOpacity 
+            style={styles.actionButton} 
+            onPress={() => navigation.navigate('ManualEntry', { entryType: 'deposit' })}
+          >
+            <Ionicons name="cash-outline" size={20} color="#333" />
+            <Text style={styles.actionButtonText}>Registrar ingreso</Text>
+          </TouchableOpacity>
+
+          {/* Botón: Gastos recurrentes */}
+          <TouchableOpacity 
+            style={styles.actionButton} 
+            onPress={() => navigation.navigate('RecurringExpenses')}
+          >
+            <Ionicons name="repeat-outline" size={20} color="#333" />
+            <Text style={styles.actionButtonText}>Gastos recurrentes</Text>
+          </TouchableOpacity>
+
+          {/* Botón: Papelera */}
+          <TouchableOpacity 
+            style={styles.actionButton} 
+            onPress={() => navigation.navigate('Trash')}
+          >
+            <Ionicons name="trash-outline" size={20} color="#333" />
+            <Text style={styles.actionButtonText}>Papelera</Text>
+          </TouchableOpacity>
+
           {/* Botón: Escanear ticket (estilo destacado en azul) */}
           <TouchableOpacity 
             style={[styles.actionButton, styles.scanButton]} 
@@ -238,7 +553,7 @@ export default function ExpenseDashboard({ navigation }) {
             <Ionicons name="trending-up" size={20} color="#666" />
           </View>
           <Text style={styles.averageAmount}>
-            ${averagePerReceipt.toFixed(2)}
+            {formatMoney(averagePerReceipt)}
           </Text>
           <Text style={styles.subtitle}>Por compra</Text>
         </View>
@@ -246,26 +561,56 @@ export default function ExpenseDashboard({ navigation }) {
         {/* === Tarjeta de Gastos por Categoría === */}
         {/* Lista de categorías con sus montos y porcentajes */}
         <View style={styles.card}>
-          <Text style={styles.sectionTitle}>Gastos por categoría</Text>
-          <Text style={styles.subtitle}>Tu distribución de gastos en el mes</Text>
+          <View style={styles.cardHeader}>
+            <Text style={styles.sectionTitle}>Gastos por categoría</Text>
+            <View style={styles.cardLinks}>
+              {/* Botón: Presupuestos */}
+              <TouchableOpacity onPress={() => navigation.navigate('Budgets')}>
+                <Text style={styles.manageCategoriesText}>Presupuestos</Text>
+              </TouchableOpacity>
+              {/* Botón: Administrar categorías */}
+              <TouchableOpacity onPress={() => navigation.navigate('Categories')}>
+                <Text style={styles.manageCategoriesText}>Administrar</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+          <Text style={styles.subtitle}>Tu distribución de gastos en el periodo</Text>
+
+          {/* Presupuesto general del mes */}
+          {overallBudget && (
+            <View style={styles.overallBudget}>
+              <Text style={styles.overallBudgetLabel}>Presupuesto general</Text>
+              {renderBudgetBar(overallBudget)}
+            </View>
+          )}
           
           <View style={styles.categoriesList}>
-            {categories.map((category, index) => (
-              <View key={index} style={styles.categoryItem}>
-                {/* Lado izquierdo: punto de color y nombre de categoría */}
-                <View style={styles.categoryLeft}>
-                  <View style={[styles.categoryDot, { backgroundColor: category.color }]} />
-                  <Text style={styles.categoryName}>{category.name}</Text>
-                </View>
-                {/* Lado derecho: porcentaje y monto */}
-                <View style={styles.categoryRight}>
-                  <Text style={styles.categoryPercentage}>{category.percentage}%</Text>
-                  <Text style={styles.categoryAmount}>
-                    ${category.amount.toFixed(2)}
-                  </Text>
+            {periodCategories.map((category) => {
+              const progress = budgetDate ? getBudgetProgress(category.id, budgetDate) : null;
+              return (
+                <View key={category.id}>
+                  <View style={styles.categoryItem}>
+                    {/* Lado izquierdo: ícono de color y nombre de categoría */}
+                    <View style={styles.categoryLeft}>
+                      <Ionicons name={category.icon} size={16} color={category.color} />
+                      <Text style={styles.categoryName}>{category.name}</Text>
+                      {category.archived && (
+                        <Text style={styles.categoryArchived}>Archivada</Text>
+                      )}
+                    </View>
+                    {/* Lado derecho: porcentaje y monto */}
+                    <View style={styles.categoryRight}>
+                      <Text style={styles.categoryPercentage}>{category.percentage}%</Text>
+                      <Text style={styles.categoryAmount}>
+                        {formatMoney(category.amount)}
+                      </Text>
+                    </View>
+                  </View>
+                  {/* Barra de presupuesto del mes (solo si la categoría tiene uno) */}
+                  {progress && renderBudgetBar(progress)}
                 </View>
-              </View>
-            ))}
+              );
+            })}
           </View>
         </View>
 
@@ -274,13 +619,13 @@ export default function ExpenseDashboard({ navigation }) {
           <Text style={styles.sectionTitle}>Recibos recientes</Text>
           <Text style={styles.subtitle}>Los últimos recibos procesados</Text>
           
-          {/* Contador de tickets procesados este mes */}
+          {/* Contador de tickets procesados en el periodo */}
           <View style={styles.ticketsCounter}>
-            <Text style={styles.ticketsNumber}>{receipts.length}</Text>
+            <Text style={styles.ticketsNumber}>{ticketCount}</Text>
             <View style={{ flex: 1 }}>
               <View style={styles.ticketsBadge}>
                 <Ionicons name="checkmark" size={10} color="#fff" />
-                <Text style={styles.ticketsBadgeText}>Este mes</Text>
+                <Text style={styles.ticketsBadgeText}>{periodLabel}</Text>
               </View>
               <Text style={styles.ticketsLabel}>Tickets procesados</Text>
             </View>
@@ -310,17 +655,19 @@ export default function ExpenseDashboard({ navigation }) {
                 <View key={receipt.id} style={styles.receiptItem}>
                   {/* Icono del recibo */}
                   <View style={styles.receiptIcon}>
-                    <Ionicons name="document-text-outline" size={24} color="#666" />
+                    <Ionicons name={isDeposit(receipt) ? 'cash-outline' : 'document-text-outline'} size={24} color="#666" />
                   </View>
                   {/* Información del recibo */}
                   <View style={styles.receiptInfo}>
                     <Text style={styles.receiptName}>{receipt.name}</Text>
-                    <Text style={styles.receiptCategory}>{receipt.category}</Text>
+                    <Text style={styles.receiptCategory}>
+                      {isDeposit(receipt) ? receipt.source : receipt.category}
+                    </Text>
                   </View>
-                  {/* Monto y estado */}
+                  {/* Monto y estado (los ingresos se muestran en verde) */}
                   <View style={styles.receiptRight}>
-                    <Text style={styles.receiptAmount}>
-                      ${receipt.amount.toFixed(2)}
+                    <Text style={[styles.receiptAmount, isDeposit(receipt) && styles.changeDown]}>
+                      {isDeposit(receipt) ? '+' : ''}{formatMoney(receipt.amount)}
                     </Text>
                     <View style={styles.statusBadge}>
                       <Text style={styles.statusText}>{receipt.status}</Text>
@@ -343,6 +690,7 @@ export default function ExpenseDashboard({ navigation }) {
         {/* Espaciado inferior */}
         <View style={{ height: 20 }} />
       </ScrollView>
+
     </SafeAreaView>
   );
 }
@@ -430,6 +778,38 @@ const styles = StyleSheet.create({
     color: '#fff',
   },
   
+  // === Aviso de error ===
+  storageErrorCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FEE2E2',
+    borderRadius: 12,
+    padding: 16,
+    marginHorizontal: 16,
+    marginTop: 16,
+    gap: 12,
+  },
+  storageErrorText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#DC2626',
+  },
+  legacyDataCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FEF3C7',
+    borderRadius: 12,
+    padding: 16,
+    marginHorizontal: 16,
+    marginTop: 16,
+    gap: 12,
+  },
+  legacyDataText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#B45309',
+  },
+  
   // === Tarjetas (Cards) ===
   card: {
     backgroundColor: '#fff',
@@ -468,6 +848,45 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#6B7280',
   },
+  changeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+  },
+  changeUp: {
+    color: '#DC2626',
+  },
+  changeDown: {
+    color: '#10B981',
+  },
+  balanceRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  balanceLabel: {
+    fontSize: 15,
+    color: '#6B7280',
+  },
+  balanceValue: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  balanceNetRow: {
+    borderTopWidth: 1,
+    borderTopColor: '#F3F4F6',
+    marginTop: 6,
+    paddingTop: 12,
+  },
+  balanceNetLabel: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111',
+  },
+  balanceNetValue: {
+    fontSize: 18,
+    fontWeight: '700',
+  },
   sectionTitle: {
     fontSize: 18,
     fontWeight: '600',
@@ -529,15 +948,51 @@ const styles = StyleSheet.create({
     gap: 12,
     flex: 1,
   },
-  categoryDot: {
-    width: 12,
-    height: 12,
-    borderRadius: 6,
-  },
   categoryName: {
     fontSize: 15,
     color: '#333',
   },
+  categoryArchived: {
+    fontSize: 12,
+    color: '#9CA3AF',
+  },
+  manageCategoriesText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#3B82F6',
+  },
+  cardLinks: {
+    flexDirection: 'row',
+    gap: 16,
+  },
+  
+  // === Presupuestos ===
+  overallBudget: {
+    marginBottom: 16,
+  },
+  overallBudgetLabel: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#333',
+  },
+  budgetContainer: {
+    marginTop: 8,
+  },
+  budgetTrack: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: '#E5E7EB',
+    overflow: 'hidden',
+  },
+  budgetFill: {
+    height: '100%',
+    borderRadius: 3,
+  },
+  budgetText: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
   categoryRight: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -684,4 +1139,38 @@ const styles = StyleSheet.create({
     color: '#333',
     fontWeight: '500',
   },
+  
+  // === Selector de periodo ===
+  periodScroll: {
+    flexGrow: 0,
+    marginTop: 16,
+  },
+  periodScrollContent: {
+    paddingHorizontal: 16,
+  },
+  periodChip: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    backgroundColor: '#fff',
+    borderRadius: 20,
+    marginRight: 8,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  periodChipSelected: {
+    backgroundColor: '#3B82F6',
+    borderColor: '#3B82F6',
+  },
+  periodChipText: {
+    fontSize: 14,
+    color: '#6B7280',
+    fontWeight: '500',
+  },
+  periodChipTextSelected: {
+    color: '#fff',
+  },
+  customRangeContainer: {
+    paddingHorizontal: 20,
+    marginTop: 12,
+  },
 });
\ No newline at end of file
@@ -0,0 +1,537 @@
+/**
+ * Pantalla de Recuperación de Contraseña
+ *
+ * Flujo en tres pasos desde "¿Olvidaste tu contraseña?" del login:
+ * 1. Correo: se pide un código de 6 dígitos por correo
+ * 2. Código: se verifica el código (con cuenta regresiva de vencimiento
+ *    y opción de reenviarlo después de una espera)
+ * 3. Contraseña nueva: con indicador de fortaleza y confirmación
+ *
+ * Todas las llamadas pasan por AuthService. Los errores de límite de
+ * solicitudes (RATE_LIMITED) activan la misma espera que el reenvío.
+ *
+ * @component
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  ActivityIndicator,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation, useRoute } from '@react-navigation/native';
+import {
+  requestPasswordReset,
+  verifyResetCode,
+  resetPassword,
+  AuthError
+} from './AuthService';
+import { checkPassword } from './PasswordPolicy';
+import PasswordStrengthMeter from './PasswordStrengthMeter';
+
+/**
+ * Pasos del flujo, en orden
+ */
+const STEPS = ['email', 'code', 'password'];
+
+/**
+ * Formatear milisegundos restantes como m:ss
+ *
+ * @param {number} ms - Milisegundos restantes
+ * @returns {string} Por ejemplo "4:05"
+ */
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+};
+
+export default function ForgotPasswordScreen() {
+  const navigation = useNavigation();
+  const route = useRoute();
+
+  // === Estados del componente ===
+  const [step, setStep] = useState('email');
+  const [email, setEmail] = useState(route.params?.email || '');
+  const [code, setCode] = useState('');
+  const [resetToken, setResetToken] = useState(null);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  // Tiempos en milisegundos: vencimiento del código y espera para reenviar
+  const [expiresAt, setExpiresAt] = useState(null);
+  const [resendAt, setResendAt] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  const resendRemaining = resendAt ? resendAt - now : 0;
+  const isCodeExpired = expiresAt !== null && expiresAt <= now;
+
+  /**
+   * Efecto: Actualizar las cuentas regresivas cada segundo
+   *
+   * Solo corre mientras hay una espera o un código pendiente.
+   */
+  useEffect(() => {
+    if (!resendAt && !expiresAt) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [resendAt, expiresAt]);
+
+  /**
+   * Mostrar el error de una llamada a AuthService
+   *
+   * Con RATE_LIMITED se activa la espera que indica el servidor.
+   */
+  const showError = (error, fallback) => {
+    console.log('Error en la recuperación de contraseña:', error);
+    if (!(error instanceof AuthError)) {
+      setErrorMessage(fallback);
+      return;
+    }
+    if (error.code === 'RATE_LIMITED' && error.retryAfter) {
+      setNow(Date.now());
+      setResendAt(Date.now() + error.retryAfter * 1000);
+    }
+    setErrorMessage(error.message);
+  };
+
+  /**
+   * Paso 1: Pedir (o reenviar) el código de recuperación
+   */
+  const handleSendCode = async () => {
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email.trim())) {
+      setErrorMessage('Por favor ingrese un correo electrónico válido');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrorMessage('');
+    try {
+      const result = await requestPasswordReset(email);
+      setNow(Date.now());
+      setExpiresAt(result.expiresAt);
+      setResendAt(result.resendAt);
+      setCode('');
+      setStep('code');
+    } catch (error) {
+      showError(error, 'No se pudo enviar el código. Por favor intente nuevamente.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Paso 2: Verificar el código de 6 dígitos
+   */
+  const handleVerifyCode = async () => {
+    if (!/^\d{6}$/.test(code)) {
+      setErrorMessage('El código debe tener 6 dígitos');
+      return;
+    }
+    if (isCodeExpired) {
+      setErrorMessage('El código expiró. Solicita uno nuevo.');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrorMessage('');
+    try {
+      const token = await verifyResetCode(email, code);
+      setResetToken(token);
+      setStep('password');
+    } catch (error) {
+      if (error.code === 'CODE_EXPIRED') {
+        setExpiresAt(Date.now()); // Mostrar el código como vencido
+      }
+      if (error.code === 'TOO_MANY_ATTEMPTS') {
+        setCode('');
+      }
+      showError(error, 'No se pudo verificar el código. Por favor intente nuevamente.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Paso 3: Guardar la contraseña nueva y volver al login
+   */
+  const handleResetPassword = async () => {
+    if (!checkPassword(password).isValid) {
+      setErrorMessage('La contraseña no cumple con los requisitos');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setErrorMessage('Las contraseñas no coinciden');
+      return;
+    }
+
+    setIsSubmitting(true);
+    setErrorMessage('');
+    try {
+      await resetPassword(resetToken, password);
+      Alert.alert(
+        'Contraseña actualizada',
+        'Inicia sesión con tu nueva contraseña.',
+        [{ text: 'OK', onPress: () => navigation.goBack() }]
+      );
+    } catch (error) {
+      if (error.code === 'RESET_EXPIRED') {
+        // Hay que empezar de nuevo desde el correo
+        setResetToken(null);
+        setExpiresAt(null);
+        setStep('email');
+      }
+      showError(error, 'No se pudo cambiar la contraseña. Por favor intente nuevamente.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  /**
+   * Botón principal de cada paso
+   */
+  const renderSubmitButton = (label, onPress, disabled = false) => (
+    <TouchableOpacity
+      style={[styles.primaryButton, (isSubmitting || disabled) && styles.primaryButtonDisabled]}
+      onPress={onPress}
+      disabled={isSubmitting || disabled}
+    >
+      {isSubmitting ? (
+        <ActivityIndicator color="#fff" />
+      ) : (
+        <Text style={styles.primaryButtonText}>{label}</Text>
+      )}
+    </TouchableOpacity>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.card}>
+          {/* === Encabezado con el paso actual === */}
+          <Text style={styles.stepText}>
+            Paso {STEPS.indexOf(step) + 1} de {STEPS.length}
+          </Text>
+          <Text style={styles.titleText}>
+            {step === 'email' && 'Recuperar contraseña'}
+            {step === 'code' && 'Ingresa el código'}
+            {step === 'password' && 'Nueva contraseña'}
+          </Text>
+          <Text style={styles.instructionText}>
+            {step === 'email' && 'Te enviaremos un código de 6 dígitos a tu correo.'}
+            {step === 'code' && `Enviamos un código a ${email.trim()}.`}
+            {step === 'password' && 'Crea una contraseña nueva para tu cuenta.'}
+          </Text>
+
+          {/* === Mensaje de error === */}
+          {errorMessage ? (
+            <View style={styles.errorContainer}>
+              <Text style={styles.errorText}>{errorMessage}</Text>
+            </View>
+          ) : null}
+
+          {/* === Paso 1: Correo electrónico === */}
+          {step === 'email' && (
+            <>
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Correo electrónico</Text>
+                <View style={styles.inputWrapper}>
+                  <TextInput
+                    style={styles.input}
+                    placeholder="Ingrese su correo electrónico"
+                    placeholderTextColor="#9CA3AF"
+                    value={email}
+                    onChangeText={(text) => {
+                      setEmail(text);
+                      setErrorMessage('');
+                    }}
+                    keyboardType="email-address"
+                    autoCapitalize="none"
+                    autoComplete="email"
+                  />
+                </View>
+              </View>
+              {renderSubmitButton(
+                resendRemaining > 0
+                  ? `Espera ${formatCountdown(resendRemaining)}`
+                  : 'Enviar código',
+                handleSendCode,
+                resendRemaining > 0
+              )}
+            </>
+          )}
+
+          {/* === Paso 2: Código de verificación === */}
+          {step === 'code' && (
+            <>
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Código de verificación</Text>
+                <View style={styles.inputWrapper}>
+                  <TextInput
+                    style={[styles.input, styles.codeInput]}
+                    placeholder="000000"
+                    placeholderTextColor="#D1D5DB"
+                    value={code}
+                    onChangeText={(text) => {
+                      setCode(text.replace(/\D/g, ''));
+                      setErrorMessage('');
+                    }}
+                    keyboardType="number-pad"
+                    maxLength={6}
+                    autoComplete="one-time-code"
+                    textContentType="oneTimeCode"
+                  />
+                </View>
+                {/* Vencimiento del código */}
+                <Text style={[styles.hintText, isCodeExpired && styles.hintTextExpired]}>
+                  {isCodeExpired
+                    ? 'El código expiró. Solicita uno nuevo.'
+                    : `El código vence en ${formatCountdown(expiresAt - now)}`}
+                </Text>
+              </View>
+
+              {renderSubmitButton('Verificar código', handleVerifyCode, isCodeExpired)}
+
+              {/* Reenviar código (con espera) */}
+              <TouchableOpacity
+                style={styles.linkButton}
+                onPress={handleSendCode}
+                disabled={resendRemaining > 0 || isSubmitting}
+              >
+                <Text style={[styles.linkText, resendRemaining > 0 && styles.linkTextDisabled]}>
+                  {resendRemaining > 0
+                    ? `Reenviar código en ${formatCountdown(resendRemaining)}`
+                    : 'Reenviar código'}
+                </Text>
+              </TouchableOpacity>
+
+              {/* Cambiar el correo */}
+              <TouchableOpacity
+                style={styles.linkButton}
+                onPress={() => {
+                  setStep('email');
+                  setErrorMessage('');
+                }}
+              >
+                <Text style={styles.linkText}>Usar otro correo</Text>
+              </TouchableOpacity>
+            </>
+          )}
+
+          {/* === Paso 3: Contraseña nueva === */}
+          {step === 'password' && (
+            <>
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Contraseña nueva</Text>
+                <View style={styles.inputWrapper}>
+                  <TextInput
+                    style={styles.input}
+                    placeholder="Cree una contraseña"
+                    placeholderTextColor="#9CA3AF"
+                    value={password}
+                    onChangeText={(text) => {
+                      setPassword(text);
+                      setErrorMessage('');
+                    }}
+                    secureTextEntry={!showPassword}
+                    autoCapitalize="none"
+                    autoComplete="password-new"
+                  />
+                  {/* Botón para mostrar/ocultar contraseña */}
+                  <TouchableOpacity
+                    onPress={() => setShowPassword(!showPassword)}
+                    style={styles.eyeButton}
+                  >
+                    <Ionicons
+                      name={showPassword ? "eye-off-outline" : "eye-outline"}
+                      size={20}
+                      color="#9CA3AF"
+                    />
+                  </TouchableOpacity>
+                </View>
+                <PasswordStrengthMeter password={password} />
+              </View>
+
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Confirmar contraseña</Text>
+                <View style={styles.inputWrapper}>
+                  <TextInput
+                    style={styles.input}
+                    placeholder="Repita la contraseña"
+                    placeholderTextColor="#9CA3AF"
+                    value={confirmPassword}
+                    onChangeText={(text) => {
+                      setConfirmPassword(text);
+                      setErrorMessage('');
+                    }}
+                    secureTextEntry={!showPassword}
+                    autoCapitalize="none"
+                    autoComplete="password-new"
+                  />
+                </View>
+              </View>
+
+              {renderSubmitButton('Guardar contraseña', handleResetPassword)}
+            </>
+          )}
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+/**
+ * Estilos del componente ForgotPasswordScreen
+ */
+const styles = StyleSheet.create({
+  // === Contenedores principales ===
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  card: {
+    width: '100%',
+    maxWidth: 400,
+    backgroundColor: '#fff',
+    borderRadius: 24,
+    padding: 32,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+
+  // === Textos informativos ===
+  stepText: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: '#3B82F6',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  titleText: {
+    fontSize: 28,
+    fontWeight: '700',
+    color: '#1E3A8A',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  instructionText: {
+    fontSize: 16,
+    color: '#9CA3AF',
+    marginBottom: 24,
+    textAlign: 'center',
+  },
+  hintText: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 8,
+  },
+  hintTextExpired: {
+    color: '#DC2626',
+  },
+
+  // === Mensajes de error ===
+  errorContainer: {
+    backgroundColor: '#FEE2E2',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 16,
+  },
+  errorText: {
+    color: '#DC2626',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+
+  // === Campos de entrada ===
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    minHeight: 48,
+  },
+  input: {
+    flex: 1,
+    fontSize: 16,
+    color: '#111',
+    paddingVertical: 12,
+  },
+  codeInput: {
+    fontSize: 24,
+    fontWeight: '700',
+    letterSpacing: 8,
+    textAlign: 'center',
+  },
+  eyeButton: {
+    padding: 4,
+  },
+
+  // === Botones ===
+  primaryButton: {
+    backgroundColor: '#3B82F6',
+    borderRadius: 12,
+    padding: 16,
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  primaryButtonDisabled: {
+    opacity: 0.7,
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '700',
+  },
+  linkButton: {
+    alignItems: 'center',
+    paddingVertical: 8,
+  },
+  linkText: {
+    fontSize: 14,
+    color: '#3B82F6',
+    fontWeight: '600',
+  },
+  linkTextDisabled: {
+    color: '#9CA3AF',
+  },
+});
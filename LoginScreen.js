@@ -3,7 +3,9 @@
  * 
  * Componente que maneja la autenticación de usuarios con las siguientes características:
  * - Validación de correo electrónico y contraseña
- * - Funcionalidad de "Recordarme" para persistir credenciales
+ * - Autenticación contra el backend (ver AuthService)
+ * - Funcionalidad de "Recordarme" para mantener la sesión iniciada
+ *   (la contraseña nunca se guarda; ver AuthService)
  * - Opciones de visibilidad de contraseña
  * - Manejo de errores con mensajes descriptivos
  * 
@@ -19,11 +21,13 @@ import {
   TouchableOpacity,
   KeyboardAvoidingView,
   Platform,
-  ScrollView
+  ScrollView,
+  ActivityIndicator
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useNavigation } from '@react-navigation/native';
+import { login, AuthError } from './AuthService';
 
 export default function LoginScreen() { 
   // === Estados del componente ===
@@ -32,25 +36,24 @@ export default function LoginScreen() {
   const [rememberMe, setRememberMe] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
   const [errorMessage, setErrorMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
   const navigation = useNavigation();
 
   /**
-   * Efecto: Cargar credenciales guardadas al montar el componente
+   * Efecto: Cargar el correo guardado al montar el componente
    * 
    * Se ejecuta una vez al inicializar la pantalla para recuperar
-   * las credenciales almacenadas si el usuario previamente seleccionó "Recordarme"
+   * el correo si el usuario previamente seleccionó "Recordarme"
    */
   useEffect(() => {
     const loadSavedCredentials = async () => {
       try {
         const savedEmail = await AsyncStorage.getItem('savedEmail');
-        const savedPassword = await AsyncStorage.getItem('savedPassword');
         const savedRememberMe = await AsyncStorage.getItem('rememberMe');
         
-        // Restaurar credenciales solo si se guardaron previamente
-        if (savedRememberMe === 'true' && savedEmail && savedPassword) {
+        // Restaurar el correo solo si se guardó previamente
+        if (savedRememberMe === 'true' && savedEmail) {
           setEmail(savedEmail);
-          setPassword(savedPassword);
           setRememberMe(true);
         }
       } catch (error) {
@@ -70,8 +73,9 @@ export default function LoginScreen() {
    * 3. Valida el formato del email mediante expresión regular
    * 
    * Si las validaciones pasan:
-   * - Guarda las credenciales si "Recordarme" está activado
-   * - Almacena el nombre de usuario (parte del email antes del @)
+   * - Inicia sesión en el backend; con "Recordarme" AuthService guarda el
+   *   refresh token cifrado, sin "Recordarme" la sesión queda solo en memoria
+   * - Guarda el correo si "Recordarme" está activado
    * - Navega al dashboard de gastos
    */
   const handleLogin = async () => {
@@ -94,29 +98,32 @@ export default function LoginScreen() {
       return;
     }
 
+    setIsSubmitting(true);
     try {
+      await login(email, password, { remember: rememberMe });
+
       // Gestionar la opción "Recordarme"
       if (rememberMe) {
-        // Guardar credenciales para futuras sesiones
+        // Guardar el correo para futuras sesiones
         await AsyncStorage.setItem('savedEmail', email);
-        await AsyncStorage.setItem('savedPassword', password);
         await AsyncStorage.setItem('rememberMe', 'true');
       } else {
-        // Eliminar credenciales guardadas si la opción no está activada
+        // Eliminar el correo guardado si la opción no está activada
         await AsyncStorage.removeItem('savedEmail');
-        await AsyncStorage.removeItem('savedPassword');
         await AsyncStorage.removeItem('rememberMe');
       }
 
-      // Extraer nombre de usuario del email y guardarlo
-      await AsyncStorage.setItem('username', email.split('@')[0]);
       console.log('Usuario autenticado:', email);
       
       // Navegar al dashboard reemplazando la pantalla actual
       navigation.replace('ExpenseDashboard');
     } catch (error) {
-      console.log('Error al guardar datos:', error);
-      setErrorMessage('Error al iniciar sesión. Por favor intente nuevamente.');
+      console.log('Error al iniciar sesión:', error);
+      setErrorMessage(error instanceof AuthError
+        ? error.message
+        : 'Error al iniciar sesión. Por favor intente nuevamente.');
+    } finally {
+      setIsSubmitting(false);
     }
   };
 
@@ -235,10 +242,7 @@ export default function LoginScreen() {
             </TouchableOpacity>
 
             {/* Link "¿Olvidaste tu contraseña?" */}
-            <TouchableOpacity onPress={() => {
-              // TODO: Implementar pantalla de recuperación de contraseña
-              console.log('Olvidé mi contraseña');
-            }}>
+            <TouchableOpacity onPress={() => navigation.navigate('ForgotPassword', { email })}>
               <Text style={styles.forgotPasswordText}>
                 ¿Olvidaste tu contraseña?
               </Text>
@@ -246,17 +250,22 @@ export default function LoginScreen() {
           </View>
 
           {/* === Botón de inicio de sesión === */}
-          <TouchableOpacity style={styles.loginButton} onPress={handleLogin}>
-            <Text style={styles.loginButtonText}>Ingresar</Text>
+          <TouchableOpacity
+            style={[styles.loginButton, isSubmitting && styles.loginButtonDisabled]}
+            onPress={handleLogin}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.loginButtonText}>Ingresar</Text>
+            )}
           </TouchableOpacity>
 
           {/* === Link para crear cuenta === */}
           <View style={styles.registerContainer}>
             <Text style={styles.registerText}>No tiene una cuenta? </Text>
-            <TouchableOpacity onPress={() => {
-              // TODO: Implementar pantalla de registro
-              console.log('Crear cuenta');
-            }}>
+            <TouchableOpacity onPress={() => navigation.navigate('Register')}>
               <Text style={styles.registerLink}>Cree una cuenta</Text>
             </TouchableOpacity>
           </View>
@@ -442,6 +451,9 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: 24,
   },
+  loginButtonDisabled: {
+    opacity: 0.7,
+  },
   loginButtonText: {
     color: '#fff',
     fontSize: 18,
@@ -6,9 +6,13 @@
  * - Formulario completo para datos del recibo (comerciante, fecha, categoría, método de pago)
  * - Gestión dinámica de productos (agregar/eliminar múltiples productos)
  * - Cálculo automático del total basado en productos
+ * - Desglose de impuestos por producto (tasa de IVA e IEPS) con opción de
+ *   capturar precios con o sin IVA (ver Taxes)
  * - Validación de campos obligatorios
  * - Modales para selección de categoría y método de pago
+ * - Registro de ingresos y depósitos (reembolsos, salario, etc.; ver Deposits)
  * - Modo edición: permite actualizar recibos existentes
+ * - Borrador desde escaneo: pre-llena el formulario con los datos del OCR
  * 
  * @component
  */
@@ -24,14 +28,33 @@ import {
   Alert,
   KeyboardAvoidingView,
   Platform,
-  Modal
+  Modal,
+  Switch
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useExpense } from './ExpenseContext';
+import {
+  toCents,
+  formatMoney,
+  centsToInput
+} from './Money';
+import {
+  IVA_RATES,
+  DEFAULT_IVA_RATE,
+  calculateProductTaxes,
+  calculateReceiptTaxes
+} from './Taxes';
+import { DEPOSIT_TYPE, DEPOSIT_SOURCES, isDeposit } from './Deposits';
+
+/**
+ * Producto vacío del formulario
+ * El precio y la tasa de IEPS (en %) se capturan como texto
+ */
+const EMPTY_PRODUCT = { name: '', price: '', quantity: 1, ivaRate: DEFAULT_IVA_RATE, iepsRate: '' };
 
 export default function ManualEntryScreen({ navigation, route }) {
   // Obtener funciones del contexto global
-  const { addReceipt, updateReceipt, receipts } = useExpense();
+  const { addReceipt, updateReceipt, receipts, getActiveCategories } = useExpense();
   
   /**
    * Determinar si estamos en modo edición
@@ -39,36 +62,48 @@ export default function ManualEntryScreen({ navigation, route }) {
    */
   const isEditing = route?.params?.receiptId;
 
+  /**
+   * Borrador generado al escanear un ticket (OCR)
+   * Contiene los datos detectados para que el usuario los revise antes de guardar
+   */
+  const draft = route?.params?.draft;
+
+  /**
+   * Tipo de registro: 'expense' (gasto) o 'deposit' (ingreso)
+   * Se puede abrir la pantalla directamente en modo ingreso con route.params.entryType
+   */
+  const [entryType, setEntryType] = useState(route?.params?.entryType || 'expense');
+  const isDepositEntry = entryType === 'deposit';
+
   // === Estados del formulario ===
   const [merchant, setMerchant] = useState('');
   const [date, setDate] = useState('');
   const [selectedCategory, setSelectedCategory] = useState(null);
   const [paymentMethod, setPaymentMethod] = useState('');
+  const [pricesIncludeTax, setPricesIncludeTax] = useState(true);
+
+  // Campos exclusivos de los ingresos
+  const [source, setSource] = useState('');
+  const [depositAmount, setDepositAmount] = useState('');
   
   /**
    * Array de productos
-   * Cada producto tiene: name, price, quantity
+   * Cada producto tiene: name, price (texto en pesos, tal como se captura), quantity,
+   * ivaRate (clave de IVA_RATES) e iepsRate (texto en %)
    * Se inicializa con un producto vacío por defecto
    */
-  const [products, setProducts] = useState([
-    { name: '', price: 0, quantity: 1 }
-  ]);
+  const [products, setProducts] = useState([EMPTY_PRODUCT]);
   
   // Estados para controlar la visibilidad de los modales
   const [showCategoryModal, setShowCategoryModal] = useState(false);
   const [showPaymentModal, setShowPaymentModal] = useState(false);
+  const [showSourceModal, setShowSourceModal] = useState(false);
 
   /**
    * Categorías disponibles para clasificar gastos
-   * Estas deben coincidir con las categorías definidas en ExpenseContext
+   * Solo las activas; un recibo en edición conserva su categoría aunque esté archivada
    */
-  const categories = [
-    'Alimentos',
-    'Transporte',
-    'Equipo de oficina',
-    'Servicios',
-    'Otros'
-  ];
+  const categories = getActiveCategories().map(cat => cat.name);
 
   /**
    * Métodos de pago disponibles
@@ -94,10 +129,40 @@ export default function ManualEntryScreen({ navigation, route }) {
       setDate(formatDateInput(receipt.date));
       setSelectedCategory(receipt.category || null);
       setPaymentMethod(receipt.paymentMethod || '');
-      setProducts(receipt.products || [{ name: '', price: 0, quantity: 1 }]);
+      setPricesIncludeTax(receipt.pricesIncludeTax !== false);
+      setProducts(receipt.products
+        ? toFormProducts(receipt.products)
+        : [EMPTY_PRODUCT]);
+      if (isDeposit(receipt)) {
+        setEntryType('deposit');
+        setSource(receipt.source || '');
+        setDepositAmount(centsToInput(receipt.amount));
+      }
     }
   }, [isEditing, route.params]);
 
+  /**
+   * Efecto: Pre-llenar el formulario con el borrador del escaneo
+   * 
+   * Solo aplica al crear un gasto nuevo. Los campos no detectados
+   * por el OCR se quedan vacíos para que el usuario los complete.
+   */
+  useEffect(() => {
+    if (!isEditing && draft) {
+      setMerchant(draft.name || '');
+      setDate(formatDateInput(draft.date));
+      setSelectedCategory(draft.category || null);
+      setPaymentMethod(draft.paymentMethod || '');
+      setPricesIncludeTax(draft.pricesIncludeTax !== false);
+      if (draft.products && draft.products.length > 0) {
+        setProducts(toFormProducts(draft.products));
+      } else if (draft.amount > 0) {
+        // Sin productos detectados: usar el total como un solo concepto
+        setProducts([{ ...EMPTY_PRODUCT, name: draft.name || 'Compra', price: centsToInput(draft.amount) }]);
+      }
+    }
+  }, [isEditing, draft]);
+
   /**
    * Formatear fecha de ISO a formato dd/mm/yyyy
    * 
@@ -117,19 +182,76 @@ export default function ManualEntryScreen({ navigation, route }) {
   };
 
   /**
-   * Calcular el total del recibo
+   * Convertir productos guardados (precios en centavos) al formato del formulario
    * 
-   * Suma el precio * cantidad de todos los productos.
-   * Maneja valores no numéricos convirtiéndolos a 0.
+   * @param {Array<Object>} savedProducts - Productos del recibo o del borrador
+   * @returns {Array<Object>} Productos con el precio y el IEPS como texto
+   */
+  const toFormProducts = (savedProducts) => {
+    return savedProducts.map(product => ({
+      name: product.name || '',
+      price: centsToInput(product.price),
+      quantity: product.quantity || 1,
+      ivaRate: product.ivaRate || DEFAULT_IVA_RATE,
+      iepsRate: product.iepsRate ? String(Math.round(product.iepsRate * 10000) / 100) : ''
+    }));
+  };
+
+  /**
+   * Convertir un producto del formulario a montos para el cálculo de impuestos
    * 
-   * @returns {number} Total calculado
+   * @param {Object} product - Producto del formulario
+   * @returns {Object} { price (centavos), quantity, ivaRate, iepsRate (fracción) }
    */
-  const calculateTotal = () => {
-    return products.reduce((sum, product) => {
-      const price = parseFloat(product.price) || 0;
-      const quantity = parseFloat(product.quantity) || 1;
-      return sum + (price * quantity);
-    }, 0);
+  const toTaxProduct = (product) => ({
+    price: toCents(product.price),
+    quantity: parseFloat(product.quantity) || 1,
+    ivaRate: product.ivaRate,
+    iepsRate: (parseFloat(product.iepsRate) || 0) / 100
+  });
+
+  /**
+   * Saber si el usuario cambió los productos del recibo en edición
+   * 
+   * Compara lo capturado en el formulario (productos y si incluyen IVA)
+   * con el recibo original convertido al mismo formato.
+   * 
+   * @returns {boolean} true si es una edición y los productos siguen igual
+   */
+  const areProductsUnchanged = () => {
+    const original = isEditing ? route.params?.receipt : null;
+    if (!original?.products) return false;
+
+    return JSON.stringify(products) === JSON.stringify(toFormProducts(original.products)) &&
+      pricesIncludeTax === (original.pricesIncludeTax !== false);
+  };
+
+  /**
+   * Obtener los importes timbrados de la factura en edición
+   * 
+   * Los importes de un CFDI son los del SAT; recalcularlos desde los
+   * productos puede dar otro total por redondeos o descuentos. Por eso se
+   * conservan mientras los productos (y si incluyen IVA) sigan sin cambios.
+   * 
+   * @returns {Object|null} Recibo original con sus importes, o null si no es
+   *   una factura en edición o si se modificaron sus productos
+   */
+  const getInvoiceAmounts = () => {
+    const original = isEditing ? route.params?.receipt : null;
+    if (original?.type !== 'Factura') return null;
+    return areProductsUnchanged() ? original : null;
+  };
+
+  /**
+   * Calcular el desglose de impuestos del recibo
+   * 
+   * Si los precios no incluyen IVA, el total suma los impuestos al
+   * importe capturado. Maneja valores no numéricos convirtiéndolos a 0.
+   * 
+   * @returns {Object} { subtotal, ieps, iva, total, byRate } en centavos
+   */
+  const calculateTaxes = () => {
+    return calculateReceiptTaxes(products.map(toTaxProduct), pricesIncludeTax);
   };
 
   /**
@@ -139,7 +261,7 @@ export default function ManualEntryScreen({ navigation, route }) {
    * El nuevo producto se inicializa con valores por defecto.
    */
   const handleAddProduct = () => {
-    setProducts([...products, { name: '', price: 0, quantity: 1 }]);
+    setProducts([...products, EMPTY_PRODUCT]);
   };
 
   /**
@@ -159,22 +281,94 @@ export default function ManualEntryScreen({ navigation, route }) {
   /**
    * Actualizar un campo específico de un producto
    * 
-   * Permite actualizar name, price o quantity de un producto.
-   * Los valores numéricos se parsean automáticamente.
+   * Permite actualizar name, price, quantity, ivaRate o iepsRate de un producto.
+   * El precio y el IEPS se conservan como texto para permitir capturar
+   * decimales; la cantidad se parsea automáticamente.
    * 
    * @param {number} index - Índice del producto a actualizar
-   * @param {string} field - Campo a actualizar ('name', 'price', 'quantity')
+   * @param {string} field - Campo a actualizar ('name', 'price', 'quantity', 'ivaRate', 'iepsRate')
    * @param {string|number} value - Nuevo valor
    */
   const handleProductChange = (index, field, value) => {
     const updatedProducts = [...products];
     updatedProducts[index] = {
       ...updatedProducts[index],
-      [field]: field === 'name' ? value : (parseFloat(value) || 0)
+      [field]: field === 'quantity' ? (parseFloat(value) || 0) : value
     };
     setProducts(updatedProducts);
   };
 
+  /**
+   * Convertir la fecha capturada (dd/mm/yyyy) a formato ISO
+   * 
+   * @param {string} dateText - Fecha en formato dd/mm/yyyy
+   * @returns {string} Fecha en formato ISO
+   */
+  const parseDateInput = (dateText) => {
+    const [day, month, year] = dateText.split('/');
+    return new Date(year, month - 1, day).toISOString();
+  };
+
+  /**
+   * Guardar un registro según el modo (edición o creación)
+   * 
+   * @param {Object} receiptData - Datos del recibo o ingreso
+   * @param {string} createdMessage - Mensaje de éxito al crear
+   */
+  const saveEntry = async (receiptData, createdMessage) => {
+    if (isEditing) {
+      await updateReceipt(route.params.receiptId, receiptData);
+      Alert.alert('Éxito', 'Recibo actualizado correctamente', [
+        { text: 'OK', onPress: () => navigation.goBack() }
+      ]);
+    } else {
+      await addReceipt(receiptData);
+      Alert.alert('Éxito', createdMessage, [
+        { text: 'OK', onPress: () => navigation.goBack() }
+      ]);
+    }
+  };
+
+  /**
+   * Guardar un ingreso o depósito (crear o actualizar)
+   * 
+   * Valida el concepto, la fecha, el origen y que el monto sea mayor a 0.
+   * Los ingresos no llevan categoría, productos ni impuestos.
+   */
+  const handleSaveDeposit = async () => {
+    if (!merchant.trim()) {
+      Alert.alert('Error', 'Por favor ingrese el concepto del ingreso');
+      return;
+    }
+    if (!date.trim()) {
+      Alert.alert('Error', 'Por favor ingrese la fecha');
+      return;
+    }
+    if (!source) {
+      Alert.alert('Error', 'Por favor seleccione el origen del ingreso');
+      return;
+    }
+    const amount = toCents(depositAmount);
+    if (!(amount > 0)) {
+      Alert.alert('Error', 'El monto debe ser mayor a 0');
+      return;
+    }
+
+    try {
+      await saveEntry({
+        name: merchant.trim(),
+        amount,
+        date: parseDateInput(date),
+        type: DEPOSIT_TYPE,
+        source,
+        status: 'Procesado'
+      }, 'Ingreso guardado correctamente');
+    } catch (error) {
+      console.error('Error al guardar ingreso:', error);
+      Alert.alert('Error', 'No se pudo guardar el ingreso');
+    }
+  };
+
   /**
    * Guardar el recibo (crear o actualizar)
    * 
@@ -188,8 +382,15 @@ export default function ManualEntryScreen({ navigation, route }) {
    * Si todas las validaciones pasan:
    * - En modo edición: actualiza el recibo existente
    * - En modo creación: agrega un nuevo recibo
+   * 
+   * Los ingresos se validan y guardan aparte (ver handleSaveDeposit).
    */
   const handleSave = async () => {
+    if (isDepositEntry) {
+      await handleSaveDeposit();
+      return;
+    }
+
     // Validación 1: Nombre del comerciante
     if (!merchant.trim()) {
       Alert.alert('Error', 'Por favor ingrese el nombre del comerciante/empresa');
@@ -216,51 +417,84 @@ export default function ManualEntryScreen({ navigation, route }) {
     }
 
     // Validación 5: Total mayor a 0
-    const total = calculateTotal();
-    if (total <= 0) {
+    const taxes = calculateReceiptTaxes(validProducts.map(toTaxProduct), pricesIncludeTax);
+    if (taxes.total <= 0) {
       Alert.alert('Error', 'El monto total debe ser mayor a 0');
       return;
     }
 
-    try {
-      // Parsear fecha de formato dd/mm/yyyy a objeto Date
-      const [day, month, year] = date.split('/');
-      const receiptDate = new Date(year, month - 1, day);
+    // Edición sin cambios en los productos: se conservan los importes guardados
+    // (los timbrados de una factura, o los de un recibo anterior al desglose
+    // de impuestos) y el historial solo registra lo que el usuario cambió
+    const keepStoredAmounts = areProductsUnchanged();
 
+    try {
       // Construir objeto de datos del recibo
       const receiptData = {
         name: merchant.trim(),
-        amount: total,
+        amount: taxes.total,
+        subtotal: taxes.subtotal,
+        iva: taxes.iva,
+        ieps: taxes.ieps,
+        pricesIncludeTax,
         category: selectedCategory,
-        date: receiptDate.toISOString(),
+        date: parseDateInput(date),
         paymentMethod: paymentMethod || undefined,
-        products: validProducts.map(p => ({
-          name: p.name.trim(),
-          price: parseFloat(p.price) || 0,
-          quantity: parseFloat(p.quantity) || 1
-        })),
-        type: 'Manual',
+        products: validProducts.map(p => {
+          const taxProduct = toTaxProduct(p);
+          const lineTaxes = calculateProductTaxes(taxProduct, pricesIncludeTax);
+          return {
+            name: p.name.trim(),
+            ...taxProduct,
+            subtotal: lineTaxes.subtotal,
+            ieps: lineTaxes.ieps,
+            iva: lineTaxes.iva
+          };
+        }),
+        // Conservar el tipo al editar (una 'Factura' no debe volverse 'Manual')
+        type: route.params?.receipt?.type || draft?.type || 'Manual',
         status: 'Procesado'
       };
+      if (keepStoredAmounts) {
+        ['amount', 'subtotal', 'iva', 'ieps', 'pricesIncludeTax', 'products']
+          .forEach(field => delete receiptData[field]);
+      }
+
+      // Foto del ticket escaneado (solo al crear; al editar se conserva la existente)
+      if (!isEditing && draft?.imageUri) {
+        receiptData.imageUri = draft.imageUri;
+      }
 
-      // Guardar según el modo (edición o creación)
-      if (isEditing) {
-        await updateReceipt(route.params.receiptId, receiptData);
-        Alert.alert('Éxito', 'Recibo actualizado correctamente', [
-          { text: 'OK', onPress: () => navigation.goBack() }
-        ]);
-      } else {
-        await addReceipt(receiptData);
-        Alert.alert('Éxito', 'Gasto guardado correctamente', [
-          { text: 'OK', onPress: () => navigation.goBack() }
-        ]);
+      // Datos fiscales leídos del QR del SAT
+      if (!isEditing && draft?.uuid) {
+        receiptData.uuid = draft.uuid;
+        receiptData.rfc = draft.rfc;
+        receiptData.receiverRfc = draft.receiverRfc;
       }
+
+      await saveEntry(receiptData, 'Gasto guardado correctamente');
     } catch (error) {
       console.error('Error al guardar:', error);
       Alert.alert('Error', 'No se pudo guardar el recibo');
     }
   };
 
+  // Desglose de impuestos en tiempo real
+  const taxes = calculateTaxes();
+
+  // Total que se guardará (el timbrado si es una factura sin cambios)
+  const invoiceAmounts = getInvoiceAmounts();
+  const entryTotal = invoiceAmounts ? invoiceAmounts.amount : taxes.total;
+
+  /**
+   * Total detectado en el ticket escaneado cuando no coincide con la suma
+   * de los productos (propina, descuentos o productos que el OCR no leyó)
+   */
+  const draftTotalMismatch = !isEditing && !isDepositEntry &&
+    draft?.products?.length > 0 && draft.amount > 0 && taxes.total !== draft.amount
+    ? draft.amount
+    : null;
+
   return (
     <KeyboardAvoidingView 
       style={styles.container}
@@ -268,7 +502,60 @@ export default function ManualEntryScreen({ navigation, route }) {
     >
       <ScrollView style={styles.scrollView}>
         <View style={styles.content}>
-          <Text style={styles.mainTitle}>Añadir gasto manualmente</Text>
+          <Text style={styles.mainTitle}>
+            {isDepositEntry ? 'Registrar ingreso' : 'Añadir gasto manualmente'}
+          </Text>
+
+          {/* Selector de tipo de registro (al editar se conserva el tipo) */}
+          {!isEditing && (
+            <View style={styles.entryTypeSelector}>
+              {[
+                { key: 'expense', label: 'Gasto', icon: 'remove-circle-outline' },
+                { key: 'deposit', label: 'Ingreso', icon: 'add-circle-outline' }
+              ].map((option) => (
+                <TouchableOpacity
+                  key={option.key}
+                  style={[
+                    styles.entryTypeOption,
+                    entryType === option.key && styles.entryTypeOptionSelected
+                  ]}
+                  onPress={() => setEntryType(option.key)}
+                >
+                  <Ionicons
+                    name={option.icon}
+                    size={18}
+                    color={entryType === option.key ? '#fff' : '#6B7280'}
+                  />
+                  <Text style={[
+                    styles.entryTypeText,
+                    entryType === option.key && styles.entryTypeTextSelected
+                  ]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          )}
+
+          {/* Aviso: la factura escaneada ya estaba registrada */}
+          {draft?.duplicateOf && !isEditing && (
+            <View style={[styles.draftNotice, styles.duplicateNotice]}>
+              <Ionicons name="warning-outline" size={20} color="#B45309" />
+              <Text style={[styles.draftNoticeText, styles.duplicateNoticeText]}>
+                Ya existe un recibo con el UUID de esta factura.
+              </Text>
+            </View>
+          )}
+
+          {/* Aviso: datos pre-llenados desde un ticket escaneado */}
+          {draft?.rawText && !isEditing && (
+            <View style={styles.draftNotice}>
+              <Ionicons name="scan-outline" size={20} color="#1E3A8A" />
+              <Text style={styles.draftNoticeText}>
+                Datos detectados del ticket. Revísalos antes de guardar.
+              </Text>
+            </View>
+          )}
 
           {/* === Sección: Información Básica === */}
           <View style={styles.section}>
@@ -277,11 +564,11 @@ export default function ManualEntryScreen({ navigation, route }) {
             {/* Campo: Comerciante/Empresa */}
             <View style={styles.inputGroup}>
               <Text style={styles.label}>
-                Comerciante/Empresa <Text style={styles.required}>*</Text>
+                {isDepositEntry ? 'Concepto' : 'Comerciante/Empresa'} <Text style={styles.required}>*</Text>
               </Text>
               <TextInput
                 style={styles.input}
-                placeholder="Introduzca el nombre de la tienda"
+                placeholder={isDepositEntry ? 'Ej. Reembolso de viáticos' : 'Introduzca el nombre de la tienda'}
                 placeholderTextColor="#9CA3AF"
                 value={merchant}
                 onChangeText={setMerchant}
@@ -305,117 +592,258 @@ export default function ManualEntryScreen({ navigation, route }) {
               </View>
             </View>
 
-            {/* Campo: Categoría (con modal) */}
-            <View style={styles.inputGroup}>
-              <Text style={styles.label}>
-                Categoria <Text style={styles.required}>*</Text>
-              </Text>
-              <TouchableOpacity
-                style={styles.dropdown}
-                onPress={() => setShowCategoryModal(true)}
-              >
-                <Text style={[
-                  styles.dropdownText,
-                  !selectedCategory && styles.placeholderText
-                ]}>
-                  {selectedCategory || 'Seleccionar categoria'}
-                </Text>
-                <Ionicons name="chevron-down" size={20} color="#9CA3AF" />
-              </TouchableOpacity>
-            </View>
-
-            {/* Campo: Método de Pago (opcional, con modal) */}
-            <View style={styles.inputGroup}>
-              <Text style={styles.label}>
-                Metodo de pago (Opcional)
-              </Text>
-              <TouchableOpacity
-                style={styles.dropdown}
-                onPress={() => setShowPaymentModal(true)}
-              >
-                <Text style={[
-                  styles.dropdownText,
-                  !paymentMethod && styles.placeholderText
-                ]}>
-                  {paymentMethod || 'Selecciona el metodo de pago'}
-                </Text>
-                <Ionicons name="chevron-down" size={20} color="#9CA3AF" />
-              </TouchableOpacity>
-            </View>
-          </View>
-
-          {/* === Sección: Productos === */}
-          <View style={styles.section}>
-            <Text style={styles.sectionTitle}>Productos</Text>
-            
-            {/* Lista dinámica de productos */}
-            {products.map((product, index) => (
-              <View key={index} style={styles.productRow}>
-                {/* Nombre del producto */}
-                <View style={styles.productNameContainer}>
-                  <Text style={styles.productLabel}>Nombre del producto</Text>
-                  <TextInput
-                    style={styles.productNameInput}
-                    placeholder="Nombre/Descripción"
-                    placeholderTextColor="#9CA3AF"
-                    value={product.name}
-                    onChangeText={(value) => handleProductChange(index, 'name', value)}
-                  />
+            {/* Campos del ingreso: origen y monto */}
+            {isDepositEntry && (
+              <>
+                <View style={styles.inputGroup}>
+                  <Text style={styles.label}>
+                    Origen <Text style={styles.required}>*</Text>
+                  </Text>
+                  <TouchableOpacity
+                    style={styles.dropdown}
+                    onPress={() => setShowSourceModal(true)}
+                  >
+                    <Text style={[
+                      styles.dropdownText,
+                      !source && styles.placeholderText
+                    ]}>
+                      {source || 'Seleccionar origen'}
+                    </Text>
+                    <Ionicons name="chevron-down" size={20} color="#9CA3AF" />
+                  </TouchableOpacity>
                 </View>
 
-                {/* Precio */}
-                <View style={styles.productPriceContainer}>
-                  <Text style={styles.productLabel}>Precio</Text>
+                <View style={styles.inputGroup}>
+                  <Text style={styles.label}>
+                    Monto <Text style={styles.required}>*</Text>
+                  </Text>
                   <TextInput
-                    style={styles.productPriceInput}
+                    style={styles.input}
                     placeholder="0.00"
                     placeholderTextColor="#9CA3AF"
-                    value={product.price.toString()}
-                    onChangeText={(value) => handleProductChange(index, 'price', value)}
+                    value={depositAmount}
+                    onChangeText={setDepositAmount}
                     keyboardType="decimal-pad"
                   />
                 </View>
+              </>
+            )}
 
-                {/* Cantidad */}
-                <View style={styles.productQuantityContainer}>
-                  <Text style={styles.productLabel}>Cant.</Text>
-                  <TextInput
-                    style={styles.productQuantityInput}
-                    placeholder="1"
-                    placeholderTextColor="#9CA3AF"
-                    value={product.quantity.toString()}
-                    onChangeText={(value) => handleProductChange(index, 'quantity', value)}
-                    keyboardType="numeric"
+            {!isDepositEntry && (
+              <>
+                {/* Campo: Categoría (con modal) */}
+                <View style={styles.inputGroup}>
+                  <Text style={styles.label}>
+                    Categoria <Text style={styles.required}>*</Text>
+                  </Text>
+                  <TouchableOpacity
+                    style={styles.dropdown}
+                    onPress={() => setShowCategoryModal(true)}
+                  >
+                    <Text style={[
+                      styles.dropdownText,
+                      !selectedCategory && styles.placeholderText
+                    ]}>
+                      {selectedCategory || 'Seleccionar categoria'}
+                    </Text>
+                    <Ionicons name="chevron-down" size={20} color="#9CA3AF" />
+                  </TouchableOpacity>
+                </View>
+
+                {/* Campo: Método de Pago (opcional, con modal) */}
+                <View style={styles.inputGroup}>
+                  <Text style={styles.label}>
+                    Metodo de pago (Opcional)
+                  </Text>
+                  <TouchableOpacity
+                    style={styles.dropdown}
+                    onPress={() => setShowPaymentModal(true)}
+                  >
+                    <Text style={[
+                      styles.dropdownText,
+                      !paymentMethod && styles.placeholderText
+                    ]}>
+                      {paymentMethod || 'Selecciona el metodo de pago'}
+                    </Text>
+                    <Ionicons name="chevron-down" size={20} color="#9CA3AF" />
+                  </TouchableOpacity>
+                </View>
+              </>
+            )}
+          </View>
+
+          {!isDepositEntry && (
+            <>
+              {/* === Sección: Productos === */}
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Productos</Text>
+
+                {/* Precios con o sin IVA */}
+                <View style={styles.taxToggleRow}>
+                  <Text style={styles.taxToggleLabel}>Los precios incluyen IVA</Text>
+                  <Switch
+                    value={pricesIncludeTax}
+                    onValueChange={setPricesIncludeTax}
+                    trackColor={{ true: '#1E3A8A' }}
                   />
                 </View>
+            
+                {/* Lista dinámica de productos */}
+                {products.map((product, index) => (
+                  <View key={index} style={styles.productContainer}>
+                    <View style={styles.productRow}>
+                      {/* Nombre del producto */}
+                      <View style={styles.productNameContainer}>
+                        <Text style={styles.productLabel}>Nombre del producto</Text>
+                        <TextInput
+                          style={styles.productNameInput}
+                          placeholder="Nombre/Descripción"
+                          placeholderTextColor="#9CA3AF"
+                          value={product.name}
+                          onChangeText={(value) => handleProductChange(index, 'name', value)}
+                        />
+                      </View>
+
+                      {/* Precio */}
+                      <View style={styles.productPriceContainer}>
+                        <Text style={styles.productLabel}>Precio</Text>
+                        <TextInput
+                          style={styles.productPriceInput}
+                          placeholder="0.00"
+                          placeholderTextColor="#9CA3AF"
+                          value={product.price}
+                          onChangeText={(value) => handleProductChange(index, 'price', value)}
+                          keyboardType="decimal-pad"
+                        />
+                      </View>
+
+                      {/* Cantidad */}
+                      <View style={styles.productQuantityContainer}>
+                        <Text style={styles.productLabel}>Cant.</Text>
+                        <TextInput
+                          style={styles.productQuantityInput}
+                          placeholder="1"
+                          placeholderTextColor="#9CA3AF"
+                          value={product.quantity.toString()}
+                          onChangeText={(value) => handleProductChange(index, 'quantity', value)}
+                          keyboardType="numeric"
+                        />
+                      </View>
+
+                      {/* Botón para eliminar producto */}
+                      <TouchableOpacity
+                        style={styles.deleteProductButton}
+                        onPress={() => handleRemoveProduct(index)}
+                      >
+                        <Ionicons name="trash-outline" size={20} color="#DC2626" />
+                      </TouchableOpacity>
+                    </View>
+
+                    {/* Impuestos del producto: tasa de IVA e IEPS */}
+                    <View style={styles.productTaxRow}>
+                      <View style={styles.ivaOptions}>
+                        {IVA_RATES.map((option) => (
+                          <TouchableOpacity
+                            key={option.key}
+                            style={[
+                              styles.ivaChip,
+                              product.ivaRate === option.key && styles.ivaChipSelected
+                            ]}
+                            onPress={() => handleProductChange(index, 'ivaRate', option.key)}
+                          >
+                            <Text style={[
+                              styles.ivaChipText,
+                              product.ivaRate === option.key && styles.ivaChipTextSelected
+                            ]}>
+                              {option.label}
+                            </Text>
+                          </TouchableOpacity>
+                        ))}
+                      </View>
+                      <View style={styles.iepsContainer}>
+                        <Text style={styles.productLabel}>IEPS %</Text>
+                        <TextInput
+                          style={styles.productQuantityInput}
+                          placeholder="0"
+                          placeholderTextColor="#9CA3AF"
+                          value={product.iepsRate}
+                          onChangeText={(value) => handleProductChange(index, 'iepsRate', value)}
+                          keyboardType="decimal-pad"
+                        />
+                      </View>
+                    </View>
+                  </View>
+                ))}
 
-                {/* Botón para eliminar producto */}
+                {/* Botón para agregar más productos */}
                 <TouchableOpacity
-                  style={styles.deleteProductButton}
-                  onPress={() => handleRemoveProduct(index)}
+                  style={styles.addProductButton}
+                  onPress={handleAddProduct}
                 >
-                  <Ionicons name="trash-outline" size={20} color="#DC2626" />
+                  <Ionicons name="add" size={20} color="#fff" />
+                  <Text style={styles.addProductButtonText}>Agregar producto</Text>
                 </TouchableOpacity>
               </View>
-            ))}
 
-            {/* Botón para agregar más productos */}
-            <TouchableOpacity
-              style={styles.addProductButton}
-              onPress={handleAddProduct}
-            >
-              <Ionicons name="add" size={20} color="#fff" />
-              <Text style={styles.addProductButtonText}>Agregar producto</Text>
-            </TouchableOpacity>
-          </View>
+              {/* === Sección: Desglose de Impuestos === */}
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Impuestos</Text>
+                <View style={styles.taxLine}>
+                  <Text style={styles.taxLineLabel}>Subtotal</Text>
+                  <Text style={styles.taxLineValue}>{formatMoney(taxes.subtotal)}</Text>
+                </View>
+                {taxes.ieps > 0 && (
+                  <View style={styles.taxLine}>
+                    <Text style={styles.taxLineLabel}>IEPS</Text>
+                    <Text style={styles.taxLineValue}>{formatMoney(taxes.ieps)}</Text>
+                  </View>
+                )}
+                {taxes.byRate.map((group) => (
+                  <View key={group.key} style={styles.taxLine}>
+                    <Text style={styles.taxLineLabel}>
+                      IVA {group.label} (base {formatMoney(group.base)})
+                    </Text>
+                    <Text style={styles.taxLineValue}>{formatMoney(group.iva)}</Text>
+                  </View>
+                ))}
+              </View>
+            </>
+          )}
 
           {/* === Sección: Cálculo Total === */}
           {/* Muestra el total calculado en tiempo real */}
           <View style={styles.totalSection}>
-            <Text style={styles.totalLabel}>Calculo Total:</Text>
-            <Text style={styles.totalAmount}>${calculateTotal().toFixed(2)}</Text>
+            <Text style={styles.totalLabel}>
+              {isDepositEntry ? 'Monto del ingreso:' : 'Calculo Total:'}
+            </Text>
+            <Text style={styles.totalAmount}>
+              {formatMoney(isDepositEntry ? toCents(depositAmount) : entryTotal)}
+            </Text>
           </View>
 
+          {/* Aviso: se conservan los importes del CFDI mientras no cambien los productos */}
+          {invoiceAmounts && !isDepositEntry && (
+            <View style={styles.draftNotice}>
+              <Ionicons name="document-text-outline" size={20} color="#1E3A8A" />
+              <Text style={styles.draftNoticeText}>
+                Se conservan los importes de la factura. Si modifica los productos, el
+                total se recalcula.
+              </Text>
+            </View>
+          )}
+
+          {/* Aviso: el total del ticket no coincide con la suma de los productos */}
+          {draftTotalMismatch !== null && (
+            <View style={[styles.draftNotice, styles.duplicateNotice]}>
+              <Ionicons name="alert-circle-outline" size={20} color="#B45309" />
+              <Text style={[styles.draftNoticeText, styles.duplicateNoticeText]}>
+                El total del ticket es {formatMoney(draftTotalMismatch)}, pero los productos
+                suman {formatMoney(taxes.total)}. Puede haber propina, descuentos o productos
+                sin detectar.
+              </Text>
+            </View>
+          )}
+
           {/* === Botón de Guardar === */}
           <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
             <Ionicons name="save-outline" size={20} color="#fff" />
@@ -456,6 +884,37 @@ export default function ManualEntryScreen({ navigation, route }) {
         </View>
       </Modal>
 
+      {/* === Modal de Selección de Origen del Ingreso === */}
+      <Modal
+        visible={showSourceModal}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowSourceModal(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Seleccionar Origen</Text>
+              <TouchableOpacity onPress={() => setShowSourceModal(false)}>
+                <Ionicons name="close" size={24} color="#111" />
+              </TouchableOpacity>
+            </View>
+            {DEPOSIT_SOURCES.map((option) => (
+              <TouchableOpacity
+                key={option}
+                style={styles.modalOption}
+                onPress={() => {
+                  setSource(option);
+                  setShowSourceModal(false);
+                }}
+              >
+                <Text style={styles.modalOptionText}>{option}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      </Modal>
+
       {/* === Modal de Selección de Método de Pago === */}
       {/* Modal tipo bottom sheet para seleccionar método de pago */}
       <Modal
@@ -520,6 +979,55 @@ const styles = StyleSheet.create({
     color: '#111',
     marginBottom: 24,
   },
+  entryTypeSelector: {
+    flexDirection: 'row',
+    gap: 12,
+    marginBottom: 16,
+  },
+  entryTypeOption: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: 6,
+    paddingVertical: 12,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  entryTypeOptionSelected: {
+    backgroundColor: '#1E3A8A',
+    borderColor: '#1E3A8A',
+  },
+  entryTypeText: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: '#6B7280',
+  },
+  entryTypeTextSelected: {
+    color: '#fff',
+  },
+  draftNotice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#DBEAFE',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 16,
+    gap: 8,
+  },
+  draftNoticeText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#1E3A8A',
+  },
+  duplicateNotice: {
+    backgroundColor: '#FEF3C7',
+  },
+  duplicateNoticeText: {
+    color: '#B45309',
+  },
   
   // === Secciones ===
   section: {
@@ -592,10 +1100,27 @@ const styles = StyleSheet.create({
   },
   
   // === Productos ===
+  taxToggleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  taxToggleLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+  },
+  productContainer: {
+    marginBottom: 16,
+    paddingBottom: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
   productRow: {
     flexDirection: 'row',
     gap: 12,
-    marginBottom: 16,
+    marginBottom: 12,
     alignItems: 'flex-start',
   },
   productNameContainer: {
@@ -647,6 +1172,40 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     marginTop: 20, // Alineado con los inputs
   },
+  productTaxRow: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    gap: 12,
+  },
+  ivaOptions: {
+    flex: 1,
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 6,
+  },
+  ivaChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    backgroundColor: '#F9FAFB',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+  },
+  ivaChipSelected: {
+    backgroundColor: '#1E3A8A',
+    borderColor: '#1E3A8A',
+  },
+  ivaChipText: {
+    fontSize: 12,
+    color: '#6B7280',
+    fontWeight: '500',
+  },
+  ivaChipTextSelected: {
+    color: '#fff',
+  },
+  iepsContainer: {
+    width: 70,
+  },
   addProductButton: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -662,6 +1221,22 @@ const styles = StyleSheet.create({
     fontWeight: '600',
   },
   
+  // === Impuestos ===
+  taxLine: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    paddingVertical: 6,
+  },
+  taxLineLabel: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  taxLineValue: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#111',
+  },
+
   // === Total ===
   totalSection: {
     flexDirection: 'row',
@@ -0,0 +1,139 @@
+/**
+ * Utilidades de Dinero
+ *
+ * Todos los montos de la aplicación se guardan como enteros en centavos
+ * (unidad menor) para evitar los errores de redondeo de los números de
+ * punto flotante (0.1 + 0.2 !== 0.3). Este módulo concentra:
+ * - Conversión entre pesos y centavos
+ * - Aritmética con centavos (multiplicar por cantidades, sumar, promediar)
+ * - Reparto de porcentajes que siempre suman 100
+ * - Formato para mostrar montos en pantalla
+ *
+ * @module Money
+ */
+
+/**
+ * Convertir un monto en pesos a centavos
+ *
+ * Acepta números o texto capturado por el usuario ("12.5", "1,234.50").
+ * Redondea a medio centavo hacia arriba (1.005 → 101).
+ *
+ * @param {number|string} value - Monto en pesos
+ * @returns {number} Monto entero en centavos (0 si no es válido)
+ *
+ * @example
+ * toCents(0.1 + 0.2); // 30
+ * toCents('1,234.50'); // 123450
+ */
+export const toCents = (value) => {
+  const number = typeof value === 'string'
+    ? parseFloat(value.replace(/[$,\s]/g, ''))
+    : Number(value);
+  if (!Number.isFinite(number)) return 0;
+  // toFixed elimina el error binario antes de redondear (1.005 * 100 = 100.4999...)
+  return Math.round(parseFloat((number * 100).toFixed(4)));
+};
+
+/**
+ * Convertir centavos a pesos
+ *
+ * Solo debe usarse para mostrar o exportar valores, nunca para sumar.
+ *
+ * @param {number} cents - Monto en centavos
+ * @returns {number} Monto en pesos
+ */
+export const fromCents = (cents) => (cents || 0) / 100;
+
+/**
+ * Multiplicar un precio unitario por una cantidad
+ *
+ * La cantidad puede ser fraccionaria (litros, kilos); el resultado se
+ * redondea al centavo más cercano.
+ *
+ * @param {number} unitCents - Precio unitario en centavos
+ * @param {number} quantity - Cantidad
+ * @returns {number} Importe en centavos
+ */
+export const multiplyCents = (unitCents, quantity) => {
+  return Math.round((unitCents || 0) * (Number(quantity) || 0));
+};
+
+/**
+ * Sumar una lista de montos en centavos
+ *
+ * @param {Array<number>} values - Montos en centavos
+ * @returns {number} Suma en centavos
+ */
+export const sumCents = (values) => {
+  return values.reduce((sum, value) => sum + (value || 0), 0);
+};
+
+/**
+ * Dividir un monto entre un número de partes (por ejemplo, para promedios)
+ *
+ * @param {number} cents - Monto en centavos
+ * @param {number} parts - Número de partes
+ * @returns {number} Resultado redondeado en centavos (0 si parts es 0)
+ */
+export const divideCents = (cents, parts) => {
+  return parts > 0 ? Math.round(cents / parts) : 0;
+};
+
+/**
+ * Calcular porcentajes enteros que siempre suman 100
+ *
+ * Usa el método del mayor residuo: se redondea hacia abajo y los puntos
+ * faltantes se asignan a las partes con mayor fracción decimal.
+ *
+ * @param {Array<number>} values - Montos en centavos
+ * @returns {Array<number>} Porcentajes enteros en el mismo orden (todos 0 si el total es 0)
+ *
+ * @example
+ * toPercentages([1, 1, 1]); // [34, 33, 33]
+ */
+export const toPercentages = (values) => {
+  const total = sumCents(values);
+  if (total <= 0) return values.map(() => 0);
+
+  const exact = values.map(value => (value / total) * 100);
+  const result = exact.map(Math.floor);
+  let remaining = 100 - sumCents(result);
+
+  exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ index }) => {
+      if (remaining > 0) {
+        result[index] += 1;
+        remaining -= 1;
+      }
+    });
+
+  return result;
+};
+
+/**
+ * Formatear un monto en centavos para mostrarlo
+ *
+ * @param {number} cents - Monto en centavos
+ * @returns {string} Monto con signo de pesos y separador de miles
+ *
+ * @example
+ * formatMoney(123450); // "$1,234.50"
+ * formatMoney(-500);   // "-$5.00"
+ */
+export const formatMoney = (cents) => {
+  const value = Math.round(cents || 0);
+  const absolute = Math.abs(value);
+  const integer = String(Math.floor(absolute / 100)).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  const decimals = String(absolute % 100).padStart(2, '0');
+  return `${value < 0 ? '-' : ''}$${integer}.${decimals}`;
+};
+
+/**
+ * Mostrar un monto en centavos como texto editable (sin signo ni separadores)
+ *
+ * @param {number} cents - Monto en centavos
+ * @returns {string} Texto para un TextInput, por ejemplo "1234.50"
+ */
+export const centsToInput = (cents) => fromCents(cents).toFixed(2);
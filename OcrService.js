@@ -0,0 +1,124 @@
+/**
+ * Servicio de Reconocimiento Óptico de Caracteres (OCR)
+ *
+ * Convierte la fotografía de un ticket en texto plano para que pueda ser
+ * interpretado por el parser de recibos. El reconocimiento se hace mediante
+ * un "motor" intercambiable:
+ * - Por defecto se usa ML Kit, que se ejecuta en el dispositivo y no
+ *   requiere conexión a internet. Su módulo nativo solo existe en un
+ *   development build; en Expo Go App.js registra el motor de ejemplo
+ * - Se puede registrar cualquier otro motor con setOcrEngine (por ejemplo,
+ *   un servicio en la nube o un motor simulado para desarrollo)
+ *
+ * Un motor es un objeto con la siguiente forma:
+ * {
+ *   name: string,                                  // Identificador del motor
+ *   recognize: (imageUri) => Promise<{ text, lines }>
+ * }
+ *
+ * @module OcrService
+ */
+
+import TextRecognition from '@react-native-ml-kit/text-recognition';
+
+/**
+ * Motor OCR incluido con la aplicación (ML Kit, sin conexión)
+ *
+ * ML Kit agrupa el texto en bloques y líneas. Se devuelven las líneas
+ * en orden de lectura para conservar la estructura del ticket.
+ *
+ * @type {Object}
+ */
+export const mlKitEngine = {
+  name: 'mlkit',
+  recognize: async (imageUri) => {
+    const result = await TextRecognition.recognize(imageUri);
+    const lines = result.blocks.flatMap(block => block.lines.map(line => line.text));
+    return {
+      text: lines.length > 0 ? lines.join('\n') : result.text,
+      lines
+    };
+  }
+};
+
+/**
+ * Crear un motor OCR de desarrollo basado en textos de ejemplo
+ *
+ * Devuelve los textos en orden, uno por captura. Útil en Expo Go o en
+ * simuladores, donde ML Kit no está disponible.
+ *
+ * @param {Array<{text: string}>} samples - Tickets de ejemplo (ver ReceiptSamples)
+ * @returns {Object} Motor OCR simulado
+ *
+ * @example
+ * setOcrEngine(createSampleEngine(RECEIPT_SAMPLES));
+ */
+export const createSampleEngine = (samples) => {
+  let index = 0;
+  return {
+    name: 'samples',
+    recognize: async () => {
+      const { text } = samples[index % samples.length];
+      index += 1;
+      return { text, lines: text.split('\n') };
+    }
+  };
+};
+
+// Motor activo (módulo privado)
+let activeEngine = mlKitEngine;
+
+/**
+ * Registrar el motor OCR a utilizar
+ *
+ * @param {Object} engine - Motor con name y recognize(imageUri)
+ * @throws {Error} Si el motor no implementa recognize
+ *
+ * @example
+ * setOcrEngine({
+ *   name: 'mock',
+ *   recognize: async () => ({ text: 'OXXO\nTOTAL 25.00', lines: [] })
+ * });
+ */
+export const setOcrEngine = (engine) => {
+  if (!engine || typeof engine.recognize !== 'function') {
+    throw new Error('El motor OCR debe implementar recognize(imageUri)');
+  }
+  activeEngine = engine;
+};
+
+/**
+ * Obtener el motor OCR activo
+ *
+ * @returns {Object} Motor OCR actual
+ */
+export const getOcrEngine = () => activeEngine;
+
+/**
+ * Reconocer el texto de una imagen
+ *
+ * @param {string} imageUri - URI local de la imagen capturada
+ * @returns {Promise<{text: string, lines: Array<string>, engine: string}>} Texto reconocido
+ * @throws {Error} Si el motor falla o no se detecta texto en la imagen
+ *
+ * @example
+ * const { text } = await recognizeText(photo.uri);
+ */
+export const recognizeText = async (imageUri) => {
+  if (!imageUri) {
+    throw new Error('No se proporcionó una imagen para el OCR');
+  }
+
+  const { text = '', lines } = await activeEngine.recognize(imageUri);
+  const normalizedText = text.trim();
+
+  if (!normalizedText) {
+    throw new Error('No se detectó texto en la imagen');
+  }
+
+  return {
+    text: normalizedText,
+    lines: lines && lines.length > 0 ? lines : normalizedText.split('\n'),
+    engine: activeEngine.name
+  };
+};
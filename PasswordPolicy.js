@@ -0,0 +1,97 @@
+/**
+ * Política de Contraseñas
+ *
+ * Reglas que debe cumplir una contraseña nueva (registro y recuperación)
+ * y cálculo de su fortaleza para mostrarla mientras se escribe:
+ * - Obligatorias: longitud mínima, minúscula, mayúscula y número
+ * - Opcional: un símbolo, que sube la fortaleza a "Fuerte"
+ *
+ * @module PasswordPolicy
+ */
+
+/**
+ * Longitud mínima de una contraseña
+ */
+export const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Reglas de contraseña, en el orden en que se muestran
+ */
+export const PASSWORD_RULES = [
+  {
+    id: 'length',
+    label: `Al menos ${MIN_PASSWORD_LENGTH} caracteres`,
+    required: true,
+    test: (password) => password.length >= MIN_PASSWORD_LENGTH
+  },
+  {
+    id: 'lowercase',
+    label: 'Una letra minúscula',
+    required: true,
+    test: (password) => /[a-záéíóúñü]/.test(password)
+  },
+  {
+    id: 'uppercase',
+    label: 'Una letra mayúscula',
+    required: true,
+    test: (password) => /[A-ZÁÉÍÓÚÑÜ]/.test(password)
+  },
+  {
+    id: 'number',
+    label: 'Un número',
+    required: true,
+    test: (password) => /\d/.test(password)
+  },
+  {
+    id: 'symbol',
+    label: 'Un símbolo (recomendado)',
+    required: false,
+    test: (password) => /[^A-Za-z0-9áéíóúñüÁÉÍÓÚÑÜ\s]/.test(password)
+  }
+];
+
+/**
+ * Niveles de fortaleza con su etiqueta y color
+ */
+export const PASSWORD_STRENGTHS = {
+  weak: { label: 'Débil', color: '#DC2626' },
+  medium: { label: 'Media', color: '#F59E0B' },
+  strong: { label: 'Fuerte', color: '#10B981' }
+};
+
+/**
+ * Revisar una contraseña contra las reglas
+ *
+ * @param {string} password - Contraseña a revisar
+ * @returns {{rules: Array<Object>, isValid: boolean, strength: string, score: number}}
+ *   - rules: cada regla con passed
+ *   - isValid: cumple todas las reglas obligatorias
+ *   - strength: 'weak', 'medium' o 'strong' (ver PASSWORD_STRENGTHS)
+ *   - score: fracción de reglas cumplidas, de 0 a 1
+ *
+ * @example
+ * checkPassword('Gastos2024').strength; // 'medium'
+ * checkPassword('Gastos2024!').strength; // 'strong'
+ */
+export const checkPassword = (password) => {
+  const rules = PASSWORD_RULES.map(rule => ({
+    id: rule.id,
+    label: rule.label,
+    required: rule.required,
+    passed: rule.test(password)
+  }));
+  const isValid = rules.every(rule => rule.passed || !rule.required);
+  const passedCount = rules.filter(rule => rule.passed).length;
+
+  let strength = 'weak';
+  if (isValid) {
+    strength = passedCount === rules.length ? 'strong' : 'medium';
+  }
+
+  return {
+    rules,
+    isValid,
+    strength,
+    score: passedCount / rules.length
+  };
+};
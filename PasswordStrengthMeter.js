@@ -0,0 +1,91 @@
+/**
+ * Indicador de Fortaleza de Contraseña
+ *
+ * Barra de fortaleza y lista de reglas de PasswordPolicy, para mostrar
+ * debajo de un campo de contraseña nueva (registro y recuperación).
+ * No muestra nada mientras la contraseña está vacía.
+ *
+ * @component
+ * @param {string} password - Contraseña que se está escribiendo
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { checkPassword, PASSWORD_STRENGTHS } from './PasswordPolicy';
+
+export default function PasswordStrengthMeter({ password }) {
+  if (!password) return null;
+
+  const passwordCheck = checkPassword(password);
+  const strength = PASSWORD_STRENGTHS[passwordCheck.strength];
+
+  return (
+    <View style={styles.container}>
+      {/* Barra de fortaleza */}
+      <View style={styles.track}>
+        <View
+          style={[
+            styles.fill,
+            { width: `${passwordCheck.score * 100}%`, backgroundColor: strength.color }
+          ]}
+        />
+      </View>
+      <Text style={[styles.label, { color: strength.color }]}>
+        Contraseña {strength.label.toLowerCase()}
+      </Text>
+
+      {/* Reglas cumplidas y pendientes */}
+      {passwordCheck.rules.map((rule) => (
+        <View key={rule.id} style={styles.ruleRow}>
+          <Ionicons
+            name={rule.passed ? "checkmark-circle" : "ellipse-outline"}
+            size={14}
+            color={rule.passed ? '#10B981' : '#9CA3AF'}
+          />
+          <Text style={[styles.ruleText, rule.passed && styles.ruleTextPassed]}>
+            {rule.label}
+          </Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+/**
+ * Estilos del componente
+ */
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 10,
+  },
+  track: {
+    height: 6,
+    backgroundColor: '#E5E7EB',
+    borderRadius: 3,
+    overflow: 'hidden',
+  },
+  fill: {
+    height: '100%',
+    borderRadius: 3,
+  },
+  label: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 6,
+    marginBottom: 4,
+  },
+  ruleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    marginTop: 2,
+  },
+  ruleText: {
+    fontSize: 12,
+    color: '#6B7280',
+  },
+  ruleTextPassed: {
+    color: '#10B981',
+  },
+});
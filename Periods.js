@@ -0,0 +1,113 @@
+/**
+ * Periodos de Consulta
+ *
+ * Define los periodos que el usuario puede elegir para ver sus gastos
+ * (esta semana, este mes, trimestre, etc.) y los convierte en un rango
+ * de fechas { start, end } para las funciones de consulta de ExpenseContext.
+ *
+ * Los rangos incluyen el día completo: start a las 00:00 y end a las 23:59:59.999.
+ * Los periodos "a la fecha" terminan hoy.
+ *
+ * El ejercicio fiscal en México coincide con el año calendario, por lo que
+ * el último ejercicio fiscal va del 1 de enero al 31 de diciembre del año pasado.
+ *
+ * @module Periods
+ */
+
+/**
+ * Periodos disponibles en el selector del dashboard
+ */
+export const DASHBOARD_PERIODS = [
+  { key: 'week', label: 'Esta semana' },
+  { key: 'month', label: 'Este mes' },
+  { key: 'lastMonth', label: 'Mes pasado' },
+  { key: 'quarter', label: 'Trimestre' },
+  { key: 'ytd', label: 'Año a la fecha' },
+  { key: 'custom', label: 'Personalizado' }
+];
+
+/**
+ * Atajos del selector de rango de fechas (ver DateRangePicker)
+ */
+export const DATE_RANGE_PRESETS = [
+  { key: 'month', label: 'Este mes' },
+  { key: 'lastMonth', label: 'Mes pasado' },
+  { key: 'last30', label: 'Últimos 30 días' },
+  { key: 'ytd', label: 'Este año' },
+  { key: 'lastFiscalYear', label: 'Último ejercicio fiscal' }
+];
+
+/**
+ * Inicio del día de una fecha
+ *
+ * @param {Date} date - Fecha
+ * @returns {Date} Misma fecha a las 00:00:00.000
+ */
+export const startOfDay = (date) => {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+};
+
+/**
+ * Fin del día de una fecha
+ *
+ * @param {Date} date - Fecha
+ * @returns {Date} Misma fecha a las 23:59:59.999
+ */
+export const endOfDay = (date) => {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+};
+
+/**
+ * Obtener el rango de fechas de un periodo
+ *
+ * Las semanas empiezan en lunes.
+ *
+ * @param {string} key - Clave del periodo (ver DASHBOARD_PERIODS y DATE_RANGE_PRESETS)
+ * @param {Date} [now=new Date()] - Fecha de referencia (hoy)
+ * @param {{start: Date, end: Date}} [custom] - Rango para el periodo 'custom'
+ * @returns {{start: Date, end: Date}} Rango de fechas del periodo
+ * @throws {Error} Si el periodo no existe o falta el rango personalizado
+ *
+ * @example
+ * const { start, end } = getPeriodRange('quarter');
+ * const total = getTotalExpenses(start, end);
+ */
+export const getPeriodRange = (key, now = new Date(), custom) => {
+  const year = now.getFullYear();
+  const month = now.getMonth();
+
+  switch (key) {
+    case 'week': {
+      const daysSinceMonday = (now.getDay() + 6) % 7;
+      return {
+        start: new Date(year, month, now.getDate() - daysSinceMonday),
+        end: endOfDay(now)
+      };
+    }
+    case 'month':
+      return { start: new Date(year, month, 1), end: endOfDay(now) };
+    case 'lastMonth':
+      return {
+        start: new Date(year, month - 1, 1),
+        end: endOfDay(new Date(year, month, 0))
+      };
+    case 'last30':
+      return { start: new Date(year, month, now.getDate() - 29), end: endOfDay(now) };
+    case 'quarter':
+      return { start: new Date(year, month - (month % 3), 1), end: endOfDay(now) };
+    case 'ytd':
+      return { start: new Date(year, 0, 1), end: endOfDay(now) };
+    case 'lastFiscalYear':
+      return {
+        start: new Date(year - 1, 0, 1),
+        end: endOfDay(new Date(year - 1, 11, 31))
+      };
+    case 'custom':
+      if (!custom?.start || !custom?.end) {
+        throw new Error('Selecciona la fecha inicial y final del periodo');
+      }
+      return { start: startOfDay(custom.start), end: endOfDay(custom.end) };
+    default:
+      throw new Error(`Periodo desconocido: ${key}`);
+  }
+};
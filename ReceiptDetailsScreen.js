@@ -4,7 +4,9 @@
  * Muestra información detallada de un recibo específico incluyendo:
  * - Imagen del recibo (si existe)
  * - Información general (tienda, monto, fecha, categoría, método de pago)
- * - Lista de productos con cantidades y precios
+ * - Datos fiscales de facturas CFDI (RFC del emisor y UUID)
+ * - Lista de productos con cantidades, precios y tasa de IVA
+ * - Desglose de impuestos (subtotal, IEPS e IVA por tasa, ver Taxes)
  * - Opciones para editar o eliminar el recibo
  * - Función para compartir/descargar la imagen
  * 
@@ -26,12 +28,17 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useExpense } from './ExpenseContext';
+import { formatMoney, multiplyCents } from './Money';
+import { getIvaRate, getReceiptTaxBreakdown } from './Taxes';
+import { DEPOSIT_LABEL, isDeposit } from './Deposits';
+import { TRASH_RETENTION_DAYS } from './TrashStorage';
+import { getFieldLabel, formatHistoryValue } from './ReceiptHistory';
 import * as Sharing from 'expo-sharing';
 
 export default function ReceiptDetailsScreen({ route, navigation }) {
   // Obtener el ID del recibo desde los parámetros de navegación
   const { receiptId } = route.params;
-  const { receipts, deleteReceipt, updateReceipt } = useExpense();
+  const { receipts, recurringRules, deleteReceipt, updateReceipt } = useExpense();
   const [receipt, setReceipt] = useState(null);
 
   /**
@@ -65,6 +72,19 @@ export default function ReceiptDetailsScreen({ route, navigation }) {
     });
   };
 
+  /**
+   * Formatear fecha y hora de un cambio del historial
+   */
+  const formatDateTime = (dateString) => {
+    return new Date(dateString).toLocaleString('es-MX', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
   /**
    * Navegar a la pantalla de edición con los datos del recibo
    */
@@ -78,7 +98,7 @@ export default function ReceiptDetailsScreen({ route, navigation }) {
   const handleDelete = () => {
     Alert.alert(
       'Eliminar Recibo',
-      '¿Estás seguro de que deseas eliminar este recibo?',
+      `El recibo se moverá a la papelera, donde podrás restaurarlo durante ${TRASH_RETENTION_DAYS} días.`,
       [
         { text: 'Cancelar', style: 'cancel' },
         {
@@ -116,7 +136,14 @@ export default function ReceiptDetailsScreen({ route, navigation }) {
 
   // Extraer datos del recibo
   const products = receipt.products || [];
-  const receiptType = receipt.type || 'Manual';
+  const deposit = isDeposit(receipt);
+  const receiptType = deposit ? DEPOSIT_LABEL : receipt.type || 'Manual';
+  const taxes = getReceiptTaxBreakdown(receipt);
+  const hasTaxRates = products.some(product => product.ivaRate);
+  const history = [...(receipt.history || [])].reverse(); // Más reciente primero
+  const recurringRule = receipt.recurringRuleId
+    ? recurringRules.find(rule => rule.id === receipt.recurringRuleId)
+    : null;
 
   return (
     <SafeAreaView style={styles.container}>
@@ -169,7 +196,8 @@ export default function ReceiptDetailsScreen({ route, navigation }) {
             {/* Badge del tipo de recibo */}
             <View style={[
               styles.typeBadge,
-              receiptType === 'Factura' ? styles.facturaBadge : styles.manualBadge
+              receiptType === 'Factura' ? styles.facturaBadge : styles.manualBadge,
+              deposit && styles.depositBadge
             ]}>
               <Text style={styles.typeBadgeText}>{receiptType}</Text>
             </View>
@@ -177,13 +205,13 @@ export default function ReceiptDetailsScreen({ route, navigation }) {
 
           {/* Filas de información */}
           <View style={styles.infoRow}>
-            <Text style={styles.infoLabel}>Tienda</Text>
+            <Text style={styles.infoLabel}>{deposit ? 'Concepto' : 'Tienda'}</Text>
             <Text style={styles.infoValue}>{receipt.name}</Text>
           </View>
 
           <View style={styles.infoRow}>
             <Text style={styles.infoLabel}>Monto total</Text>
-            <Text style={styles.infoValue}>${receipt.amount.toFixed(2)}</Text>
+            <Text style={styles.infoValue}>{formatMoney(receipt.amount)}</Text>
           </View>
 
           <View style={styles.infoRow}>
@@ -194,10 +222,17 @@ export default function ReceiptDetailsScreen({ route, navigation }) {
             <Text style={styles.infoValue}>{formatDate(receipt.date)}</Text>
           </View>
 
-          <View style={styles.infoRow}>
-            <Text style={styles.infoLabel}>Categoría</Text>
-            <Text style={styles.infoValue}>{receipt.category}</Text>
-          </View>
+          {deposit ? (
+            <View style={styles.infoRow}>
+              <Text style={styles.infoLabel}>Origen</Text>
+              <Text style={styles.infoValue}>{receipt.source}</Text>
+            </View>
+          ) : (
+            <View style={styles.infoRow}>
+              <Text style={styles.infoLabel}>Categoría</Text>
+              <Text style={styles.infoValue}>{receipt.category}</Text>
+            </View>
+          )}
 
           {receipt.paymentMethod && (
             <View style={styles.infoRow}>
@@ -208,6 +243,39 @@ export default function ReceiptDetailsScreen({ route, navigation }) {
               <Text style={styles.infoValue}>{receipt.paymentMethod}</Text>
             </View>
           )}
+
+          {/* Regla que generó el recibo (solo gastos recurrentes) */}
+          {receipt.recurringRuleId && (
+            <TouchableOpacity
+              style={styles.infoRow}
+              onPress={() => navigation.navigate('RecurringExpenses')}
+            >
+              <View style={styles.infoRowLeft}>
+                <Ionicons name="repeat-outline" size={20} color="#6B7280" />
+                <Text style={styles.infoLabel}>Gasto recurrente</Text>
+              </View>
+              <Text style={styles.infoValue}>
+                {recurringRule ? recurringRule.name : 'Regla eliminada'}
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          {/* Datos fiscales (solo facturas CFDI) */}
+          {receipt.rfc && (
+            <View style={styles.infoRow}>
+              <Text style={styles.infoLabel}>RFC emisor</Text>
+              <Text style={styles.infoValue}>{receipt.rfc}</Text>
+            </View>
+          )}
+
+          {receipt.uuid && (
+            <View style={styles.infoRow}>
+              <Text style={styles.infoLabel}>UUID</Text>
+              <Text style={[styles.infoValue, styles.uuidValue]} selectable>
+                {receipt.uuid}
+              </Text>
+            </View>
+          )}
         </View>
 
         {/* === Tarjeta de Productos === */}
@@ -221,30 +289,102 @@ export default function ReceiptDetailsScreen({ route, navigation }) {
                 <Text style={styles.tableHeaderText}>Cantidad</Text>
                 <Text style={styles.tableHeaderText}>Precio Unitario</Text>
                 <Text style={styles.tableHeaderText}>Precio</Text>
+                {hasTaxRates && <Text style={styles.tableHeaderText}>IVA</Text>}
               </View>
               {/* Filas de productos */}
               {products.map((product, index) => (
                 <View key={index} style={styles.tableRow}>
                   <Text style={styles.tableCell}>{product.quantity || 1}</Text>
                   <Text style={styles.tableCell}>
-                    ${(product.price || 0).toFixed(2)}
+                    {formatMoney(product.price)}
                   </Text>
                   <Text style={styles.tableCell}>
-                    ${((product.price || 0) * (product.quantity || 1)).toFixed(2)}
+                    {formatMoney(multiplyCents(product.price, product.quantity || 1))}
                   </Text>
+                  {hasTaxRates && (
+                    <Text style={styles.tableCell}>
+                      {product.ivaRate ? getIvaRate(product.ivaRate).label : '-'}
+                    </Text>
+                  )}
                 </View>
               ))}
               {/* Fila del total */}
               <View style={[styles.tableRow, styles.totalRow]}>
                 <Text style={styles.totalLabel}>Total</Text>
                 <Text style={styles.totalAmount}>
-                  ${receipt.amount.toFixed(2)}
+                  {formatMoney(receipt.amount)}
                 </Text>
               </View>
             </View>
           </View>
         )}
 
+        {/* === Tarjeta de Impuestos === */}
+        {/* Solo se muestra si el recibo tiene datos de impuestos */}
+        {taxes && (
+          <View style={styles.infoCard}>
+            <Text style={styles.sectionTitle}>Impuestos</Text>
+            {receipt.pricesIncludeTax !== undefined && (
+              <Text style={styles.taxNote}>
+                {receipt.pricesIncludeTax ? 'Precios capturados con IVA incluido' : 'Precios capturados antes de impuestos'}
+              </Text>
+            )}
+
+            <View style={styles.infoRow}>
+              <Text style={styles.infoLabel}>Subtotal</Text>
+              <Text style={styles.infoValue}>{formatMoney(taxes.subtotal)}</Text>
+            </View>
+
+            {taxes.ieps > 0 && (
+              <View style={styles.infoRow}>
+                <Text style={styles.infoLabel}>IEPS</Text>
+                <Text style={styles.infoValue}>{formatMoney(taxes.ieps)}</Text>
+              </View>
+            )}
+
+            {taxes.byRate.length > 0 ? (
+              taxes.byRate.map((group) => (
+                <View key={group.key} style={styles.infoRow}>
+                  <Text style={styles.infoLabel}>
+                    IVA {group.label} (base {formatMoney(group.base)})
+                  </Text>
+                  <Text style={styles.infoValue}>{formatMoney(group.iva)}</Text>
+                </View>
+              ))
+            ) : (
+              <View style={styles.infoRow}>
+                <Text style={styles.infoLabel}>IVA</Text>
+                <Text style={styles.infoValue}>{formatMoney(taxes.iva)}</Text>
+              </View>
+            )}
+
+            <View style={styles.infoRow}>
+              <Text style={styles.infoLabel}>Total</Text>
+              <Text style={styles.infoValue}>{formatMoney(receipt.amount)}</Text>
+            </View>
+          </View>
+        )}
+
+        {/* === Tarjeta de Historial === */}
+        {/* Cambios registrados del recibo, del más reciente al más antiguo */}
+        <View style={styles.infoCard}>
+          <Text style={styles.sectionTitle}>Historial</Text>
+          {history.length === 0 ? (
+            <Text style={styles.taxNote}>Sin cambios registrados</Text>
+          ) : (
+            history.map((entry, index) => (
+              <View key={index} style={styles.historyRow}>
+                <Text style={styles.historyChange}>
+                  {getFieldLabel(entry.field)}: {formatHistoryValue(entry.field, entry.oldValue)} → {formatHistoryValue(entry.field, entry.newValue)}
+                </Text>
+                <Text style={styles.historyMeta}>
+                  {formatDateTime(entry.changedAt)} · {entry.user}
+                </Text>
+              </View>
+            ))
+          )}
+        </View>
+
         {/* === Botones de Acción === */}
         <View style={styles.actionsContainer}>
           {/* Botón Editar */}
@@ -384,6 +524,9 @@ const styles = StyleSheet.create({
   manualBadge: {
     backgroundColor: '#10B981',
   },
+  depositBadge: {
+    backgroundColor: '#7C3AED',
+  },
   typeBadgeText: {
     color: '#fff',
     fontSize: 12,
@@ -411,6 +554,31 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#111',
   },
+  uuidValue: {
+    flex: 1,
+    fontSize: 12,
+    textAlign: 'right',
+    marginLeft: 16,
+  },
+  taxNote: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  historyRow: {
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+  },
+  historyChange: {
+    fontSize: 14,
+    color: '#111',
+  },
+  historyMeta: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 2,
+  },
   productsCard: {
     backgroundColor: '#fff',
     marginHorizontal: 16,
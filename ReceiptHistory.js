@@ -0,0 +1,170 @@
+/**
+ * Historial de Cambios de Recibos
+ *
+ * Cada recibo guarda en history un registro de solo agregado con los
+ * cambios que ha tenido, para la auditoría contable:
+ * { field, oldValue, newValue, changedAt, user }
+ *
+ * - field: nombre del campo del recibo (ver FIELD_LABELS)
+ * - oldValue / newValue: valores tal como se guardan (montos en centavos)
+ * - changedAt: fecha ISO del cambio
+ * - user: usuario que hizo el cambio (el username guardado al iniciar sesión)
+ *
+ * Las entradas nunca se modifican ni se eliminan.
+ *
+ * @module ReceiptHistory
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { formatMoney } from './Money';
+
+/**
+ * Nombre de cada campo para mostrarlo en el historial
+ */
+export const FIELD_LABELS = {
+  name: 'Comercio',
+  amount: 'Monto',
+  date: 'Fecha',
+  category: 'Categoría',
+  paymentMethod: 'Método de pago',
+  products: 'Productos',
+  imageUri: 'Imagen',
+  source: 'Origen',
+  type: 'Tipo',
+  subtotal: 'Subtotal',
+  iva: 'IVA',
+  ieps: 'IEPS',
+  pricesIncludeTax: 'Precios con IVA'
+};
+
+/**
+ * Campos que no se registran en el historial
+ */
+const UNTRACKED_FIELDS = ['id', 'history'];
+
+/**
+ * Campos con montos en centavos
+ */
+const MONEY_FIELDS = ['amount', 'subtotal', 'iva', 'ieps'];
+
+/**
+ * Usuario que se registra si no hay sesión guardada
+ */
+const UNKNOWN_USER = 'Desconocido';
+
+/**
+ * Obtener el usuario que se registra en los cambios
+ *
+ * @returns {Promise<string>} username guardado al iniciar sesión
+ */
+export const getHistoryUser = async () => {
+  return (await AsyncStorage.getItem('username')) || UNKNOWN_USER;
+};
+
+/**
+ * Comparar dos valores guardados de un campo
+ *
+ * Los productos son objetos, así que se comparan por su contenido. Las
+ * fechas se comparan por día, porque al editar se captura solo el día y la
+ * hora original se pierde.
+ */
+const isSameValue = (field, a, b) => {
+  if (field === 'date' && a && b) {
+    return new Date(a).toDateString() === new Date(b).toDateString();
+  }
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+};
+
+/**
+ * Calcular las entradas de historial de un cambio
+ *
+ * Solo se registran los campos cuyo valor cambió.
+ *
+ * @param {Object} previous - Recibo antes del cambio
+ * @param {Object} changes - Campos nuevos (se aplican sobre el recibo)
+ * @param {string} user - Usuario que hace el cambio
+ * @param {string} [changedAt=new Date().toISOString()] - Fecha del cambio
+ * @returns {Array<Object>} Entradas { field, oldValue, newValue, changedAt, user }
+ */
+export const buildHistoryEntries = (previous, changes, user, changedAt = new Date().toISOString()) => {
+  return Object.keys(changes)
+    .filter(field => !UNTRACKED_FIELDS.includes(field))
+    .filter(field => !isSameValue(field, previous[field], changes[field]))
+    .map(field => ({
+      field,
+      oldValue: previous[field] ?? null,
+      newValue: changes[field] ?? null,
+      changedAt,
+      user
+    }));
+};
+
+/**
+ * Aplicar cambios a un recibo y registrarlos en su historial
+ *
+ * @param {Object} receipt - Recibo actual
+ * @param {Object} changes - Campos a actualizar
+ * @param {string} user - Usuario que hace el cambio
+ * @returns {Object} Recibo actualizado con las entradas nuevas al final de history
+ *
+ * @example
+ * const updated = applyTrackedChanges(receipt, { amount: 20000 }, 'ana');
+ * // updated.history → [..., { field: 'amount', oldValue: 15050, newValue: 20000, ... }]
+ */
+export const applyTrackedChanges = (receipt, changes, user) => {
+  const data = { ...changes };
+  delete data.history; // El historial solo se modifica agregando entradas
+  return {
+    ...receipt,
+    ...data,
+    history: [...(receipt.history || []), ...buildHistoryEntries(receipt, data, user)]
+  };
+};
+
+/**
+ * Obtener el nombre de un campo para mostrarlo
+ *
+ * @param {string} field - Campo del recibo
+ * @returns {string} Nombre en español (el campo mismo si no tiene nombre)
+ */
+export const getFieldLabel = (field) => FIELD_LABELS[field] || field;
+
+/**
+ * Formatear un valor del historial para mostrarlo o exportarlo
+ *
+ * @param {string} field - Campo del recibo
+ * @param {*} value - Valor guardado
+ * @returns {string} Valor legible
+ *
+ * @example
+ * formatHistoryValue('amount', 15050); // "$150.50"
+ */
+export const formatHistoryValue = (field, value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (MONEY_FIELDS.includes(field)) return formatMoney(value);
+  if (field === 'date') {
+    return new Date(value).toLocaleDateString('es-MX', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  }
+  if (field === 'products') return `${value.length} producto(s)`;
+  if (field === 'imageUri') return 'Imagen adjunta';
+  if (typeof value === 'boolean') return value ? 'Sí' : 'No';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Reunir el historial de varios recibos para exportarlo
+ *
+ * @param {Array<Object>} receipts - Recibos del reporte
+ * @returns {Array<{receipt: Object, entry: Object}>} Cambios de todos los
+ *   recibos, del más antiguo al más reciente
+ */
+export const collectHistory = (receipts) => {
+  return receipts
+    .flatMap(receipt => (receipt.history || []).map(entry => ({ receipt, entry })))
+    .sort((a, b) => a.entry.changedAt.localeCompare(b.entry.changedAt));
+};
@@ -0,0 +1,154 @@
+/**
+ * Almacenamiento de Imágenes de Recibos
+ *
+ * Las fotos que entrega la cámara viven en el directorio de caché, que el
+ * sistema puede limpiar en cualquier momento. Este módulo copia cada imagen
+ * al directorio de documentos de la aplicación (almacenamiento durable) y
+ * se encarga de eliminarla cuando su recibo deja de existir.
+ *
+ * Estructura: <documentos>/receipt-images/<usuario>/receipt-<id>.<ext>
+ *
+ * Cada usuario tiene su propia carpeta (ver UserStorage). Las imágenes de
+ * versiones anteriores quedan en la raíz de receipt-images.
+ *
+ * @module ReceiptImageStore
+ */
+
+import { Directory, File, Paths } from 'expo-file-system';
+
+/**
+ * Directorio donde se guardan las imágenes de los recibos
+ */
+const imagesDirectory = new Directory(Paths.document, 'receipt-images');
+
+/**
+ * Obtener el directorio de imágenes de un usuario
+ *
+ * @param {string} [userId] - ID del usuario (sin él, la raíz de imágenes)
+ * @returns {Directory} Directorio de imágenes
+ */
+const getUserDirectory = (userId) => {
+  if (!userId) return imagesDirectory;
+  return new Directory(imagesDirectory, String(userId).replace(/[^\w-]/g, '_'));
+};
+
+/**
+ * Crear un directorio de imágenes si aún no existe
+ */
+const ensureDirectory = (directory) => {
+  if (!directory.exists) {
+    directory.create({ idempotent: true, intermediates: true });
+  }
+};
+
+/**
+ * Saber si una URI pertenece al almacenamiento de imágenes de recibos
+ *
+ * @param {string} uri - URI de la imagen
+ * @returns {boolean} true si la imagen ya está en el almacenamiento durable
+ */
+export const isStoredImage = (uri) => {
+  return Boolean(uri) && uri.startsWith(imagesDirectory.uri);
+};
+
+/**
+ * Copiar una imagen al almacenamiento durable y asociarla a un recibo
+ *
+ * Si la imagen ya está en el almacenamiento, se devuelve la misma URI.
+ *
+ * @param {string} sourceUri - URI temporal de la imagen (por ejemplo, la foto de la cámara)
+ * @param {number} receiptId - ID del recibo al que pertenece la imagen
+ * @param {string} [userId] - ID del usuario dueño del recibo
+ * @returns {Promise<string>} URI durable de la imagen
+ * @throws {Error} Si no se puede copiar la imagen
+ *
+ * @example
+ * const imageUri = await saveReceiptImage(photo.uri, receipt.id, userId);
+ */
+export const saveReceiptImage = async (sourceUri, receiptId, userId) => {
+  if (isStoredImage(sourceUri)) {
+    return sourceUri;
+  }
+
+  const directory = getUserDirectory(userId);
+  ensureDirectory(directory);
+  const extension = (sourceUri.match(/\.(\w+)(?:\?.*)?$/) || [null, 'jpg'])[1];
+  const destination = new File(directory, `receipt-${receiptId}.${extension}`);
+  if (destination.exists) {
+    destination.delete();
+  }
+  new File(sourceUri).copy(destination);
+  return destination.uri;
+};
+
+/**
+ * Eliminar la imagen de un recibo
+ *
+ * Solo elimina archivos del almacenamiento de recibos; las URIs externas
+ * (galería, caché) se ignoran.
+ *
+ * @param {string} uri - URI de la imagen a eliminar
+ */
+export const deleteReceiptImage = async (uri) => {
+  if (!isStoredImage(uri)) return;
+  try {
+    const file = new File(uri);
+    if (file.exists) {
+      file.delete();
+    }
+  } catch (error) {
+    console.error('Error al eliminar imagen del recibo:', error);
+  }
+};
+
+/**
+ * Eliminar las imágenes que ya no pertenecen a ningún recibo
+ *
+ * Recorre el directorio de imágenes del usuario y borra los archivos que no
+ * están referenciados por el imageUri de ningún recibo. Con una lista vacía
+ * elimina todas las imágenes del usuario. Las carpetas de otros usuarios
+ * no se tocan.
+ *
+ * @param {Array<Object>} receipts - Recibos vigentes del usuario
+ * @param {string} [userId] - ID del usuario
+ * @returns {Promise<number>} Cantidad de imágenes eliminadas
+ */
+export const collectOrphanImages = async (receipts, userId) => {
+  const directory = getUserDirectory(userId);
+  if (!directory.exists) return 0;
+
+  const referenced = new Set(
+    receipts.map(r => r.imageUri).filter(Boolean)
+  );
+
+  let removed = 0;
+  directory.list().forEach(entry => {
+    if (entry instanceof File && !referenced.has(entry.uri)) {
+      try {
+        entry.delete();
+        removed += 1;
+      } catch (error) {
+        console.error('Error al eliminar imagen huérfana:', error);
+      }
+    }
+  });
+  return removed;
+};
+
+/**
+ * Eliminar todas las imágenes de un usuario
+ *
+ * Borra su carpeta completa; las imágenes de versiones anteriores (en la
+ * raíz) se borran con deleteReceiptImage.
+ *
+ * @param {string} userId - ID del usuario
+ */
+export const deleteUserImages = async (userId) => {
+  const directory = getUserDirectory(userId);
+  if (!userId || !directory.exists) return;
+  try {
+    directory.delete();
+  } catch (error) {
+    console.error('Error al eliminar las imágenes del usuario:', error);
+  }
+};
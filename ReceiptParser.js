@@ -0,0 +1,383 @@
+/**
+ * Parser de Texto de Tickets
+ *
+ * Interpreta el texto plano obtenido por OCR de tickets mexicanos y extrae
+ * los datos necesarios para registrar un gasto:
+ * - Nombre del comercio (cadenas conocidas o primera línea del ticket)
+ * - Fecha de compra (dd/mm/yyyy, dd-mm-yy y "18 OCT 2026")
+ * - Subtotal, IVA y total pagado
+ * - Método de pago
+ * - Líneas de productos (cantidad, descripción, precio unitario e importe)
+ * - Categoría sugerida según el comercio
+ *
+ * Cada campo recibe un nivel de confianza entre 0 y 1 para que la interfaz
+ * pueda resaltar los datos dudosos. Todos los montos se devuelven en centavos.
+ *
+ * Es un módulo puro: no depende de React ni de APIs del dispositivo, por lo
+ * que puede probarse con los textos de ejemplo de ReceiptSamples.
+ *
+ * @module ReceiptParser
+ */
+
+import { toCents, sumCents } from './Money';
+
+/**
+ * Importe monetario: 1,234.50 / 25.00 / 25,00
+ */
+const AMOUNT = '\\d{1,3}(?:,\\d{3})+\\.\\d{2}|\\d+[.,]\\d{2}';
+const AMOUNT_GLOBAL = new RegExp(`(?:^|[^\\d.,])\\$?\\s*(${AMOUNT})(?![\\d.,])`, 'g');
+
+/**
+ * Palabras que identifican líneas de totales, pagos o cambio (no son productos)
+ */
+const SUMMARY_KEYWORDS = /\b(SUB\s?-?TOTAL|TOTAL|I\.?V\.?A\.?|IEPS|CAMBIO|EFECTIVO|TARJETA|PAGO|PROPINA|DESCUENTO|ARTICULOS|RFC)\b/i;
+
+/**
+ * Meses en español (abreviados y completos) para fechas tipo "18 OCT 2026"
+ */
+const MONTHS = {
+  ENE: 1, ENERO: 1,
+  FEB: 2, FEBRERO: 2,
+  MAR: 3, MARZO: 3,
+  ABR: 4, ABRIL: 4,
+  MAY: 5, MAYO: 5,
+  JUN: 6, JUNIO: 6,
+  JUL: 7, JULIO: 7,
+  AGO: 8, AGOSTO: 8,
+  SEP: 9, SEPT: 9, SEPTIEMBRE: 9,
+  OCT: 10, OCTUBRE: 10,
+  NOV: 11, NOVIEMBRE: 11,
+  DIC: 12, DICIEMBRE: 12
+};
+
+/**
+ * Cadenas comerciales conocidas
+ * El orden importa: las más específicas primero (OXXO GAS antes que OXXO)
+ */
+const KNOWN_MERCHANTS = [
+  { pattern: /OXXO\s*GAS/i, name: 'OXXO Gas', category: 'Transporte' },
+  { pattern: /PEMEX/i, name: 'Pemex', category: 'Transporte' },
+  { pattern: /\bG\s?500\b/i, name: 'G500', category: 'Transporte' },
+  { pattern: /\bOXXO\b/i, name: 'OXXO', category: 'Alimentos' },
+  { pattern: /7[\s-]?ELEVEN/i, name: '7-Eleven', category: 'Alimentos' },
+  { pattern: /BODEGA\s+AURRERA/i, name: 'Bodega Aurrera', category: 'Alimentos' },
+  { pattern: /WAL[\s-]?MART/i, name: 'Walmart', category: 'Alimentos' },
+  { pattern: /SORIANA/i, name: 'Soriana', category: 'Alimentos' },
+  { pattern: /CHEDRAUI/i, name: 'Chedraui', category: 'Alimentos' },
+  { pattern: /COSTCO/i, name: 'Costco', category: 'Alimentos' },
+  { pattern: /STARBUCKS/i, name: 'Starbucks', category: 'Alimentos' },
+  { pattern: /OFFICE\s*DEPOT/i, name: 'Office Depot', category: 'Equipo de oficina' },
+  { pattern: /OFFICE\s*MAX/i, name: 'OfficeMax', category: 'Equipo de oficina' },
+  { pattern: /TELMEX/i, name: 'Telmex', category: 'Servicios' },
+  { pattern: /\bCFE\b/i, name: 'CFE', category: 'Servicios' }
+];
+
+/**
+ * Palabras clave para sugerir la categoría cuando el comercio no es conocido
+ */
+const CATEGORY_KEYWORDS = [
+  { pattern: /GASOLINER|GASOLINA|MAGNA|PREMIUM|DIESEL|ESTACIONAMIENTO|CASETA|PEAJE/i, category: 'Transporte' },
+  { pattern: /RESTAURANT|TAQUERIA|CAFE|COCINA|MESERO|MESA\s+\d|PROPINA|SUPERMERCADO|ABARROTES/i, category: 'Alimentos' },
+  { pattern: /PAPELERIA|COMPUTO|TONER|IMPRESORA/i, category: 'Equipo de oficina' },
+  { pattern: /INTERNET|TELEFON|ELECTRICIDAD|RECIBO\s+DE\s+LUZ/i, category: 'Servicios' }
+];
+
+/**
+ * Comparar importes en centavos tolerando diferencias de redondeo
+ */
+const sameAmount = (a, b) => Math.abs(a - b) <= 5;
+
+/**
+ * Convertir un importe de texto a centavos
+ *
+ * @param {string} value - Importe como aparece en el ticket
+ * @returns {number} Importe en centavos (0 si no es válido)
+ *
+ * @example
+ * parseAmount('$1,234.50'); // 123450
+ * parseAmount('25,00');     // 2500
+ */
+export const parseAmount = (value) => {
+  if (!value) return 0;
+  let clean = value.replace(/[$\s]/g, '');
+  // "25,00" usa coma decimal; "1,234.50" usa coma de miles
+  if (/^\d+,\d{2}$/.test(clean)) {
+    clean = clean.replace(',', '.');
+  } else {
+    clean = clean.replace(/,/g, '');
+  }
+  return toCents(clean);
+};
+
+/**
+ * Obtener el último importe de una línea
+ *
+ * En los tickets el importe suele estar alineado a la derecha, después
+ * de porcentajes o cantidades ("IVA 16% 7.72").
+ *
+ * @param {string} line - Línea del ticket
+ * @returns {number|null} Importe en centavos o null si la línea no tiene importes
+ */
+const lastAmount = (line) => {
+  const matches = [...line.matchAll(AMOUNT_GLOBAL)];
+  return matches.length > 0 ? parseAmount(matches[matches.length - 1][1]) : null;
+};
+
+/**
+ * Construir una fecha ISO validando sus componentes
+ */
+const buildDate = (day, month, year) => {
+  const fullYear = year < 100 ? year + 2000 : year;
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  const date = new Date(fullYear, month - 1, day);
+  // Descartar fechas inexistentes (31/02)
+  if (date.getMonth() !== month - 1) return null;
+  return date.toISOString();
+};
+
+/**
+ * Buscar la fecha del ticket
+ *
+ * Soporta "18/10/2026", "18-10-26" y "18 OCT 2026" / "18-OCT-2026".
+ *
+ * @param {Array<string>} lines - Líneas del ticket
+ * @returns {{value: string|null, confidence: number}} Fecha ISO y confianza
+ */
+const findDate = (lines) => {
+  for (const line of lines) {
+    const numeric = line.match(/\b(\d{1,2})[\/-](\d{1,2})[\/-](\d{4}|\d{2})\b/);
+    if (numeric) {
+      const value = buildDate(+numeric[1], +numeric[2], +numeric[3]);
+      if (value) return { value, confidence: /FECHA/i.test(line) ? 0.95 : 0.85 };
+    }
+
+    const textual = line.match(/\b(\d{1,2})[\s\/-]+([A-Za-z]{3,10})\.?[\s\/-]+(\d{4}|\d{2})\b/);
+    if (textual && MONTHS[textual[2].toUpperCase()]) {
+      const value = buildDate(+textual[1], MONTHS[textual[2].toUpperCase()], +textual[3]);
+      if (value) return { value, confidence: 0.9 };
+    }
+  }
+  return { value: null, confidence: 0 };
+};
+
+/**
+ * Buscar el importe de la primera línea que cumpla una condición
+ *
+ * @param {Array<string>} lines - Líneas del ticket
+ * @param {Function} predicate - Condición sobre la línea
+ * @returns {number|null} Importe encontrado en centavos o null
+ */
+const findLabeledAmount = (lines, predicate) => {
+  for (const line of lines) {
+    if (predicate(line)) {
+      const amount = lastAmount(line);
+      if (amount !== null) return amount;
+    }
+  }
+  return null;
+};
+
+/**
+ * Detectar el método de pago
+ *
+ * Devuelve los mismos valores que ofrece ManualEntryScreen.
+ *
+ * @param {string} text - Texto completo del ticket
+ * @returns {{value: string|null, confidence: number}} Método de pago y confianza
+ */
+const findPaymentMethod = (text) => {
+  if (/TRANSFERENCIA|SPEI/i.test(text)) {
+    return { value: 'Transferencia', confidence: 0.85 };
+  }
+  if (/D[EÉ]BITO/i.test(text)) {
+    return { value: 'Tarjeta de débito', confidence: 0.9 };
+  }
+  if (/CR[EÉ]DITO/i.test(text)) {
+    return { value: 'Tarjeta de crédito', confidence: 0.9 };
+  }
+  if (/TARJETA|VISA|MASTER\s?CARD|AMEX|AMERICAN EXPRESS/i.test(text)) {
+    // Se sabe que fue con tarjeta, pero no de qué tipo
+    return { value: 'Tarjeta de crédito', confidence: 0.5 };
+  }
+  if (/EFECTIVO|CAMBIO/i.test(text)) {
+    return { value: 'Efectivo', confidence: 0.85 };
+  }
+  return { value: null, confidence: 0 };
+};
+
+/**
+ * Limpiar la descripción de un producto
+ *
+ * Elimina códigos de barras y espacios repetidos.
+ */
+const cleanDescription = (description) => description
+  .replace(/\b\d{8,14}\b/g, '')
+  .replace(/\s{2,}/g, ' ')
+  .trim();
+
+/**
+ * Extraer las líneas de productos
+ *
+ * Solo se analizan las líneas anteriores al primer subtotal/total.
+ * Formatos reconocidos:
+ * - "2 COCA COLA 600ML 36.00"              (cantidad al inicio)
+ * - "MAGNA 32.150 LTS x 23.89 768.06"      (cantidad x precio unitario)
+ * - "LECHE LALA 1L 7501020510025 28.50"    (sin cantidad, con código de barras)
+ * - "2 @ 24.90"                            (cantidad del producto anterior)
+ *
+ * @param {Array<string>} lines - Líneas del ticket
+ * @returns {Array<{name: string, quantity: number, price: number, amount: number}>}
+ *   Productos (price y amount en centavos)
+ */
+const findProducts = (lines) => {
+  const unitLine = new RegExp(`^(.*?[A-Za-z].*?)\\s+(\\d+(?:\\.\\d+)?)\\s*(?:LTS?|L|KGS?|PZAS?)?\\s*[xX@*]\\s*\\$?(\\d+(?:\\.\\d{1,3})?)\\s+\\$?(${AMOUNT})\\s*[A-Z]?$`);
+  const quantityFirst = new RegExp(`^(\\d{1,3}(?:\\.\\d{1,3})?)\\s+(.*?[A-Za-z].*?)\\s+\\$?(${AMOUNT})\\s*[A-Z]?$`);
+  const amountOnly = new RegExp(`^(.*?[A-Za-z]{2,}.*?)\\s+\\$?(${AMOUNT})\\s*[A-Z]?$`);
+  const quantityOnly = new RegExp(`^(\\d+(?:\\.\\d+)?)\\s*[@xX]\\s*\\$?(${AMOUNT})$`);
+
+  const products = [];
+  let pendingQuantity = null;
+
+  for (const line of lines) {
+    if (/SUB\s?-?TOTAL|\bTOTAL\b/i.test(line)) break;
+    if (SUMMARY_KEYWORDS.test(line)) continue;
+
+    let match = line.match(quantityOnly);
+    if (match) {
+      const quantity = parseFloat(match[1]);
+      const price = parseAmount(match[2]);
+      const previous = products[products.length - 1];
+      if (previous && previous.quantity === 1 && sameAmount(previous.amount, quantity * price)) {
+        previous.quantity = quantity;
+        previous.price = price;
+      } else {
+        pendingQuantity = { quantity, price };
+      }
+      continue;
+    }
+
+    let product = null;
+    if ((match = line.match(unitLine))) {
+      product = {
+        name: match[1],
+        quantity: parseFloat(match[2]),
+        price: toCents(match[3]),
+        amount: parseAmount(match[4])
+      };
+    } else if ((match = line.match(quantityFirst))) {
+      const quantity = parseFloat(match[1]) || 1;
+      const amount = parseAmount(match[3]);
+      product = { name: match[2], quantity, price: Math.round(amount / quantity), amount };
+    } else if ((match = line.match(amountOnly))) {
+      const amount = parseAmount(match[2]);
+      product = { name: match[1], quantity: 1, price: amount, amount };
+      if (pendingQuantity && sameAmount(amount, pendingQuantity.quantity * pendingQuantity.price)) {
+        product.quantity = pendingQuantity.quantity;
+        product.price = pendingQuantity.price;
+      }
+    }
+    pendingQuantity = null;
+
+    if (product) {
+      product.name = cleanDescription(product.name);
+      if (product.name && product.amount > 0) {
+        products.push(product);
+      }
+    }
+  }
+
+  return products;
+};
+
+/**
+ * Obtener el comercio y la categoría sugerida
+ *
+ * @param {Array<string>} lines - Líneas del ticket
+ * @returns {{name: Object, category: Object}} Valores con su confianza
+ */
+const findMerchant = (lines) => {
+  const header = lines.slice(0, 6).join('\n');
+  const known = KNOWN_MERCHANTS.find(m => m.pattern.test(header));
+  if (known) {
+    return {
+      name: { value: known.name, confidence: 0.95 },
+      category: { value: known.category, confidence: 0.8 }
+    };
+  }
+
+  const line = lines.find(l => /[A-Za-zÁÉÍÓÚÑáéíóúñ]{3,}/.test(l) && !/^RFC/i.test(l));
+  const text = lines.join('\n');
+  const keyword = CATEGORY_KEYWORDS.find(k => k.pattern.test(text));
+
+  return {
+    name: { value: line ? line.trim() : '', confidence: line ? 0.6 : 0 },
+    category: keyword
+      ? { value: keyword.category, confidence: 0.6 }
+      : { value: null, confidence: 0 }
+  };
+};
+
+/**
+ * Interpretar el texto de un ticket
+ *
+ * @param {string} text - Texto reconocido por OCR
+ * @returns {Object} Borrador del gasto con la misma forma que acepta addReceipt
+ *   ({ name, amount, category, date, paymentMethod, products }) más subtotal, iva
+ *   y confidence (confianza de 0 a 1 por cada campo)
+ *
+ * @example
+ * const draft = parseReceiptText('OXXO\n18/10/2026\n1 AGUA 1L 15.00\nTOTAL 15.00');
+ * // draft.name === 'OXXO', draft.amount === 1500, draft.confidence.amount === 0.95
+ */
+export const parseReceiptText = (text) => {
+  const lines = (text || '')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(Boolean);
+  const fullText = lines.join('\n');
+
+  const merchant = findMerchant(lines);
+  const date = findDate(lines);
+  const paymentMethod = findPaymentMethod(fullText);
+  const products = findProducts(lines);
+  const productsTotal = sumCents(products.map(p => p.amount));
+
+  const subtotal = findLabeledAmount(lines, l => /SUB\s?-?TOTAL/i.test(l));
+  const iva = findLabeledAmount(lines, l => /\bI\.?V\.?A\b/i.test(l) && !/TOTAL/i.test(l));
+  const total = findLabeledAmount(lines, l =>
+    /\bTOTAL\b/i.test(l) && !/SUB\s?-?TOTAL|ARTICULOS|PROPINA/i.test(l)
+  );
+
+  // Confianza del total: se valida contra subtotal + IVA o contra los productos
+  const taxesMatch = subtotal !== null && iva !== null && total !== null &&
+    sameAmount(subtotal + iva, total);
+  const productsMatch = total !== null && products.length > 0 && sameAmount(productsTotal, total);
+
+  let amount = { value: 0, confidence: 0 };
+  if (total !== null) {
+    amount = { value: total, confidence: taxesMatch || productsMatch ? 0.95 : 0.75 };
+  } else if (products.length > 0) {
+    amount = { value: productsTotal, confidence: 0.4 };
+  }
+
+  return {
+    name: merchant.name.value,
+    amount: amount.value,
+    category: merchant.category.value,
+    date: date.value,
+    paymentMethod: paymentMethod.value,
+    products,
+    subtotal,
+    iva,
+    confidence: {
+      name: merchant.name.confidence,
+      amount: amount.confidence,
+      category: merchant.category.confidence,
+      date: date.confidence,
+      paymentMethod: paymentMethod.confidence,
+      subtotal: subtotal === null ? 0 : (taxesMatch ? 0.95 : 0.7),
+      iva: iva === null ? 0 : (taxesMatch ? 0.95 : 0.7),
+      products: products.length === 0 ? 0 : (productsMatch ? 0.9 : 0.6)
+    }
+  };
+};
@@ -0,0 +1,171 @@
+/**
+ * Textos de Ejemplo de Tickets
+ *
+ * Corpus de tickets mexicanos tal como los entrega el OCR, con los valores
+ * que el parser debe extraer de cada uno (montos en centavos). Sirve para:
+ * - Verificar ReceiptParser contra casos reales (OXXO, Walmart, gasolineras y restaurantes)
+ * - Alimentar el motor OCR de desarrollo (ver createSampleEngine en OcrService)
+ *
+ * Al agregar un ejemplo, copia el texto exactamente como lo reconoce el OCR,
+ * incluyendo líneas de encabezado, pagos y cambio.
+ *
+ * @module ReceiptSamples
+ */
+
+/**
+ * @type {Array<{id: string, description: string, text: string, expected: Object}>}
+ */
+export const RECEIPT_SAMPLES = [
+  {
+    id: 'oxxo-efectivo',
+    description: 'OXXO, pago en efectivo con cambio',
+    text: [
+      'OXXO',
+      'CADENA COMERCIAL OXXO SA DE CV',
+      'RFC CCO8605231N4',
+      'SUC 50MAR CENTRO MONTERREY NL',
+      'FECHA 18/10/2026 HORA 14:32',
+      '1 COCA COLA 600ML 18.00',
+      '2 SABRITAS ORIG 45G 38.00',
+      'SUBTOTAL 48.28',
+      'IVA 16% 7.72',
+      'TOTAL 56.00',
+      'EFECTIVO 100.00',
+      'CAMBIO 44.00',
+      'GRACIAS POR SU COMPRA'
+    ].join('\n'),
+    expected: {
+      name: 'OXXO',
+      amount: 5600,
+      category: 'Alimentos',
+      date: '2026-10-18',
+      paymentMethod: 'Efectivo',
+      subtotal: 4828,
+      iva: 772,
+      products: [
+        { name: 'COCA COLA 600ML', quantity: 1, price: 1800, amount: 1800 },
+        { name: 'SABRITAS ORIG 45G', quantity: 2, price: 1900, amount: 3800 }
+      ]
+    }
+  },
+  {
+    id: 'walmart-debito',
+    description: 'Walmart Supercenter, códigos de barras y cantidad en línea aparte',
+    text: [
+      'Walmart',
+      'NUEVA WAL MART DE MEXICO S DE RL DE CV',
+      'RFC NWM9709244W4',
+      'TDA#2345 SUPERCENTER TLALPAN',
+      'LECHE LALA 1L 7501020510025 28.50 A',
+      'PAN BIMBO GDE 7441029511207 52.00 A',
+      'HUEVO BACHOCO 12 7501001200058 49.80 A',
+      '2 @ 24.90',
+      'SUBTOTAL 130.30',
+      'IVA 0.00',
+      'TOTAL 130.30',
+      'TARJETA DEBITO 130.30',
+      '18/10/26 15:47:10'
+    ].join('\n'),
+    expected: {
+      name: 'Walmart',
+      amount: 13030,
+      category: 'Alimentos',
+      date: '2026-10-18',
+      paymentMethod: 'Tarjeta de débito',
+      subtotal: 13030,
+      iva: 0,
+      products: [
+        { name: 'LECHE LALA 1L', quantity: 1, price: 2850, amount: 2850 },
+        { name: 'PAN BIMBO GDE', quantity: 1, price: 5200, amount: 5200 },
+        { name: 'HUEVO BACHOCO 12', quantity: 2, price: 2490, amount: 4980 }
+      ]
+    }
+  },
+  {
+    id: 'gasolinera-credito',
+    description: 'Gasolinera Pemex, litros por precio unitario y fecha con mes en texto',
+    text: [
+      'GASOLINERA SERVICIO PEMEX',
+      'ESTACION 5678',
+      'SERVICIOS GASOLINEROS DE MEXICO SA DE CV',
+      'FECHA: 17-OCT-2026 08:15',
+      'BOMBA 03',
+      'MAGNA 32.150 LTS x 23.89 768.06',
+      'SUBTOTAL 662.12',
+      'IVA 105.94',
+      'TOTAL 768.06',
+      'FORMA DE PAGO: TARJETA CREDITO'
+    ].join('\n'),
+    expected: {
+      name: 'Pemex',
+      amount: 76806,
+      category: 'Transporte',
+      date: '2026-10-17',
+      paymentMethod: 'Tarjeta de crédito',
+      subtotal: 66212,
+      iva: 10594,
+      products: [
+        { name: 'MAGNA', quantity: 32.15, price: 2389, amount: 76806 }
+      ]
+    }
+  },
+  {
+    id: 'restaurante-propina',
+    description: 'Restaurante con propina fuera del total y pago con VISA',
+    text: [
+      'RESTAURANTE LA PARRILLA',
+      'AV REFORMA 123 COL JUAREZ CDMX',
+      'MESA 12 MESERO: JUAN',
+      '18 OCT 2026 21:05',
+      '2 TACOS AL PASTOR 90.00',
+      '1 AGUA JAMAICA 35.00',
+      '1 CERVEZA 55.00',
+      'SUBTOTAL 155.17',
+      'IVA 24.83',
+      'TOTAL 180.00',
+      'PROPINA 27.00',
+      'PAGO CON TARJETA VISA'
+    ].join('\n'),
+    expected: {
+      name: 'RESTAURANTE LA PARRILLA',
+      amount: 18000,
+      category: 'Alimentos',
+      date: '2026-10-18',
+      paymentMethod: 'Tarjeta de crédito',
+      subtotal: 15517,
+      iva: 2483,
+      products: [
+        { name: 'TACOS AL PASTOR', quantity: 2, price: 4500, amount: 9000 },
+        { name: 'AGUA JAMAICA', quantity: 1, price: 3500, amount: 3500 },
+        { name: 'CERVEZA', quantity: 1, price: 5500, amount: 5500 }
+      ]
+    }
+  },
+  {
+    id: 'cafeteria-coma-decimal',
+    description: 'Cafetería local sin cadena conocida y con coma decimal',
+    text: [
+      'CAFE LA ESQUINA',
+      'CALLE 5 DE MAYO 45 PUEBLA',
+      'FECHA 02-09-2026',
+      '2 CAPUCHINO 96,00',
+      '1 CONCHA 22,00',
+      'TOTAL $ 118,00',
+      'EFECTIVO 200,00',
+      'CAMBIO 82,00'
+    ].join('\n'),
+    expected: {
+      name: 'CAFE LA ESQUINA',
+      amount: 11800,
+      category: 'Alimentos',
+      date: '2026-09-02',
+      paymentMethod: 'Efectivo',
+      subtotal: null,
+      iva: null,
+      products: [
+        { name: 'CAPUCHINO', quantity: 2, price: 4800, amount: 9600 },
+        { name: 'CONCHA', quantity: 1, price: 2200, amount: 2200 }
+      ]
+    }
+  }
+];
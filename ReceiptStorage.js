@@ -0,0 +1,218 @@
+/**
+ * Almacenamiento Versionado de Recibos
+ *
+ * Los recibos se guardan en AsyncStorage dentro de un "sobre" con versión:
+ * { version: number, receipts: Array<Object>, updatedAt: string }
+ *
+ * Las versiones anteriores de la app guardaban el array de recibos
+ * directamente (versión 0). Al cargar, si los datos tienen una versión menor
+ * a CURRENT_VERSION, se ejecutan en orden las migraciones pendientes:
+ * 1. Se respalda el valor original en "<clave>_backup_v<versión>"
+ * 2. Se aplican las migraciones sobre una copia en memoria
+ * 3. Solo si todas terminan bien se guarda el resultado
+ * 4. Si alguna falla, se restaura el respaldo y se lanza ReceiptMigrationError
+ *
+ * Para agregar un campo nuevo a los recibos, agrega una migración al final
+ * de MIGRATIONS con el siguiente número de versión. La papelera usa el mismo
+ * sobre (ver TrashStorage), así que sus recibos también se migran.
+ *
+ * @module ReceiptStorage
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { toCents } from './Money';
+
+/**
+ * Clave de AsyncStorage donde se guardan los recibos
+ */
+export const RECEIPTS_KEY = 'receipts';
+
+/**
+ * Lista ordenada de migraciones
+ *
+ * Cada migración recibe los recibos en la versión (version - 1) y
+ * devuelve los recibos en la versión indicada. Deben ser funciones puras.
+ *
+ * @type {Array<{version: number, description: string, migrate: Function}>}
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Normalizar recibos sin type, status o products',
+    migrate: (receipts) => receipts.map(receipt => ({
+      ...receipt,
+      amount: Number(receipt.amount) || 0,
+      type: receipt.type || 'Manual',
+      status: receipt.status || 'Procesado',
+      paymentMethod: typeof receipt.paymentMethod === 'string' && receipt.paymentMethod
+        ? receipt.paymentMethod
+        : undefined,
+      products: Array.isArray(receipt.products) ? receipt.products : []
+    }))
+  },
+  {
+    version: 2,
+    description: 'Montos en centavos enteros',
+    migrate: (receipts) => receipts.map(receipt => {
+      const migrated = {
+        ...receipt,
+        amount: toCents(receipt.amount),
+        products: receipt.products.map(product => ({
+          ...product,
+          price: toCents(product.price),
+          ...(typeof product.amount === 'number' ? { amount: toCents(product.amount) } : {})
+        }))
+      };
+      ['subtotal', 'iva', 'ieps', 'taxesTransferred'].forEach(field => {
+        if (typeof receipt[field] === 'number') {
+          migrated[field] = toCents(receipt[field]);
+        }
+      });
+      return migrated;
+    })
+  },
+  {
+    version: 3,
+    description: 'Historial de cambios por recibo',
+    migrate: (receipts) => receipts.map(receipt => ({
+      ...receipt,
+      history: Array.isArray(receipt.history) ? receipt.history : []
+    }))
+  }
+];
+
+/**
+ * Versión actual del formato de recibos
+ */
+export const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Error lanzado cuando una migración falla
+ *
+ * Los datos originales quedan intactos en su clave y en el respaldo.
+ */
+export class ReceiptMigrationError extends Error {
+  /**
+   * @param {number} fromVersion - Versión de los datos guardados
+   * @param {number} failedVersion - Versión de la migración que falló
+   * @param {Error} cause - Error original
+   */
+  constructor(fromVersion, failedVersion, cause) {
+    super(`No se pudo migrar los recibos de la versión ${fromVersion} a la ${failedVersion}: ${cause.message}`);
+    this.name = 'ReceiptMigrationError';
+    this.fromVersion = fromVersion;
+    this.failedVersion = failedVersion;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Obtener la clave de respaldo para una versión
+ *
+ * @param {string} key - Clave de los recibos
+ * @param {number} version - Versión respaldada
+ * @returns {string} Clave del respaldo
+ */
+export const getBackupKey = (key, version) => `${key}_backup_v${version}`;
+
+/**
+ * Convertir el valor guardado en un sobre { version, receipts }
+ *
+ * @param {string} raw - Valor leído de AsyncStorage
+ * @param {number} legacyVersion - Versión de los datos guardados como array sin sobre
+ * @returns {{version: number, receipts: Array<Object>}} Sobre normalizado
+ * @throws {Error} Si el contenido no tiene un formato reconocible
+ */
+const readEnvelope = (raw, legacyVersion) => {
+  const parsed = JSON.parse(raw);
+  if (Array.isArray(parsed)) {
+    // Formato anterior al versionado: array sin sobre
+    return { version: legacyVersion, receipts: parsed };
+  }
+  if (parsed && Number.isInteger(parsed.version) && Array.isArray(parsed.receipts)) {
+    return parsed;
+  }
+  throw new Error('Formato de recibos desconocido');
+};
+
+/**
+ * Aplicar las migraciones pendientes sobre los recibos
+ *
+ * @param {Array<Object>} receipts - Recibos en la versión fromVersion
+ * @param {number} fromVersion - Versión de los recibos recibidos
+ * @returns {Array<Object>} Recibos en CURRENT_VERSION
+ * @throws {ReceiptMigrationError} Si alguna migración falla
+ */
+export const runMigrations = (receipts, fromVersion) => {
+  return MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .reduce((current, migration) => {
+      try {
+        const migrated = migration.migrate(current);
+        if (!Array.isArray(migrated)) {
+          throw new Error('La migración no devolvió un array de recibos');
+        }
+        return migrated;
+      } catch (error) {
+        throw new ReceiptMigrationError(fromVersion, migration.version, error);
+      }
+    }, receipts);
+};
+
+/**
+ * Guardar los recibos con el formato actual
+ *
+ * @param {Array<Object>} receipts - Recibos a guardar
+ * @param {string} [key=RECEIPTS_KEY] - Clave de AsyncStorage
+ */
+export const saveStoredReceipts = async (receipts, key = RECEIPTS_KEY) => {
+  const envelope = {
+    version: CURRENT_VERSION,
+    receipts,
+    updatedAt: new Date().toISOString()
+  };
+  await AsyncStorage.setItem(key, JSON.stringify(envelope));
+};
+
+/**
+ * Cargar los recibos, migrándolos si es necesario
+ *
+ * @param {string} [key=RECEIPTS_KEY] - Clave de AsyncStorage
+ * @param {Object} [options]
+ * @param {number} [options.legacyVersion=0] - Versión que se asume para los
+ *   datos guardados como array sin sobre
+ * @returns {Promise<Array<Object>>} Recibos en el formato actual
+ * @throws {ReceiptMigrationError} Si una migración falla (los datos se restauran)
+ * @throws {Error} Si los datos fueron guardados por una versión más nueva de la app
+ *
+ * @example
+ * const receipts = await loadStoredReceipts();
+ */
+export const loadStoredReceipts = async (key = RECEIPTS_KEY, { legacyVersion = 0 } = {}) => {
+  const raw = await AsyncStorage.getItem(key);
+  if (!raw) return [];
+
+  const envelope = readEnvelope(raw, legacyVersion);
+  if (envelope.version === CURRENT_VERSION) {
+    return envelope.receipts;
+  }
+  if (envelope.version > CURRENT_VERSION) {
+    throw new Error(
+      `Los recibos fueron guardados con una versión más reciente de la app (v${envelope.version})`
+    );
+  }
+
+  // Respaldar la versión anterior antes de tocar los datos
+  const backupKey = getBackupKey(key, envelope.version);
+  await AsyncStorage.setItem(backupKey, raw);
+
+  try {
+    const migrated = runMigrations(envelope.receipts, envelope.version);
+    await saveStoredReceipts(migrated, key);
+    return migrated;
+  } catch (error) {
+    // Revertir: dejar la clave exactamente como estaba antes de migrar
+    await AsyncStorage.setItem(key, raw);
+    throw error;
+  }
+};
@@ -0,0 +1,228 @@
+/**
+ * Gastos Recurrentes
+ *
+ * Reglas para los gastos que se repiten (internet, teléfono, renta), que
+ * generan recibos automáticamente. Se guardan en AsyncStorage como:
+ * { id, name, amount, category, frequency, dayOfMonth, startDate, endDate,
+ *   lastGeneratedDate }
+ *
+ * - amount: monto en centavos
+ * - frequency: clave de RECURRING_FREQUENCIES
+ * - dayOfMonth: día de cobro (1-31; en meses más cortos se usa el último día)
+ * - startDate / endDate: fechas ISO (endDate es null si no tiene fin)
+ * - lastGeneratedDate: fecha ISO de la última ocurrencia generada, para no
+ *   volver a generar los recibos que el usuario haya eliminado
+ *
+ * Los recibos generados guardan el ID de su regla en recurringRuleId.
+ *
+ * @module RecurringExpenses
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+/**
+ * Clave de AsyncStorage donde se guardan las reglas
+ */
+export const RECURRING_RULES_KEY = 'recurringRules';
+
+/**
+ * Frecuencias disponibles, en meses entre cada ocurrencia
+ */
+export const RECURRING_FREQUENCIES = [
+  { key: 'monthly', label: 'Mensual', months: 1 },
+  { key: 'bimonthly', label: 'Bimestral', months: 2 },
+  { key: 'quarterly', label: 'Trimestral', months: 3 },
+  { key: 'yearly', label: 'Anual', months: 12 }
+];
+
+/**
+ * Obtener una frecuencia por su clave
+ *
+ * @param {string} key - Clave de la frecuencia
+ * @returns {Object} { key, label, months } (mensual si la clave no existe)
+ */
+export const getFrequency = (key) => {
+  return RECURRING_FREQUENCIES.find(option => option.key === key) || RECURRING_FREQUENCIES[0];
+};
+
+/**
+ * Fecha de cobro de un mes, ajustada al último día si el mes es más corto
+ *
+ * @param {number} year - Año
+ * @param {number} month - Mes (0-11; se permiten valores mayores)
+ * @param {number} dayOfMonth - Día de cobro
+ * @returns {Date} Fecha a medianoche
+ */
+const getOccurrenceDate = (year, month, dayOfMonth) => {
+  const lastDay = new Date(year, month + 1, 0).getDate();
+  return new Date(year, month, Math.min(dayOfMonth, lastDay));
+};
+
+/**
+ * Recorrer las ocurrencias de una regla en orden
+ *
+ * Las ocurrencias se cuentan desde el mes de la fecha de inicio. El recorrido
+ * termina en la fecha de fin o cuando el callback devuelve false.
+ *
+ * @param {Object} rule - Regla de gasto recurrente
+ * @param {Function} callback - Recibe cada fecha; devuelve false para detenerse
+ */
+const forEachOccurrence = (rule, callback) => {
+  const start = new Date(rule.startDate);
+  if (isNaN(start.getTime())) return;
+  const end = rule.endDate ? new Date(rule.endDate) : null;
+  const { months } = getFrequency(rule.frequency);
+
+  for (let offset = 0; ; offset += months) {
+    const date = getOccurrenceDate(start.getFullYear(), start.getMonth() + offset, rule.dayOfMonth);
+    if (end && date > end) return;
+    if (date >= start && callback(date) === false) return;
+  }
+};
+
+/**
+ * Obtener las ocurrencias pendientes de generar
+ *
+ * Incluye todas las ocurrencias vencidas desde la última generada (o desde
+ * el inicio), para recuperar las que se perdieron con la app cerrada.
+ *
+ * @param {Object} rule - Regla de gasto recurrente
+ * @param {Date} [today=new Date()] - Fecha de referencia
+ * @returns {Array<Date>} Fechas pendientes, de la más antigua a la más reciente
+ */
+export const getDueOccurrences = (rule, today = new Date()) => {
+  const last = rule.lastGeneratedDate ? new Date(rule.lastGeneratedDate) : null;
+  const dates = [];
+  forEachOccurrence(rule, (date) => {
+    if (date > today) return false;
+    if (!last || date > last) {
+      dates.push(date);
+    }
+    return true;
+  });
+  return dates;
+};
+
+/**
+ * Obtener la próxima ocurrencia de una regla
+ *
+ * @param {Object} rule - Regla de gasto recurrente
+ * @param {Date} [today=new Date()] - Fecha de referencia
+ * @returns {Date|null} Próxima fecha de cobro, o null si la regla ya terminó
+ */
+export const getNextOccurrence = (rule, today = new Date()) => {
+  let next = null;
+  forEachOccurrence(rule, (date) => {
+    if (date > today) {
+      next = date;
+      return false;
+    }
+    return true;
+  });
+  return next;
+};
+
+/**
+ * Conservar el periodo ya generado al cambiar el calendario de una regla
+ *
+ * Si cambia el día, la frecuencia o el inicio, las ocurrencias del nuevo
+ * calendario que caen en un mes ya generado se dan por cubiertas; así,
+ * mover el cobro del día 5 al 15 no genera un segundo recibo en el mes.
+ *
+ * @param {Object} previous - Regla antes del cambio
+ * @param {Object} rule - Regla con los cambios aplicados
+ * @returns {Object} Regla con lastGeneratedDate ajustada al nuevo calendario
+ */
+export const rescheduleRecurringRule = (previous, rule) => {
+  const scheduleChanged = previous.dayOfMonth !== rule.dayOfMonth ||
+    previous.frequency !== rule.frequency ||
+    previous.startDate !== rule.startDate;
+  if (!scheduleChanged || !previous.lastGeneratedDate) return rule;
+
+  const last = new Date(previous.lastGeneratedDate);
+  const lastMonth = last.getFullYear() * 12 + last.getMonth();
+  let covered = null;
+  forEachOccurrence(rule, (date) => {
+    if (date.getFullYear() * 12 + date.getMonth() > lastMonth) return false;
+    covered = date;
+    return true;
+  });
+  return covered ? { ...rule, lastGeneratedDate: covered.toISOString() } : rule;
+};
+
+/**
+ * Generar los recibos vencidos de varias reglas
+ *
+ * Omite las ocurrencias que ya tienen un recibo ligado, por si un guardado
+ * anterior se interrumpió entre los recibos y las reglas.
+ *
+ * @param {Array<Object>} rules - Reglas de gasto recurrente
+ * @param {Array<Object>} receipts - Recibos existentes
+ * @param {Date} [today=new Date()] - Fecha de referencia
+ * @returns {{rules: Array<Object>, receipts: Array<Object>}} Reglas con
+ *   lastGeneratedDate actualizada y recibos nuevos (sin id ni estado), del
+ *   más reciente al más antiguo
+ *
+ * @example
+ * const { rules, receipts: generated } = collectDueReceipts(storedRules, storedReceipts);
+ */
+export const collectDueReceipts = (rules, receipts, today = new Date()) => {
+  const generated = [];
+  const updatedRules = rules.map(rule => {
+    const dates = getDueOccurrences(rule, today);
+    if (dates.length === 0) return rule;
+
+    dates.forEach(date => {
+      const iso = date.toISOString();
+      const exists = receipts.some(r => r.recurringRuleId === rule.id && r.date === iso);
+      if (!exists) {
+        generated.push({
+          name: rule.name,
+          amount: rule.amount,
+          category: rule.category,
+          date: iso,
+          recurringRuleId: rule.id
+        });
+      }
+    });
+    return { ...rule, lastGeneratedDate: dates[dates.length - 1].toISOString() };
+  });
+
+  generated.sort((a, b) => b.date.localeCompare(a.date));
+  return { rules: updatedRules, receipts: generated };
+};
+
+/**
+ * Saber si un recibo fue generado por una regla recurrente
+ *
+ * @param {Object} receipt - Recibo guardado
+ * @returns {boolean} true si está ligado a una regla
+ */
+export const isRecurringReceipt = (receipt) => Boolean(receipt.recurringRuleId);
+
+/**
+ * Cargar las reglas de gastos recurrentes
+ *
+ * @param {string} [key=RECURRING_RULES_KEY] - Clave de AsyncStorage
+ * @returns {Promise<Array<Object>>} Reglas guardadas (vacío si no hay datos)
+ */
+export const loadStoredRecurringRules = async (key = RECURRING_RULES_KEY) => {
+  const raw = await AsyncStorage.getItem(key);
+  if (!raw) return [];
+
+  const parsed = JSON.parse(raw);
+  if (!Array.isArray(parsed)) {
+    throw new Error('Formato de gastos recurrentes desconocido');
+  }
+  return parsed;
+};
+
+/**
+ * Guardar las reglas de gastos recurrentes
+ *
+ * @param {Array<Object>} rules - Reglas a guardar
+ * @param {string} [key=RECURRING_RULES_KEY] - Clave de AsyncStorage
+ */
+export const saveStoredRecurringRules = async (rules, key = RECURRING_RULES_KEY) => {
+  await AsyncStorage.setItem(key, JSON.stringify(rules));
+};
@@ -0,0 +1,599 @@
+/**
+ * Pantalla de Gastos Recurrentes
+ *
+ * Permite registrar los gastos que se pagan cada periodo (internet,
+ * teléfono, renta) para que la app genere sus recibos automáticamente:
+ * - Crear reglas con comercio, monto, categoría, frecuencia, día de cobro
+ *   y fechas de inicio y fin
+ * - Ver la próxima fecha de cobro y los recibos generados de cada regla
+ * - Editar una regla, con la opción de actualizar los recibos ya
+ *   generados del mes en curso en adelante
+ * - Eliminar reglas (los recibos generados se conservan)
+ *
+ * Los recibos vencidos se generan al abrir la app (ver ExpenseContext).
+ *
+ * @component
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert,
+  Modal
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useExpense } from './ExpenseContext';
+import { toCents, formatMoney, centsToInput } from './Money';
+import {
+  RECURRING_FREQUENCIES,
+  getFrequency,
+  getNextOccurrence
+} from './RecurringExpenses';
+
+export default function RecurringExpensesScreen() {
+  // Obtener reglas y funciones del contexto global
+  const {
+    receipts,
+    recurringRules,
+    getActiveCategories,
+    addRecurringRule,
+    updateRecurringRule,
+    deleteRecurringRule
+  } = useExpense();
+
+  // === Estados del formulario (modal de crear/editar) ===
+  const [showEditor, setShowEditor] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [name, setName] = useState('');
+  const [amount, setAmount] = useState('');
+  const [category, setCategory] = useState('');
+  const [frequency, setFrequency] = useState(RECURRING_FREQUENCIES[0].key);
+  const [dayOfMonth, setDayOfMonth] = useState('');
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+
+  const activeCategories = getActiveCategories();
+
+  /**
+   * Formatear fecha a DD/MM/YYYY para los campos del formulario
+   */
+  const formatDateInput = (dateString) => {
+    const date = new Date(dateString);
+    const day = String(date.getDate()).padStart(2, '0');
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    return `${day}/${month}/${date.getFullYear()}`;
+  };
+
+  /**
+   * Convertir un texto DD/MM/YYYY a fecha ISO
+   *
+   * @param {string} dateText - Fecha capturada
+   * @returns {string|null} Fecha ISO, o null si el texto no es una fecha válida
+   */
+  const parseDateInput = (dateText) => {
+    const match = dateText.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (!match) return null;
+    const [, day, month, year] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getDate() === day ? date.toISOString() : null;
+  };
+
+  /**
+   * Formatear fecha a formato legible en español
+   */
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('es-MX', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  /**
+   * Contar los recibos generados por una regla
+   *
+   * @param {string} ruleId - ID de la regla
+   * @param {Date} [from] - Contar solo desde esta fecha
+   * @returns {number} Número de recibos
+   */
+  const countGenerated = (ruleId, from) => {
+    return receipts.filter(r =>
+      r.recurringRuleId === ruleId && (!from || new Date(r.date) >= from)
+    ).length;
+  };
+
+  /**
+   * Abrir el editor para crear una regla nueva
+   */
+  const openNewRule = () => {
+    const today = new Date();
+    setEditingId(null);
+    setName('');
+    setAmount('');
+    setCategory(activeCategories[0]?.name || '');
+    setFrequency(RECURRING_FREQUENCIES[0].key);
+    setDayOfMonth(String(today.getDate()));
+    setStartDate(formatDateInput(today));
+    setEndDate('');
+    setShowEditor(true);
+  };
+
+  /**
+   * Abrir el editor con los datos de una regla existente
+   *
+   * @param {Object} rule - Regla a editar
+   */
+  const openEditRule = (rule) => {
+    setEditingId(rule.id);
+    setName(rule.name);
+    setAmount(centsToInput(rule.amount));
+    setCategory(rule.category);
+    setFrequency(rule.frequency);
+    setDayOfMonth(String(rule.dayOfMonth));
+    setStartDate(formatDateInput(rule.startDate));
+    setEndDate(rule.endDate ? formatDateInput(rule.endDate) : '');
+    setShowEditor(true);
+  };
+
+  /**
+   * Guardar la regla del editor (crear o actualizar)
+   *
+   * Al editar una regla que ya generó recibos este mes, se pregunta si
+   * esos recibos también deben actualizarse.
+   */
+  const handleSave = async () => {
+    const start = parseDateInput(startDate);
+    if (!start) {
+      Alert.alert('Error', 'Ingresa la fecha de inicio en formato DD/MM/AAAA');
+      return;
+    }
+    const end = endDate.trim() ? parseDateInput(endDate) : null;
+    if (endDate.trim() && !end) {
+      Alert.alert('Error', 'Ingresa la fecha de fin en formato DD/MM/AAAA');
+      return;
+    }
+
+    const ruleData = {
+      name,
+      amount: toCents(amount),
+      category,
+      frequency,
+      dayOfMonth: parseInt(dayOfMonth, 10),
+      startDate: start,
+      endDate: end
+    };
+
+    const save = async (applyFrom) => {
+      try {
+        if (editingId) {
+          await updateRecurringRule(editingId, ruleData, applyFrom);
+          setShowEditor(false);
+        } else {
+          const { generatedCount } = await addRecurringRule(ruleData);
+          setShowEditor(false);
+          if (generatedCount > 0) {
+            Alert.alert(
+              'Gasto recurrente guardado',
+              `Se generaron ${generatedCount} recibo(s) de fechas anteriores.`
+            );
+          }
+        }
+      } catch (error) {
+        console.error('Error al guardar gasto recurrente:', error);
+        Alert.alert('Error', error.message);
+      }
+    };
+
+    const today = new Date();
+    const monthStart = new Date(today.getFullYear(), today.getMonth(), 1);
+    const pending = editingId ? countGenerated(editingId, monthStart) : 0;
+    if (pending > 0) {
+      Alert.alert(
+        'Actualizar recibos generados',
+        `¿Aplicar los cambios también a ${pending} recibo(s) generado(s) desde el inicio de este mes?`,
+        [
+          { text: 'Cancelar', style: 'cancel' },
+          { text: 'Solo próximos', onPress: () => save() },
+          { text: 'Aplicar', onPress: () => save(monthStart) }
+        ]
+      );
+      return;
+    }
+    await save();
+  };
+
+  /**
+   * Eliminar una regla después de confirmar
+   *
+   * @param {Object} rule - Regla a eliminar
+   */
+  const handleDelete = (rule) => {
+    Alert.alert(
+      'Eliminar gasto recurrente',
+      `Ya no se generarán recibos de "${rule.name}". Los recibos generados se conservan.`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Eliminar',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteRecurringRule(rule.id);
+            } catch (error) {
+              console.error('Error al eliminar gasto recurrente:', error);
+              Alert.alert('Error', 'No se pudo eliminar el gasto recurrente');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  /**
+   * Renderizar una fila de regla con sus acciones
+   *
+   * @param {Object} rule - Regla a mostrar
+   * @returns {JSX.Element} Fila de la lista
+   */
+  const renderRule = (rule) => {
+    const next = getNextOccurrence(rule);
+    return (
+      <View key={rule.id} style={styles.ruleRow}>
+        <View style={styles.ruleIcon}>
+          <Ionicons name="repeat-outline" size={20} color="#fff" />
+        </View>
+
+        {/* Datos de la regla */}
+        <View style={styles.ruleInfo}>
+          <Text style={styles.ruleName}>{rule.name}</Text>
+          <Text style={styles.ruleDetail}>
+            {formatMoney(rule.amount)} · {getFrequency(rule.frequency).label} · día {rule.dayOfMonth}
+          </Text>
+          <Text style={styles.ruleDetail}>{rule.category}</Text>
+          <Text style={styles.ruleDetail}>
+            {next ? `Próximo cobro: ${formatDate(next)}` : 'Finalizado'}
+            {rule.endDate ? ` · Termina: ${formatDate(rule.endDate)}` : ''}
+          </Text>
+          <Text style={styles.ruleCount}>
+            {countGenerated(rule.id)} recibo(s) generado(s)
+          </Text>
+        </View>
+
+        {/* Acciones: editar y eliminar */}
+        <View style={styles.ruleActions}>
+          <TouchableOpacity style={styles.actionIcon} onPress={() => openEditRule(rule)}>
+            <Ionicons name="create-outline" size={20} color="#3B82F6" />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.actionIcon} onPress={() => handleDelete(rule)}>
+            <Ionicons name="trash-outline" size={20} color="#DC2626" />
+          </TouchableOpacity>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView style={styles.scrollView}>
+        <View style={styles.content}>
+          {/* === Sección: Reglas === */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Gastos recurrentes</Text>
+            <Text style={styles.sectionSubtitle}>
+              Sus recibos se generan automáticamente en cada fecha de cobro
+            </Text>
+            {recurringRules.length === 0 ? (
+              <Text style={styles.emptyText}>No hay gastos recurrentes</Text>
+            ) : (
+              recurringRules.map(renderRule)
+            )}
+          </View>
+
+          {/* === Botón Nuevo Gasto Recurrente === */}
+          <TouchableOpacity style={styles.addButton} onPress={openNewRule}>
+            <Ionicons name="add" size={20} color="#fff" />
+            <Text style={styles.addButtonText}>Nuevo gasto recurrente</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+
+      {/* === Modal de Crear/Editar Regla === */}
+      <Modal
+        visible={showEditor}
+        transparent={true}
+        animationType="slide"
+        onRequestClose={() => setShowEditor(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>
+                {editingId ? 'Editar gasto recurrente' : 'Nuevo gasto recurrente'}
+              </Text>
+              <TouchableOpacity onPress={() => setShowEditor(false)}>
+                <Ionicons name="close" size={24} color="#111" />
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView>
+              {/* Campo: Comercio */}
+              <Text style={styles.label}>Comercio</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Ej. Internet, Renta de oficina"
+                placeholderTextColor="#9CA3AF"
+                value={name}
+                onChangeText={setName}
+              />
+
+              {/* Campo: Monto */}
+              <Text style={styles.label}>Monto</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="0.00"
+                placeholderTextColor="#9CA3AF"
+                value={amount}
+                onChangeText={setAmount}
+                keyboardType="decimal-pad"
+              />
+
+              {/* Selector de categoría */}
+              <Text style={styles.label}>Categoría</Text>
+              <View style={styles.optionsGrid}>
+                {activeCategories.map((cat) => (
+                  <TouchableOpacity
+                    key={cat.id}
+                    style={[styles.chip, category === cat.name && styles.chipSelected]}
+                    onPress={() => setCategory(cat.name)}
+                  >
+                    <Text style={[styles.chipText, category === cat.name && styles.chipTextSelected]}>
+                      {cat.name}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              {/* Selector de frecuencia */}
+              <Text style={styles.label}>Frecuencia</Text>
+              <View style={styles.optionsGrid}>
+                {RECURRING_FREQUENCIES.map((option) => (
+                  <TouchableOpacity
+                    key={option.key}
+                    style={[styles.chip, frequency === option.key && styles.chipSelected]}
+                    onPress={() => setFrequency(option.key)}
+                  >
+                    <Text style={[styles.chipText, frequency === option.key && styles.chipTextSelected]}>
+                      {option.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              {/* Campo: Día de cobro */}
+              <Text style={styles.label}>Día del mes</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="1 - 31"
+                placeholderTextColor="#9CA3AF"
+                value={dayOfMonth}
+                onChangeText={setDayOfMonth}
+                keyboardType="number-pad"
+              />
+
+              {/* Campos: Fechas de inicio y fin */}
+              <Text style={styles.label}>Fecha de inicio</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="DD/MM/AAAA"
+                placeholderTextColor="#9CA3AF"
+                value={startDate}
+                onChangeText={setStartDate}
+              />
+              <Text style={styles.label}>Fecha de fin (opcional)</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="DD/MM/AAAA"
+                placeholderTextColor="#9CA3AF"
+                value={endDate}
+                onChangeText={setEndDate}
+              />
+
+              {/* Botón Guardar */}
+              <TouchableOpacity style={styles.saveButton} onPress={handleSave}>
+                <Ionicons name="save-outline" size={20} color="#fff" />
+                <Text style={styles.saveButtonText}>Guardar</Text>
+              </TouchableOpacity>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+}
+
+/**
+ * Estilos del componente
+ */
+const styles = StyleSheet.create({
+  // === Contenedor principal ===
+  container: {
+    flex: 1,
+    backgroundColor: '#E5E7EB',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    padding: 20,
+  },
+
+  // === Secciones ===
+  section: {
+    backgroundColor: '#fff',
+    padding: 20,
+    borderRadius: 12,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#111',
+    marginBottom: 4,
+  },
+  sectionSubtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 16,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#9CA3AF',
+    textAlign: 'center',
+    paddingVertical: 12,
+  },
+
+  // === Filas de reglas ===
+  ruleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+    gap: 12,
+  },
+  ruleIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#14B8A6',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  ruleInfo: {
+    flex: 1,
+  },
+  ruleName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111',
+  },
+  ruleDetail: {
+    fontSize: 13,
+    color: '#374151',
+    marginTop: 2,
+  },
+  ruleCount: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  ruleActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  actionIcon: {
+    padding: 6,
+  },
+
+  // === Botón Nuevo Gasto Recurrente ===
+  addButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#10B981',
+    padding: 16,
+    borderRadius: 12,
+    gap: 8,
+  },
+  addButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+
+  // === Modal ===
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0,0,0,0.5)', // Fondo oscuro semi-transparente
+    justifyContent: 'flex-end', // Bottom sheet style
+  },
+  modalContent: {
+    backgroundColor: '#fff',
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    padding: 20,
+    maxHeight: '90%',
+  },
+  modalHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 16,
+  },
+  modalTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#111',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  input: {
+    backgroundColor: '#F9FAFB',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    color: '#111',
+    marginBottom: 16,
+  },
+  optionsGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    backgroundColor: '#F9FAFB',
+  },
+  chipSelected: {
+    backgroundColor: '#1E3A8A',
+    borderColor: '#1E3A8A',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#374151',
+  },
+  chipTextSelected: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  saveButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#1E3A8A',
+    padding: 16,
+    borderRadius: 12,
+    gap: 8,
+  },
+  saveButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '700',
+  },
+});
@@ -0,0 +1,420 @@
+/**
+ * Pantalla de Registro
+ *
+ * Permite crear una cuenta nueva desde el link "Cree una cuenta" del login:
+ * - Nombre, correo electrónico y contraseña
+ * - Indicador de fortaleza de la contraseña (ver PasswordPolicy)
+ * - Confirmación de la contraseña
+ * - Aceptación de los términos y condiciones
+ * - Errores del servidor, como un correo ya registrado
+ *
+ * Al registrarse, la sesión de la cuenta nueva queda iniciada y se
+ * navega al dashboard.
+ *
+ * @component
+ */
+
+import React, { useState } from 'react';
+import {
+  StyleSheet,
+  Text,
+  View,
+  TextInput,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  ActivityIndicator
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
+import { register, AuthError } from './AuthService';
+import { checkPassword } from './PasswordPolicy';
+import PasswordStrengthMeter from './PasswordStrengthMeter';
+
+export default function RegisterScreen() {
+  // === Estados del componente ===
+  const [name, setName] = useState('');
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPassword, setShowPassword] = useState(false);
+  const [acceptedTerms, setAcceptedTerms] = useState(false);
+  const [errorMessage, setErrorMessage] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const navigation = useNavigation();
+
+  // Reglas de la contraseña, revisadas mientras se escribe
+  const passwordCheck = checkPassword(password);
+
+  /**
+   * Actualizar un campo y limpiar el mensaje de error
+   */
+  const handleChange = (setter) => (text) => {
+    setter(text);
+    setErrorMessage('');
+  };
+
+  /**
+   * Manejador de registro
+   *
+   * Validaciones antes de enviar:
+   * 1. Nombre no vacío
+   * 2. Formato de email válido
+   * 3. Contraseña que cumpla las reglas obligatorias
+   * 4. Confirmación igual a la contraseña
+   * 5. Términos y condiciones aceptados
+   *
+   * Los errores del servidor (correo ya registrado, etc.) se muestran
+   * con el mensaje que envía el servidor.
+   */
+  const handleRegister = async () => {
+    // Validación 1: Nombre no vacío
+    if (!name.trim()) {
+      setErrorMessage('Por favor ingrese su nombre');
+      return;
+    }
+
+    // Validación 2: Formato de email válido
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email.trim())) {
+      setErrorMessage('Por favor ingrese un correo electrónico válido');
+      return;
+    }
+
+    // Validación 3: Contraseña segura
+    if (!passwordCheck.isValid) {
+      setErrorMessage('La contraseña no cumple con los requisitos');
+      return;
+    }
+
+    // Validación 4: Confirmación de contraseña
+    if (password !== confirmPassword) {
+      setErrorMessage('Las contraseñas no coinciden');
+      return;
+    }
+
+    // Validación 5: Términos y condiciones
+    if (!acceptedTerms) {
+      setErrorMessage('Debe aceptar los términos y condiciones');
+      return;
+    }
+
+    setIsSubmitting(true);
+    try {
+      await register({ name, email, password });
+      console.log('Cuenta creada:', email);
+
+      // Ir al dashboard sin poder regresar al registro ni al login
+      navigation.reset({ index: 0, routes: [{ name: 'ExpenseDashboard' }] });
+    } catch (error) {
+      console.log('Error al crear la cuenta:', error);
+      setErrorMessage(error instanceof AuthError
+        ? error.message
+        : 'Error al crear la cuenta. Por favor intente nuevamente.');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView
+        contentContainerStyle={styles.scrollContent}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.card}>
+          {/* === Textos de bienvenida === */}
+          <Text style={styles.titleText}>Crear cuenta</Text>
+          <Text style={styles.instructionText}>
+            Ingrese sus datos para registrarse.
+          </Text>
+
+          {/* === Mensaje de error === */}
+          {errorMessage ? (
+            <View style={styles.errorContainer}>
+              <Text style={styles.errorText}>{errorMessage}</Text>
+            </View>
+          ) : null}
+
+          {/* === Campo de nombre === */}
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Nombre</Text>
+            <View style={styles.inputWrapper}>
+              <TextInput
+                style={styles.input}
+                placeholder="Ingrese su nombre"
+                placeholderTextColor="#9CA3AF"
+                value={name}
+                onChangeText={handleChange(setName)}
+                autoCapitalize="words"
+                autoComplete="name"
+              />
+            </View>
+          </View>
+
+          {/* === Campo de correo electrónico === */}
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Correo electrónico</Text>
+            <View style={styles.inputWrapper}>
+              <TextInput
+                style={styles.input}
+                placeholder="Ingrese su correo electrónico"
+                placeholderTextColor="#9CA3AF"
+                value={email}
+                onChangeText={handleChange(setEmail)}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                autoComplete="email"
+              />
+            </View>
+          </View>
+
+          {/* === Campo de contraseña === */}
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Contraseña</Text>
+            <View style={styles.inputWrapper}>
+              <TextInput
+                style={styles.input}
+                placeholder="Cree una contraseña"
+                placeholderTextColor="#9CA3AF"
+                value={password}
+                onChangeText={handleChange(setPassword)}
+                secureTextEntry={!showPassword}
+                autoCapitalize="none"
+                autoComplete="password-new"
+              />
+              {/* Botón para mostrar/ocultar contraseña */}
+              <TouchableOpacity
+                onPress={() => setShowPassword(!showPassword)}
+                style={styles.eyeButton}
+              >
+                <Ionicons
+                  name={showPassword ? "eye-off-outline" : "eye-outline"}
+                  size={20}
+                  color="#9CA3AF"
+                />
+              </TouchableOpacity>
+            </View>
+
+            {/* Indicador de fortaleza */}
+            <PasswordStrengthMeter password={password} />
+          </View>
+
+          {/* === Campo de confirmación de contraseña === */}
+          <View style={styles.inputContainer}>
+            <Text style={styles.label}>Confirmar contraseña</Text>
+            <View style={styles.inputWrapper}>
+              <TextInput
+                style={styles.input}
+                placeholder="Repita la contraseña"
+                placeholderTextColor="#9CA3AF"
+                value={confirmPassword}
+                onChangeText={handleChange(setConfirmPassword)}
+                secureTextEntry={!showPassword}
+                autoCapitalize="none"
+                autoComplete="password-new"
+              />
+              {/* Indicador de coincidencia */}
+              {confirmPassword.length > 0 && (
+                <Ionicons
+                  name={confirmPassword === password ? "checkmark-circle" : "close-circle"}
+                  size={20}
+                  color={confirmPassword === password ? '#10B981' : '#DC2626'}
+                />
+              )}
+            </View>
+          </View>
+
+          {/* === Checkbox de términos y condiciones === */}
+          <TouchableOpacity
+            style={styles.checkboxRow}
+            onPress={() => {
+              setAcceptedTerms(!acceptedTerms);
+              setErrorMessage('');
+            }}
+          >
+            <View style={[styles.checkbox, acceptedTerms && styles.checkboxChecked]}>
+              {acceptedTerms && (
+                <Ionicons name="checkmark" size={16} color="#fff" />
+              )}
+            </View>
+            <Text style={styles.checkboxLabel}>
+              Acepto los términos y condiciones y el aviso de privacidad
+            </Text>
+          </TouchableOpacity>
+
+          {/* === Botón de registro === */}
+          <TouchableOpacity
+            style={[styles.registerButton, isSubmitting && styles.registerButtonDisabled]}
+            onPress={handleRegister}
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.registerButtonText}>Crear cuenta</Text>
+            )}
+          </TouchableOpacity>
+
+          {/* === Link para volver al login === */}
+          <View style={styles.loginContainer}>
+            <Text style={styles.loginText}>¿Ya tiene una cuenta? </Text>
+            <TouchableOpacity onPress={() => navigation.goBack()}>
+              <Text style={styles.loginLink}>Inicie sesión</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+/**
+ * Estilos del componente RegisterScreen
+ */
+const styles = StyleSheet.create({
+  // === Contenedores principales ===
+  container: {
+    flex: 1,
+    backgroundColor: '#fff',
+  },
+  scrollContent: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 20,
+  },
+  card: {
+    width: '100%',
+    maxWidth: 400,
+    backgroundColor: '#fff',
+    borderRadius: 24,
+    padding: 32,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+    elevation: 4,
+  },
+
+  // === Textos informativos ===
+  titleText: {
+    fontSize: 32,
+    fontWeight: '700',
+    color: '#1E3A8A',
+    marginBottom: 8,
+    textAlign: 'center',
+  },
+  instructionText: {
+    fontSize: 16,
+    color: '#9CA3AF',
+    marginBottom: 24,
+    textAlign: 'center',
+  },
+
+  // === Mensajes de error ===
+  errorContainer: {
+    backgroundColor: '#FEE2E2',
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 16,
+  },
+  errorText: {
+    color: '#DC2626',
+    fontSize: 14,
+    textAlign: 'center',
+  },
+
+  // === Campos de entrada ===
+  inputContainer: {
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#374151',
+    marginBottom: 8,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#E5E7EB',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    minHeight: 48,
+  },
+  input: {
+    flex: 1,
+    fontSize: 16,
+    color: '#111',
+    paddingVertical: 12,
+  },
+  eyeButton: {
+    padding: 4,
+  },
+
+  // === Términos y condiciones ===
+  checkboxRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  checkbox: {
+    width: 20,
+    height: 20,
+    borderWidth: 2,
+    borderColor: '#D1D5DB',
+    borderRadius: 4,
+    marginRight: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  checkboxChecked: {
+    backgroundColor: '#3B82F6',
+    borderColor: '#3B82F6',
+  },
+  checkboxLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#374151',
+  },
+
+  // === Botones ===
+  registerButton: {
+    backgroundColor: '#3B82F6',
+    borderRadius: 12,
+    padding: 16,
+    alignItems: 'center',
+    marginBottom: 24,
+  },
+  registerButtonDisabled: {
+    opacity: 0.7,
+  },
+  registerButtonText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: '700',
+  },
+
+  // === Link al login ===
+  loginContainer: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loginText: {
+    fontSize: 14,
+    color: '#6B7280',
+  },
+  loginLink: {
+    fontSize: 14,
+    color: '#3B82F6',
+    fontWeight: '600',
+  },
+});
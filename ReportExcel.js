@@ -0,0 +1,292 @@
+/**
+ * Exportación de Reportes a Excel (XLSX)
+ *
+ * Genera un libro de Excel a partir de los recibos filtrados del reporte:
+ * - Hoja "Resumen": cifras de calculateReportData, gastos por categoría y
+ *   desglose de impuestos
+ * - Hoja "Recibos": una fila por recibo o ingreso (los ingresos con tipo
+ *   "Ingreso" y su origen en lugar de la categoría)
+ * - Hoja "Productos": una fila por producto, con el ID de su recibo
+ * - Hoja "Deducibles": clasificación fiscal de cada recibo (solo en el
+ *   reporte de deducibles)
+ * - Hoja "Historial": cambios registrados de cada recibo
+ *
+ * Los montos se escriben como números (en pesos) con formato de moneda,
+ * para que el contador pueda sumarlos y filtrarlos en Excel.
+ *
+ * @module ReportExcel
+ */
+
+import * as XLSX from 'xlsx';
+import { File, Paths } from 'expo-file-system';
+import { fromCents, multiplyCents } from './Money';
+import { DEDUCTIBILITY_LABELS } from './Deductibility';
+import { isDeposit, DEPOSIT_LABEL } from './Deposits';
+import { collectHistory, getFieldLabel, formatHistoryValue } from './ReceiptHistory';
+
+/**
+ * Formato de número para las columnas de dinero
+ */
+export const CURRENCY_FORMAT = '"$"#,##0.00';
+
+/**
+ * Formato de fecha para las columnas de fecha
+ */
+const DATE_FORMAT = 'dd/mm/yyyy';
+
+/**
+ * MIME type de los archivos XLSX
+ */
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/**
+ * Aplicar un formato de número a una columna de la hoja
+ *
+ * @param {Object} sheet - Hoja de SheetJS
+ * @param {number} column - Índice de la columna (0 = A)
+ * @param {string} format - Formato de número de Excel
+ * @param {number} [fromRow=1] - Primera fila a formatear (0 = encabezados)
+ */
+const setColumnFormat = (sheet, column, format, fromRow = 1) => {
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  for (let row = fromRow; row <= range.e.r; row++) {
+    const cell = sheet[XLSX.utils.encode_cell({ r: row, c: column })];
+    if (cell && cell.t === 'n') {
+      cell.z = format;
+    }
+  }
+};
+
+/**
+ * Construir la hoja de resumen
+ */
+const buildSummarySheet = ({ title, periodLabel, report, generatedAt }) => {
+  const rows = [
+    ['Reporte', title],
+    ['Periodo', periodLabel],
+    ['Generado', generatedAt],
+    [],
+    ['Total gastado', fromCents(report.totalSpent)],
+    ['Entradas', report.entries],
+    ['Depósitos', fromCents(report.deposits)],
+    ['Balance neto', fromCents(report.netBalance)],
+    ['Promedio', fromCents(report.average)],
+    [],
+    ['Categoría', 'Porcentaje', 'Monto'],
+    ...report.expensesByCategory.map(item => [
+      item.category,
+      item.percentage / 100,
+      fromCents(item.amount)
+    ])
+  ];
+  const categoriesEnd = rows.length;
+  rows.push(
+    [],
+    ['Impuestos', 'Base', 'Monto'],
+    ['Subtotal', '', fromCents(report.taxes.subtotal)],
+    ['IEPS', '', fromCents(report.taxes.ieps)],
+    ...report.taxes.byRate.map(group => [`IVA ${group.label}`, fromCents(group.base), fromCents(group.iva)]),
+    ['IVA total', '', fromCents(report.taxes.iva)],
+    ['Sin desglose', '', fromCents(report.taxes.withoutBreakdown)]
+  );
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+
+  // Celdas de dinero del resumen (columna B), de la tabla de categorías
+  // (columna C) y de la tabla de impuestos (columnas B y C)
+  ['B5', 'B7', 'B8', 'B9'].forEach(address => { sheet[address].z = CURRENCY_FORMAT; });
+  sheet.B3.z = DATE_FORMAT;
+  setColumnFormat(sheet, 1, '0%', 11);
+  setColumnFormat(sheet, 1, CURRENCY_FORMAT, categoriesEnd + 2);
+  setColumnFormat(sheet, 2, CURRENCY_FORMAT, 11);
+  sheet['!cols'] = [{ wch: 16 }, { wch: 28 }, { wch: 14 }];
+  return sheet;
+};
+
+/**
+ * Construir la hoja de recibos
+ */
+const buildReceiptsSheet = (receipts) => {
+  const rows = [
+    ['ID', 'Fecha', 'Comercio', 'Categoría', 'Tipo', 'Método de pago', 'Estado', 'Monto'],
+    ...receipts.map(receipt => [
+      receipt.id,
+      new Date(receipt.date),
+      receipt.name,
+      isDeposit(receipt) ? receipt.source || '' : receipt.category,
+      isDeposit(receipt) ? DEPOSIT_LABEL : receipt.type || '',
+      receipt.paymentMethod || '',
+      receipt.status || '',
+      fromCents(receipt.amount)
+    ])
+  ];
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  setColumnFormat(sheet, 1, DATE_FORMAT);
+  setColumnFormat(sheet, 7, CURRENCY_FORMAT);
+  sheet['!cols'] = [
+    { wch: 15 }, { wch: 12 }, { wch: 28 }, { wch: 18 },
+    { wch: 10 }, { wch: 18 }, { wch: 12 }, { wch: 14 }
+  ];
+  return sheet;
+};
+
+/**
+ * Obtener el importe de una línea de producto
+ *
+ * Usa el importe de la factura (CFDI) o, si no existe, el total de la línea
+ * con impuestos. Los productos anteriores al desglose de impuestos solo
+ * tienen precio y cantidad.
+ *
+ * @param {Object} product - Producto del recibo
+ * @returns {number} Importe en centavos
+ */
+const getProductAmount = (product) => {
+  if (product.amount !== undefined && product.amount !== null) {
+    return product.amount;
+  }
+  if (product.subtotal !== undefined && product.subtotal !== null) {
+    return product.subtotal + (product.ieps || 0) + (product.iva || 0);
+  }
+  return multiplyCents(product.price, product.quantity || 1);
+};
+
+/**
+ * Construir la hoja de productos
+ */
+const buildProductsSheet = (receipts) => {
+  const rows = [
+    ['ID recibo', 'Comercio', 'Producto', 'Cantidad', 'Precio unitario', 'Importe']
+  ];
+  receipts.forEach(receipt => {
+    (receipt.products || []).forEach(product => {
+      const quantity = product.quantity || 1;
+      rows.push([
+        receipt.id,
+        receipt.name,
+        product.name,
+        quantity,
+        fromCents(product.price),
+        fromCents(getProductAmount(product))
+      ]);
+    });
+  });
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  setColumnFormat(sheet, 4, CURRENCY_FORMAT);
+  setColumnFormat(sheet, 5, CURRENCY_FORMAT);
+  sheet['!cols'] = [{ wch: 15 }, { wch: 28 }, { wch: 28 }, { wch: 10 }, { wch: 16 }, { wch: 14 }];
+  return sheet;
+};
+
+/**
+ * Construir la hoja del reporte de deducibles
+ *
+ * @param {Object} deductibles - Resultado de buildDeductibilityReport
+ */
+const buildDeductiblesSheet = (deductibles) => {
+  const rows = [
+    ['ID recibo', 'Fecha', 'Comercio', 'Monto', 'Clasificación', 'Deducible', 'IVA acreditable', 'Motivos'],
+    ...deductibles.items.map(item => [
+      item.receipt.id,
+      new Date(item.receipt.date),
+      item.receipt.name,
+      fromCents(item.receipt.amount),
+      DEDUCTIBILITY_LABELS[item.status],
+      fromCents(item.deductibleAmount),
+      fromCents(item.creditableIva),
+      item.reasons.join('; ')
+    ]),
+    [],
+    ['Total', '', '', '', '', fromCents(deductibles.deductibleTotal), fromCents(deductibles.creditableIva)]
+  ];
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  setColumnFormat(sheet, 1, DATE_FORMAT);
+  [3, 5, 6].forEach(column => setColumnFormat(sheet, column, CURRENCY_FORMAT));
+  sheet['!cols'] = [
+    { wch: 15 }, { wch: 12 }, { wch: 28 }, { wch: 14 },
+    { wch: 22 }, { wch: 14 }, { wch: 16 }, { wch: 48 }
+  ];
+  return sheet;
+};
+
+/**
+ * Construir la hoja del historial de cambios
+ */
+const buildHistorySheet = (receipts) => {
+  const rows = [
+    ['ID recibo', 'Comercio', 'Fecha del cambio', 'Usuario', 'Campo', 'Valor anterior', 'Valor nuevo'],
+    ...collectHistory(receipts).map(({ receipt, entry }) => [
+      receipt.id,
+      receipt.name,
+      new Date(entry.changedAt),
+      entry.user,
+      getFieldLabel(entry.field),
+      formatHistoryValue(entry.field, entry.oldValue),
+      formatHistoryValue(entry.field, entry.newValue)
+    ])
+  ];
+  const sheet = XLSX.utils.aoa_to_sheet(rows);
+  setColumnFormat(sheet, 2, 'dd/mm/yyyy hh:mm');
+  sheet['!cols'] = [
+    { wch: 15 }, { wch: 28 }, { wch: 18 }, { wch: 16 },
+    { wch: 18 }, { wch: 24 }, { wch: 24 }
+  ];
+  return sheet;
+};
+
+/**
+ * Construir el libro de Excel del reporte
+ *
+ * @param {Object} options
+ * @param {string} options.title - Título del reporte
+ * @param {string} options.periodLabel - Periodo del reporte ya formateado
+ * @param {Object} options.report - Resultado de calculateReportData
+ * @param {Array<Object>} options.receipts - Recibos filtrados del reporte
+ * @param {Date} [options.generatedAt=new Date()] - Fecha de generación
+ * @returns {Object} Libro de SheetJS con las hojas Resumen, Recibos, Productos
+ *   e Historial (y Deducibles si el reporte los incluye)
+ */
+export const buildReportWorkbook = ({
+  title,
+  periodLabel,
+  report,
+  receipts,
+  generatedAt = new Date()
+}) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    buildSummarySheet({ title, periodLabel, report, generatedAt }),
+    'Resumen'
+  );
+  XLSX.utils.book_append_sheet(workbook, buildReceiptsSheet(receipts), 'Recibos');
+  XLSX.utils.book_append_sheet(workbook, buildProductsSheet(receipts), 'Productos');
+  if (report.deductibles) {
+    XLSX.utils.book_append_sheet(workbook, buildDeductiblesSheet(report.deductibles), 'Deducibles');
+  }
+  XLSX.utils.book_append_sheet(workbook, buildHistorySheet(receipts), 'Historial');
+  return workbook;
+};
+
+/**
+ * Generar el archivo XLSX del reporte en la caché de la app
+ *
+ * @param {Object} options - Mismas opciones que buildReportWorkbook
+ * @returns {Promise<string>} URI del archivo generado (listo para compartir)
+ * @throws {Error} Si no se puede escribir el archivo
+ *
+ * @example
+ * const uri = await generateReportExcel({ title, periodLabel, report, receipts });
+ * await Sharing.shareAsync(uri, { mimeType: XLSX_MIME_TYPE });
+ */
+export const generateReportExcel = async (options) => {
+  const workbook = buildReportWorkbook(options);
+  const content = XLSX.write(workbook, { type: 'base64', bookType: 'xlsx' });
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  const file = new File(Paths.cache, `reporte-gastos-${stamp}.xlsx`);
+  if (file.exists) {
+    file.delete();
+  }
+  file.create();
+  file.write(content, { encoding: 'base64' });
+  return file.uri;
+};
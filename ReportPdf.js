@@ -0,0 +1,270 @@
+/**
+ * Exportación de Reportes a PDF
+ *
+ * Genera un PDF con el mismo contenido que la vista previa de ReportScreen:
+ * - Título, periodo y fecha de generación
+ * - Tarjetas de resumen (total, entradas, depósitos, promedio)
+ * - Gastos por categoría
+ * - Desglose de impuestos (subtotal, IEPS e IVA por tasa)
+ * - Clasificación fiscal de cada recibo (solo en el reporte de deducibles)
+ * - Tabla detallada de recibos e ingresos, paginada, con el total de
+ *   gastos de cada página
+ * - Historial de cambios de los recibos (si alguno fue editado)
+ *
+ * El HTML se convierte a PDF con expo-print; la pantalla se encarga de
+ * compartir el archivo generado.
+ *
+ * @module ReportPdf
+ */
+
+import * as Print from 'expo-print';
+import { sumCents, formatMoney } from './Money';
+import { DEDUCTIBILITY_LABELS } from './Deductibility';
+import { isDeposit, DEPOSIT_LABEL } from './Deposits';
+import { collectHistory, getFieldLabel, formatHistoryValue } from './ReceiptHistory';
+
+/**
+ * Número de recibos por página en la tabla detallada
+ */
+export const ROWS_PER_PAGE = 25;
+
+/**
+ * Escapar texto para insertarlo en el HTML
+ *
+ * @param {*} value - Texto a escapar
+ * @returns {string} Texto seguro para HTML
+ */
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Formatear una fecha como "18 oct 2026"
+ */
+const formatDate = (date) => {
+  return new Date(date).toLocaleDateString('es-MX', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+  });
+};
+
+/**
+ * Dividir los recibos en páginas
+ *
+ * @param {Array<Object>} receipts - Recibos a paginar
+ * @returns {Array<Array<Object>>} Recibos agrupados por página (al menos una)
+ */
+const paginate = (receipts) => {
+  const pages = [];
+  for (let i = 0; i < receipts.length; i += ROWS_PER_PAGE) {
+    pages.push(receipts.slice(i, i + ROWS_PER_PAGE));
+  }
+  return pages.length > 0 ? pages : [[]];
+};
+
+/**
+ * Estilos del documento
+ */
+const STYLES = `
+  body { font-family: -apple-system, Helvetica, Arial, sans-serif; color: #111; margin: 32px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 24px 0 12px; }
+  .meta { color: #6B7280; font-size: 12px; margin: 2px 0; }
+  .cards { display: flex; gap: 12px; margin-top: 20px; }
+  .card { flex: 1; background: #F9FAFB; border: 1px solid #E5E7EB; border-radius: 8px; padding: 12px; }
+  .card-label { color: #6B7280; font-size: 11px; }
+  .card-value { font-size: 16px; font-weight: 700; margin-top: 4px; }
+  .category { display: flex; justify-content: space-between; padding: 6px 0; border-bottom: 1px solid #F3F4F6; font-size: 13px; }
+  .dot { display: inline-block; width: 10px; height: 10px; border-radius: 5px; margin-right: 8px; }
+  .page { page-break-before: always; }
+  table { width: 100%; border-collapse: collapse; font-size: 11px; }
+  th { text-align: left; background: #F3F4F6; padding: 6px; }
+  td { padding: 6px; border-bottom: 1px solid #F3F4F6; }
+  .amount { text-align: right; }
+  .subtotal td { font-weight: 700; border-top: 2px solid #E5E7EB; }
+  .total td { font-weight: 700; font-size: 13px; background: #EFF6FF; }
+  .income td { color: #059669; }
+  .reasons { color: #6B7280; font-size: 10px; }
+  .footer { color: #9CA3AF; font-size: 10px; text-align: right; margin-top: 8px; }
+`;
+
+/**
+ * Construir el HTML del reporte
+ *
+ * @param {Object} options
+ * @param {string} options.title - Título del reporte
+ * @param {string} options.periodLabel - Periodo del reporte ya formateado
+ * @param {Object} options.report - Resultado de calculateReportData
+ *   (totalSpent, entries, deposits, netBalance, average, expensesByCategory, taxes y,
+ *   en el reporte de deducibles, deductibles)
+ * @param {Array<Object>} options.receipts - Recibos e ingresos incluidos en el reporte
+ * @param {Function} options.getCategoryColor - Color de una categoría por nombre
+ * @param {Date} [options.generatedAt=new Date()] - Fecha de generación
+ * @returns {string} Documento HTML
+ */
+export const buildReportHtml = ({
+  title,
+  periodLabel,
+  report,
+  receipts,
+  getCategoryColor,
+  generatedAt = new Date()
+}) => {
+  const cards = [
+    ['Total Gastado', formatMoney(report.totalSpent)],
+    ['Entradas', String(report.entries)],
+    ['Depositos', formatMoney(report.deposits)],
+    ['Balance neto', formatMoney(report.netBalance)],
+    ['Promedio', formatMoney(report.average)]
+  ].map(([label, value]) => `
+    <div class="card">
+      <div class="card-label">${label}</div>
+      <div class="card-value">${value}</div>
+    </div>`).join('');
+
+  const categories = report.expensesByCategory.map(item => `
+    <div class="category">
+      <span><span class="dot" style="background:${getCategoryColor(item.category)}"></span>${escapeHtml(item.category)}</span>
+      <span>${item.percentage}% del total &nbsp; <strong>${formatMoney(item.amount)}</strong></span>
+    </div>`).join('');
+
+  const taxRows = [
+    ['Subtotal', null, report.taxes.subtotal],
+    ...(report.taxes.ieps > 0 ? [['IEPS', null, report.taxes.ieps]] : []),
+    ...report.taxes.byRate.map(group => [`IVA ${group.label}`, group.base, group.iva]),
+    ['IVA total', null, report.taxes.iva]
+  ];
+  const taxes = `
+  <h2>Impuestos</h2>
+  ${taxRows.map(([label, base, amount]) => `
+    <div class="category">
+      <span>${escapeHtml(label)}${base !== null ? ` <span class="reasons">Base ${formatMoney(base)}</span>` : ''}</span>
+      <strong>${formatMoney(amount)}</strong>
+    </div>`).join('')}
+  ${report.taxes.withoutBreakdown > 0 ? `<p class="meta">${formatMoney(report.taxes.withoutBreakdown)} en recibos sin desglose de impuestos</p>` : ''}`;
+
+  const deductibles = report.deductibles ? `
+  <h2>Deducibilidad</h2>
+  <div class="cards">
+    <div class="card"><div class="card-label">Deducible</div><div class="card-value">${formatMoney(report.deductibles.deductibleTotal)}</div></div>
+    <div class="card"><div class="card-label">IVA acreditable</div><div class="card-value">${formatMoney(report.deductibles.creditableIva)}</div></div>
+    <div class="card"><div class="card-label">No deducible</div><div class="card-value">${formatMoney(report.deductibles.nonDeductibleTotal)}</div></div>
+  </div>
+  <table style="margin-top:16px">
+    <thead>
+      <tr><th>Fecha</th><th>Comercio</th><th>Clasificación</th><th class="amount">Deducible</th><th class="amount">IVA acreditable</th></tr>
+    </thead>
+    <tbody>
+      ${report.deductibles.items.map(item => `
+      <tr>
+        <td>${formatDate(item.receipt.date)}</td>
+        <td>${escapeHtml(item.receipt.name)}${item.reasons.length > 0 ? `<div class="reasons">${item.reasons.map(escapeHtml).join('<br />')}</div>` : ''}</td>
+        <td>${DEDUCTIBILITY_LABELS[item.status]}</td>
+        <td class="amount">${formatMoney(item.deductibleAmount)}</td>
+        <td class="amount">${formatMoney(item.creditableIva)}</td>
+      </tr>`).join('')}
+    </tbody>
+  </table>` : '';
+
+  const pages = paginate(receipts);
+  const tables = pages.map((pageReceipts, index) => {
+    // Los ingresos se marcan aparte y no cuentan en el total de gastos
+    const rows = pageReceipts.map(receipt => isDeposit(receipt) ? `
+      <tr class="income">
+        <td>${formatDate(receipt.date)}</td>
+        <td>${escapeHtml(receipt.name)}</td>
+        <td>${DEPOSIT_LABEL}${receipt.source ? ` (${escapeHtml(receipt.source)})` : ''}</td>
+        <td>-</td>
+        <td class="amount">+${formatMoney(receipt.amount)}</td>
+      </tr>` : `
+      <tr>
+        <td>${formatDate(receipt.date)}</td>
+        <td>${escapeHtml(receipt.name)}</td>
+        <td>${escapeHtml(receipt.category)}</td>
+        <td>${escapeHtml(receipt.paymentMethod || '-')}</td>
+        <td class="amount">${formatMoney(receipt.amount)}</td>
+      </tr>`).join('');
+    const pageTotal = sumCents(pageReceipts.filter(r => !isDeposit(r)).map(r => r.amount));
+    const isLast = index === pages.length - 1;
+
+    return `
+    <div class="page">
+      <h2>Detalle de recibos</h2>
+      <table>
+        <thead>
+          <tr><th>Fecha</th><th>Comercio</th><th>Categoría</th><th>Método de pago</th><th class="amount">Monto</th></tr>
+        </thead>
+        <tbody>
+          ${rows || '<tr><td colspan="5">No hay recibos en este periodo</td></tr>'}
+          <tr class="subtotal"><td colspan="4">Gastos de la página</td><td class="amount">${formatMoney(pageTotal)}</td></tr>
+          ${isLast ? `<tr class="total"><td colspan="4">Gastos del periodo</td><td class="amount">${formatMoney(report.totalSpent)}</td></tr>` : ''}
+          ${isLast && report.deposits > 0 ? `<tr class="total income"><td colspan="4">Ingresos del periodo</td><td class="amount">+${formatMoney(report.deposits)}</td></tr>` : ''}
+        </tbody>
+      </table>
+      <div class="footer">Página ${index + 1} de ${pages.length}</div>
+    </div>`;
+  }).join('');
+
+  const historyEntries = collectHistory(receipts);
+  const history = historyEntries.length > 0 ? `
+  <div class="page">
+    <h2>Historial de cambios</h2>
+    <table>
+      <thead>
+        <tr><th>Fecha del cambio</th><th>Comercio</th><th>Campo</th><th>Anterior</th><th>Nuevo</th><th>Usuario</th></tr>
+      </thead>
+      <tbody>
+        ${historyEntries.map(({ receipt, entry }) => `
+        <tr>
+          <td>${formatDate(entry.changedAt)}</td>
+          <td>${escapeHtml(receipt.name)}</td>
+          <td>${escapeHtml(getFieldLabel(entry.field))}</td>
+          <td>${escapeHtml(formatHistoryValue(entry.field, entry.oldValue))}</td>
+          <td>${escapeHtml(formatHistoryValue(entry.field, entry.newValue))}</td>
+          <td>${escapeHtml(entry.user)}</td>
+        </tr>`).join('')}
+      </tbody>
+    </table>
+  </div>` : '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <style>${STYLES}</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <p class="meta">Periodo: ${escapeHtml(periodLabel)}</p>
+  <p class="meta">Generado el ${generatedAt.toLocaleDateString('es-MX', { day: 'numeric', month: 'long', year: 'numeric' })}</p>
+  <div class="cards">${cards}</div>
+  <h2>Gastos por categoría</h2>
+  ${categories || '<p class="meta">Sin gastos en este periodo</p>'}
+  ${taxes}
+  ${deductibles}
+  ${tables}
+  ${history}
+</body>
+</html>`;
+};
+
+/**
+ * Generar el PDF del reporte
+ *
+ * @param {Object} options - Mismas opciones que buildReportHtml
+ * @returns {Promise<string>} URI del PDF generado (listo para compartir)
+ * @throws {Error} Si no se puede generar el archivo
+ *
+ * @example
+ * const uri = await generateReportPdf({ title, periodLabel, report, receipts, getCategoryColor });
+ * await Sharing.shareAsync(uri, { mimeType: 'application/pdf' });
+ */
+export const generateReportPdf = async (options) => {
+  const { uri } = await Print.printToFileAsync({ html: buildReportHtml(options) });
+  return uri;
+};
@@ -2,12 +2,13 @@
  * Pantalla de Generación de Reportes
  * 
  * Permite al usuario generar reportes contables de sus gastos con:
- * - Selección de tipo de reporte (básico/deducibles)
+ * - Selección de tipo de reporte (básico/deducibles, ver Deductibility)
  * - Filtrado por rango de fechas
  * - Filtrado por categorías específicas
  * - Vista previa del reporte con estadísticas
- * - Exportación a PDF y Excel (en desarrollo)
+ * - Exportación a PDF (ver ReportPdf) y Excel (ver ReportExcel)
  * - Resumen de totales, promedios y gastos por categoría
+ * - Desglose de impuestos (subtotal, IEPS e IVA por tasa, ver Taxes)
  * 
  * @component
  */
@@ -23,30 +24,54 @@ import {
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useExpense } from './ExpenseContext';
+import { sumCents, divideCents, toPercentages, formatMoney } from './Money';
 import * as Sharing from 'expo-sharing';
+import { generateReportPdf } from './ReportPdf';
+import { generateReportExcel, XLSX_MIME_TYPE } from './ReportExcel';
+import DateRangePicker from './DateRangePicker';
+import { buildDeductibilityReport, DEDUCTIBILITY_LABELS } from './Deductibility';
+import { summarizeReceiptTaxes } from './Taxes';
+import { isDeposit } from './Deposits';
+
+/**
+ * Títulos de cada tipo de reporte
+ */
+const REPORT_TITLES = {
+  basic: 'Informe contable básico',
+  deductible: 'Informe de deducibles'
+};
+
+/**
+ * Colores de cada clasificación del reporte de deducibles
+ */
+const DEDUCTIBILITY_COLORS = {
+  deductible: '#10B981',
+  partial: '#F59E0B',
+  nonDeductible: '#DC2626'
+};
 
 export default function ReportScreen({ navigation }) {
   // Obtener datos del contexto
-  const { receipts, getReceiptsByDateRange } = useExpense();
+  const { receipts, getReceiptsByDateRange, categoryList, getCategoryColor, getDefaultCategory } = useExpense();
   
   // === Estados del formulario ===
   const [reportType, setReportType] = useState('basic');
-  const [startDate, setStartDate] = useState('');
-  const [endDate, setEndDate] = useState('');
+  const [startDate, setStartDate] = useState(null);
+  const [endDate, setEndDate] = useState(null);
   const [selectedCategories, setSelectedCategories] = useState(['Todas']);
   const [reportPreview, setReportPreview] = useState(null);
 
   /**
-   * Categorías disponibles para filtrar
+   * Categorías disponibles para filtrar (incluye las archivadas para reportes históricos)
    */
-  const categories = ['Todas', 'Alimentos', 'Transporte', 'Equipo de oficina', 'Servicios', 'Otros'];
+  const categories = ['Todas', ...categoryList.map(cat => cat.name)];
 
   /**
    * Recibos filtrados según criterios seleccionados
    * 
    * Aplica filtros de:
    * 1. Rango de fechas
-   * 2. Categorías seleccionadas
+   * 2. Categorías seleccionadas (solo a los gastos)
    */
   const filteredReceipts = receipts.filter(receipt => {
     // Filtro 1: Rango de fechas
@@ -60,8 +85,8 @@ export default function ReportScreen({ navigation }) {
       }
     }
 
-    // Filtro 2: Categorías
-    if (!selectedCategories.includes('Todas') && !selectedCategories.includes(receipt.category)) {
+    // Filtro 2: Categorías (los ingresos no tienen categoría y siempre se incluyen)
+    if (!isDeposit(receipt) && !selectedCategories.includes('Todas') && !selectedCategories.includes(receipt.category)) {
       return false;
     }
 
@@ -72,51 +97,64 @@ export default function ReportScreen({ navigation }) {
    * Calcular datos del reporte
    * 
    * Procesa los recibos filtrados para generar estadísticas:
-   * - Total gastado
-   * - Número de entradas
-   * - Depósitos (si aplica)
+   * - Total gastado (sin ingresos)
+   * - Número de entradas (recibos de gasto)
+   * - Ingresos y depósitos, y balance neto (ingresos menos gastos)
    * - Promedio por recibo
    * - Gastos desglosados por categoría con porcentajes
+   * - Desglose de impuestos
+   * - Clasificación fiscal de cada recibo (solo en el reporte de deducibles)
    * 
    * @returns {Object} Objeto con todas las estadísticas calculadas
    */
   const calculateReportData = () => {
-    const totalSpent = filteredReceipts.reduce((sum, r) => sum + r.amount, 0);
-    const entries = filteredReceipts.length;
+    // Los ingresos y depósitos se suman aparte; no cuentan como gasto
+    const expenseReceipts = filteredReceipts.filter(r => !isDeposit(r));
+    const totalSpent = sumCents(expenseReceipts.map(r => r.amount));
+    const entries = expenseReceipts.length;
+    const deposits = sumCents(filteredReceipts.filter(isDeposit).map(r => r.amount));
+    const netBalance = deposits - totalSpent;
     
-    // Calcular depósitos (actualmente no hay recibos tipo "Deposit")
-    // Esta funcionalidad está preparada para futura implementación
-    const deposits = filteredReceipts
-      .filter(r => r.amount > 0 && (r.type === 'Deposit' || false))
-      .reduce((sum, r) => sum + r.amount, 0);
-    
-    const average = entries > 0 ? totalSpent / entries : 0;
+    const average = divideCents(totalSpent, entries);
 
     // Calcular totales por categoría
     const categoryTotals = {};
-    filteredReceipts.forEach(receipt => {
-      const cat = receipt.category || 'Otros';
+    expenseReceipts.forEach(receipt => {
+      const cat = receipt.category || getDefaultCategory();
       if (!categoryTotals[cat]) {
         categoryTotals[cat] = 0;
       }
       categoryTotals[cat] += receipt.amount;
     });
 
-    // Convertir a array con porcentajes y ordenar por monto
-    const expensesByCategory = Object.entries(categoryTotals)
-      .map(([category, amount]) => ({
+    // Convertir a array con porcentajes (que suman 100) y ordenar por monto
+    const categoryEntries = Object.entries(categoryTotals);
+    const percentages = toPercentages(categoryEntries.map(([, amount]) => amount));
+    const expensesByCategory = categoryEntries
+      .map(([category, amount], index) => ({
         category,
         amount,
-        percentage: totalSpent > 0 ? Math.round((amount / totalSpent) * 100) : 0
+        percentage: percentages[index]
       }))
       .sort((a, b) => b.amount - a.amount); // Ordenar de mayor a menor
 
+    // Gastos e ingresos en orden cronológico para las tablas exportadas
+    const sortedReceipts = [...filteredReceipts].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const sortedExpenses = sortedReceipts.filter(r => !isDeposit(r));
+
     return {
+      reportType,
       totalSpent,
       entries,
       deposits,
+      netBalance,
       average,
       expensesByCategory,
+      receipts: sortedReceipts,
+      taxes: summarizeReceiptTaxes(sortedExpenses),
+      deductibles: reportType === 'deductible'
+        ? buildDeductibilityReport(sortedExpenses, categoryList)
+        : null,
       startDate,
       endDate
     };
@@ -165,26 +203,63 @@ export default function ReportScreen({ navigation }) {
 
   /**
    * Exportar reporte a PDF
-   * TODO: Implementar exportación real a PDF
+   * 
+   * Genera el PDF con el contenido de la vista previa y la tabla
+   * detallada de recibos, y abre el diálogo para compartirlo.
    */
   const handleExportPDF = async () => {
-    Alert.alert(
-      'Exportar PDF',
-      'Funcionalidad de exportación a PDF en desarrollo',
-      [{ text: 'OK' }]
-    );
+    try {
+      const isAvailable = await Sharing.isAvailableAsync();
+      if (!isAvailable) {
+        Alert.alert('Error', 'No se puede compartir el archivo en este dispositivo');
+        return;
+      }
+      const uri = await generateReportPdf({
+        title: REPORT_TITLES[reportPreview.reportType],
+        periodLabel: `${formatDate(reportPreview.startDate)} - ${formatDate(reportPreview.endDate)}`,
+        report: reportPreview,
+        receipts: reportPreview.receipts,
+        getCategoryColor
+      });
+      await Sharing.shareAsync(uri, {
+        mimeType: 'application/pdf',
+        UTI: 'com.adobe.pdf',
+        dialogTitle: 'Exportar reporte PDF'
+      });
+    } catch (error) {
+      console.error('Error al exportar PDF:', error);
+      Alert.alert('Error', 'No se pudo exportar el reporte a PDF');
+    }
   };
 
   /**
    * Exportar reporte a Excel
-   * TODO: Implementar exportación real a Excel
+   * 
+   * Genera un libro .xlsx con las hojas Resumen, Recibos y Productos
+   * a partir de los recibos filtrados, y abre el diálogo para compartirlo.
    */
   const handleExportExcel = async () => {
-    Alert.alert(
-      'Exportar Excel',
-      'Funcionalidad de exportación a Excel en desarrollo',
-      [{ text: 'OK' }]
-    );
+    try {
+      const isAvailable = await Sharing.isAvailableAsync();
+      if (!isAvailable) {
+        Alert.alert('Error', 'No se puede compartir el archivo en este dispositivo');
+        return;
+      }
+      const uri = await generateReportExcel({
+        title: REPORT_TITLES[reportPreview.reportType],
+        periodLabel: `${formatDate(reportPreview.startDate)} - ${formatDate(reportPreview.endDate)}`,
+        report: reportPreview,
+        receipts: reportPreview.receipts
+      });
+      await Sharing.shareAsync(uri, {
+        mimeType: XLSX_MIME_TYPE,
+        UTI: 'org.openxmlformats.spreadsheetml.sheet',
+        dialogTitle: 'Exportar reporte Excel'
+      });
+    } catch (error) {
+      console.error('Error al exportar Excel:', error);
+      Alert.alert('Error', 'No se pudo exportar el reporte a Excel');
+    }
   };
 
   /**
@@ -210,20 +285,6 @@ export default function ReportScreen({ navigation }) {
     }
   };
 
-  /**
-   * Obtener color asociado a una categoría
-   */
-  const getCategoryColor = (category) => {
-    const colors = {
-      'Alimentos': '#6B7FED',
-      'Transporte': '#A855F7',
-      'Equipo de oficina': '#EC4899',
-      'Servicios': '#F59E0B',
-      'Otros': '#10B981'
-    };
-    return colors[category] || '#6B7280';
-  };
-
   return (
     <ScrollView style={styles.container}>
       {/* === Header === */}
@@ -256,15 +317,15 @@ export default function ReportScreen({ navigation }) {
           </View>
         </TouchableOpacity>
 
-        {/* Opción 2: Deducibles (próximamente) */}
+        {/* Opción 2: Deducibles */}
         <TouchableOpacity
-          style={[styles.reportTypeCard, styles.reportTypeCardDisabled]}
-          disabled={true}
+          style={[styles.reportTypeCard, reportType === 'deductible' && styles.reportTypeCardSelected]}
+          onPress={() => setReportType('deductible')}
         >
-          <Ionicons name="document-text-outline" size={24} color="#9CA3AF" />
+          <Ionicons name="receipt-outline" size={24} color={reportType === 'deductible' ? '#3B82F6' : '#6B7280'} />
           <View style={styles.reportTypeContent}>
-            <Text style={styles.reportTypeTitle}>Proximamente (Deducibles)</Text>
-            <Text style={styles.reportTypeSubtitle}>XXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX</Text>
+            <Text style={styles.reportTypeTitle}>Deducibles</Text>
+            <Text style={styles.reportTypeSubtitle}>Gastos deducibles e IVA acreditable según las reglas del SAT</Text>
           </View>
         </TouchableOpacity>
       </View>
@@ -274,22 +335,14 @@ export default function ReportScreen({ navigation }) {
         <Text style={styles.sectionTitle}>Rango de fechas</Text>
         <Text style={styles.sectionSubtitle}>Selecciona el periodo para tu reporte</Text>
         
-        <View style={styles.dateRangeContainer}>
-          {/* TODO: Implementar selector de fecha real */}
-          <TouchableOpacity style={styles.dateInput}>
-            <Ionicons name="calendar-outline" size={20} color="#9CA3AF" />
-            <Text style={[styles.dateInputText, !startDate && styles.placeholderText]}>
-              {startDate ? formatDate(startDate) : 'Fecha inicial'}
-            </Text>
-          </TouchableOpacity>
-          
-          <TouchableOpacity style={styles.dateInput}>
-            <Ionicons name="calendar-outline" size={20} color="#9CA3AF" />
-            <Text style={[styles.dateInputText, !endDate && styles.placeholderText]}>
-              {endDate ? formatDate(endDate) : 'Fecha final'}
-            </Text>
-          </TouchableOpacity>
-        </View>
+        <DateRangePicker
+          startDate={startDate}
+          endDate={endDate}
+          onChange={(start, end) => {
+            setStartDate(start);
+            setEndDate(end);
+          }}
+        />
       </View>
 
       {/* === Sección: Filtro de Categorías === */}
@@ -347,7 +400,7 @@ export default function ReportScreen({ navigation }) {
               <View>
                 <Text style={styles.previewReportTitle}>Vista previa</Text>
                 <Text style={styles.previewReportSubtitle}>
-                  Informe contable básico {formatDateRange()}
+                  {REPORT_TITLES[reportPreview.reportType]} {formatDateRange()}
                 </Text>
               </View>
               <View style={styles.exportButtons}>
@@ -363,7 +416,7 @@ export default function ReportScreen({ navigation }) {
             </View>
 
             {/* Título y metadata del reporte */}
-            <Text style={styles.reportMainTitle}>Informe contable básico</Text>
+            <Text style={styles.reportMainTitle}>{REPORT_TITLES[reportPreview.reportType]}</Text>
             <Text style={styles.reportPeriod}>
               Periodo: {formatDate(reportPreview.startDate)} - {formatDate(reportPreview.endDate)}
             </Text>
@@ -380,7 +433,7 @@ export default function ReportScreen({ navigation }) {
               <View style={styles.summaryCard}>
                 <Text style={styles.summaryLabel}>Total Gastado</Text>
                 <Text style={styles.summaryValue}>
-                  ${reportPreview.totalSpent.toFixed(2)}
+                  {formatMoney(reportPreview.totalSpent)}
                 </Text>
               </View>
               <View style={styles.summaryCard}>
@@ -390,13 +443,19 @@ export default function ReportScreen({ navigation }) {
               <View style={styles.summaryCard}>
                 <Text style={styles.summaryLabel}>Depositos</Text>
                 <Text style={styles.summaryValue}>
-                  ${reportPreview.deposits.toFixed(2)}
+                  {formatMoney(reportPreview.deposits)}
+                </Text>
+              </View>
+              <View style={styles.summaryCard}>
+                <Text style={styles.summaryLabel}>Balance neto</Text>
+                <Text style={styles.summaryValue}>
+                  {formatMoney(reportPreview.netBalance)}
                 </Text>
               </View>
               <View style={styles.summaryCard}>
                 <Text style={styles.summaryLabel}>Promedio</Text>
                 <Text style={styles.summaryValue}>
-                  ${reportPreview.average.toFixed(2)}
+                  {formatMoney(reportPreview.average)}
                 </Text>
               </View>
             </View>
@@ -418,12 +477,108 @@ export default function ReportScreen({ navigation }) {
                       {item.percentage}% del total
                     </Text>
                     <Text style={styles.categoryExpenseAmount}>
-                      ${item.amount.toFixed(2)}
+                      {formatMoney(item.amount)}
                     </Text>
                   </View>
                 </View>
               ))}
             </View>
+
+            {/* Desglose de impuestos */}
+            <View style={styles.expensesByCategory}>
+              <Text style={styles.expensesByCategoryTitle}>Impuestos</Text>
+              <View style={styles.categoryExpenseRow}>
+                <Text style={styles.categoryExpenseName}>Subtotal</Text>
+                <Text style={styles.categoryExpenseAmount}>
+                  {formatMoney(reportPreview.taxes.subtotal)}
+                </Text>
+              </View>
+              {reportPreview.taxes.ieps > 0 && (
+                <View style={styles.categoryExpenseRow}>
+                  <Text style={styles.categoryExpenseName}>IEPS</Text>
+                  <Text style={styles.categoryExpenseAmount}>
+                    {formatMoney(reportPreview.taxes.ieps)}
+                  </Text>
+                </View>
+              )}
+              {reportPreview.taxes.byRate.map((group) => (
+                <View key={group.key} style={styles.categoryExpenseRow}>
+                  <View>
+                    <Text style={styles.categoryExpenseName}>IVA {group.label}</Text>
+                    <Text style={styles.categoryExpensePercentage}>
+                      Base {formatMoney(group.base)}
+                    </Text>
+                  </View>
+                  <Text style={styles.categoryExpenseAmount}>{formatMoney(group.iva)}</Text>
+                </View>
+              ))}
+              <View style={styles.categoryExpenseRow}>
+                <Text style={styles.categoryExpenseName}>IVA total</Text>
+                <Text style={styles.categoryExpenseAmount}>
+                  {formatMoney(reportPreview.taxes.iva)}
+                </Text>
+              </View>
+              {reportPreview.taxes.withoutBreakdown > 0 && (
+                <Text style={styles.deductibleReason}>
+                  {formatMoney(reportPreview.taxes.withoutBreakdown)} en recibos sin desglose de impuestos
+                </Text>
+              )}
+            </View>
+
+            {/* Clasificación fiscal (reporte de deducibles) */}
+            {reportPreview.deductibles && (
+              <View style={styles.expensesByCategory}>
+                <Text style={styles.expensesByCategoryTitle}>Deducibilidad</Text>
+                <View style={styles.summaryCards}>
+                  <View style={styles.summaryCard}>
+                    <Text style={styles.summaryLabel}>Deducible</Text>
+                    <Text style={styles.summaryValue}>
+                      {formatMoney(reportPreview.deductibles.deductibleTotal)}
+                    </Text>
+                  </View>
+                  <View style={styles.summaryCard}>
+                    <Text style={styles.summaryLabel}>IVA acreditable</Text>
+                    <Text style={styles.summaryValue}>
+                      {formatMoney(reportPreview.deductibles.creditableIva)}
+                    </Text>
+                  </View>
+                  <View style={styles.summaryCard}>
+                    <Text style={styles.summaryLabel}>No deducible</Text>
+                    <Text style={styles.summaryValue}>
+                      {formatMoney(reportPreview.deductibles.nonDeductibleTotal)}
+                    </Text>
+                  </View>
+                </View>
+
+                {reportPreview.deductibles.items.map(({ receipt, status, deductibleAmount, reasons }) => (
+                  <View key={receipt.id} style={styles.deductibleRow}>
+                    <View style={styles.categoryExpenseLeft}>
+                      <View style={[
+                        styles.categoryDot,
+                        { backgroundColor: DEDUCTIBILITY_COLORS[status] }
+                      ]} />
+                      <View style={styles.deductibleInfo}>
+                        <Text style={styles.categoryExpenseName}>{receipt.name}</Text>
+                        <Text style={[styles.deductibleStatus, { color: DEDUCTIBILITY_COLORS[status] }]}>
+                          {DEDUCTIBILITY_LABELS[status]}
+                        </Text>
+                        {reasons.map((reason, index) => (
+                          <Text key={index} style={styles.deductibleReason}>• {reason}</Text>
+                        ))}
+                      </View>
+                    </View>
+                    <View style={styles.categoryExpenseRight}>
+                      <Text style={styles.categoryExpensePercentage}>
+                        {formatMoney(receipt.amount)}
+                      </Text>
+                      <Text style={styles.categoryExpenseAmount}>
+                        {formatMoney(deductibleAmount)}
+                      </Text>
+                    </View>
+                  </View>
+                ))}
+              </View>
+            )}
           </View>
         )}
       </View>
@@ -504,9 +659,6 @@ const styles = StyleSheet.create({
     borderWidth: 2,
     borderColor: '#3B82F6',
   },
-  reportTypeCardDisabled: {
-    opacity: 0.6,
-  },
   reportTypeContent: {
     flex: 1,
   },
@@ -520,28 +672,6 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#6B7280',
   },
-  dateRangeContainer: {
-    flexDirection: 'row',
-    gap: 12,
-  },
-  dateInput: {
-    flex: 1,
-    flexDirection: 'row',
-    alignItems: 'center',
-    backgroundColor: '#F9FAFB',
-    padding: 12,
-    borderRadius: 8,
-    borderWidth: 1,
-    borderColor: '#E5E7EB',
-    gap: 8,
-  },
-  dateInputText: {
-    fontSize: 16,
-    color: '#111',
-  },
-  placeholderText: {
-    color: '#9CA3AF',
-  },
   categoriesList: {
     gap: 12,
   },
@@ -741,4 +871,28 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     color: '#111',
   },
+
+  // === Reporte de deducibles ===
+  deductibleRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'flex-start',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+    gap: 12,
+  },
+  deductibleInfo: {
+    flex: 1,
+  },
+  deductibleStatus: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginTop: 2,
+  },
+  deductibleReason: {
+    fontSize: 13,
+    color: '#6B7280',
+    marginTop: 2,
+  },
 });
\ No newline at end of file
@@ -9,24 +9,29 @@
  * - Frame de guía para posicionar el ticket
  * - Controles de flash y galería (preparados para futura implementación)
  * - Alternancia entre cámara frontal y trasera
- * 
- * NOTA: Actualmente la funcionalidad OCR (reconocimiento de texto) no está
- * implementada. Las fotos capturadas redirigen a entrada manual.
+ * - Reconocimiento de texto (OCR) en el dispositivo y pre-llenado del gasto
+ * - Detección del código QR del SAT en facturas impresas (con aviso de duplicados)
  * 
  * @component
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
   TouchableOpacity,
   StyleSheet,
   Alert,
-  Platform
+  Platform,
+  ActivityIndicator
 } from 'react-native';
 import { CameraView, useCameraPermissions } from 'expo-camera';
 import { Ionicons } from '@expo/vector-icons';
+import { recognizeText } from './OcrService';
+import { parseReceiptText } from './ReceiptParser';
+import { parseSatQr } from './CfdiParser';
+import { useExpense } from './ExpenseContext';
+import { formatMoney } from './Money';
 
 export default function ScanTicketScreen({ navigation }) {
   // Hook de permisos de cámara de Expo
@@ -36,6 +41,12 @@ export default function ScanTicketScreen({ navigation }) {
   const [cameraRef, setCameraRef] = useState(null);
   const [isProcessing, setIsProcessing] = useState(false);
   const [facing, setFacing] = useState('back'); // 'back' o 'front'
+  const [detectedInvoice, setDetectedInvoice] = useState(null); // QR del SAT en revisión
+
+  // UUIDs de QR que el usuario decidió ignorar (evita repetir el aviso)
+  const ignoredInvoices = useRef(new Set());
+
+  const { findReceiptByUuid } = useExpense();
 
   /**
    * Efecto: Solicitar permisos de cámara al montar el componente
@@ -52,30 +63,46 @@ export default function ScanTicketScreen({ navigation }) {
   /**
    * Capturar foto del ticket
    * 
-   * Toma una foto con la cámara y muestra un diálogo informativo.
-   * En producción, aquí se procesaría la imagen con OCR para extraer
-   * texto y datos del ticket.
-   * 
-   * TODO: Implementar procesamiento OCR real
+   * Toma una foto con la cámara, reconoce su texto con el motor OCR activo
+   * y abre la entrada manual con los datos detectados pre-llenados
+   * (comercio, fecha, total y productos) para que el usuario los revise.
    */
   const takePicture = async () => {
     if (cameraRef && !isProcessing) {
       setIsProcessing(true);
+      let photo;
       try {
         // Capturar foto con configuración de calidad
-        const photo = await cameraRef.takePictureAsync({
+        photo = await cameraRef.takePictureAsync({
           quality: 0.8, // 0-1, donde 1 es máxima calidad
-          base64: true, // Incluir representación base64 para procesamiento
         });
+      } catch (error) {
+        console.error('Error al capturar foto:', error);
+        Alert.alert('Error', 'No se pudo capturar la imagen');
+        setIsProcessing(false);
+        return;
+      }
+
+      try {
+        // Reconocer el texto del ticket y convertirlo en un borrador de gasto
+        const { text } = await recognizeText(photo.uri);
+        const draft = parseReceiptText(text);
 
-        // Informar al usuario sobre la captura
+        navigation.replace('ManualEntry', {
+          draft: { ...draft, rawText: text, imageUri: photo.uri }
+        });
+      } catch (error) {
+        console.error('Error al procesar el ticket:', error);
         Alert.alert(
-          'Ticket Capturado',
-          'La imagen se ha capturado correctamente. En producción, aquí se procesaría el texto del ticket usando OCR.',
+          'No se pudo leer el ticket',
+          'Intenta con mejor iluminación o ingresa los datos manualmente.',
           [
             {
               text: 'Ingresar manualmente',
-              onPress: () => navigation.replace('ManualEntry')
+              // Conservar la foto aunque no se haya podido leer el texto
+              onPress: () => navigation.replace('ManualEntry', {
+                draft: { imageUri: photo.uri }
+              })
             },
             {
               text: 'Intentar de nuevo',
@@ -83,14 +110,77 @@ export default function ScanTicketScreen({ navigation }) {
             }
           ]
         );
-      } catch (error) {
-        console.error('Error al capturar foto:', error);
-        Alert.alert('Error', 'No se pudo capturar la imagen');
-        setIsProcessing(false);
       }
     }
   };
 
+  /**
+   * Manejar un código QR detectado mientras se encuadra el ticket
+   * 
+   * Si el QR es el de verificación del SAT, ofrece registrar la factura
+   * con RFC, total y UUID pre-llenados. Si ya existe un recibo con el
+   * mismo UUID, se marca como duplicado.
+   * 
+   * @param {Object} scanningResult - Resultado de CameraView ({ type, data })
+   */
+  const handleBarcodeScanned = ({ data }) => {
+    if (isProcessing || detectedInvoice) return;
+
+    const invoice = parseSatQr(data);
+    if (!invoice || ignoredInvoices.current.has(invoice.uuid)) return;
+    setDetectedInvoice(invoice);
+
+    const draft = {
+      name: invoice.rfc,
+      amount: invoice.amount,
+      rfc: invoice.rfc,
+      receiverRfc: invoice.receiverRfc,
+      uuid: invoice.uuid,
+      type: 'Factura',
+      products: []
+    };
+
+    const ignore = () => {
+      ignoredInvoices.current.add(invoice.uuid);
+      setDetectedInvoice(null);
+    };
+
+    const duplicate = findReceiptByUuid(invoice.uuid);
+    if (duplicate) {
+      Alert.alert(
+        'Factura duplicada',
+        `Esta factura ya está registrada como "${duplicate.name}" por ${formatMoney(duplicate.amount)}.`,
+        [
+          { text: 'Ignorar', style: 'cancel', onPress: ignore },
+          {
+            text: 'Ver recibo',
+            onPress: () => navigation.replace('ReceiptDetails', { receiptId: duplicate.id })
+          },
+          {
+            text: 'Registrar de todos modos',
+            style: 'destructive',
+            onPress: () => navigation.replace('ManualEntry', {
+              draft: { ...draft, duplicateOf: duplicate.id }
+            })
+          }
+        ]
+      );
+      return;
+    }
+
+    Alert.alert(
+      'Factura detectada',
+      `RFC emisor: ${invoice.rfc}\nTotal: ${formatMoney(invoice.amount)}\nUUID: ${invoice.uuid}`,
+      [
+        { text: 'Ignorar', style: 'cancel', onPress: ignore },
+        {
+          text: 'Registrar factura',
+          onPress: () => navigation.replace('ManualEntry', { draft })
+        }
+      ]
+    );
+  };
+
   // === Pantalla de Carga ===
   // Mientras se verifica el estado de permisos
   if (!permission) {
@@ -139,6 +229,8 @@ export default function ScanTicketScreen({ navigation }) {
         style={styles.camera} 
         ref={ref => setCameraRef(ref)}
         facing={facing}
+        barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+        onBarcodeScanned={isProcessing || detectedInvoice ? undefined : handleBarcodeScanned}
       />
       
       {/* Overlay con controles (capa superior) */}
@@ -161,14 +253,19 @@ export default function ScanTicketScreen({ navigation }) {
         <View style={styles.frameContainer} pointerEvents="none">
           <View style={styles.frame}>
             <View style={styles.cameraIconContainer}>
-              <Ionicons name="camera-outline" size={48} color="#fff" />
+              {isProcessing ? (
+                <ActivityIndicator size="large" color="#fff" />
+              ) : (
+                <Ionicons name="camera-outline" size={48} color="#fff" />
+              )}
             </View>
           </View>
           <Text style={styles.instructionText}>
-            Colocar el recibo en el marco
+            {isProcessing ? 'Leyendo ticket...' : 'Colocar el recibo en el marco'}
           </Text>
           <Text style={styles.instructionSubtext}>
-            Asegurarse de que todas las esquinas estén visibles
+            Asegurarse de que todas las esquinas estén visibles.
+            El código QR de las facturas se detecta automáticamente.
           </Text>
         </View>
 
@@ -0,0 +1,191 @@
+/**
+ * Cálculo de Impuestos (IVA e IEPS)
+ *
+ * Desglosa cada producto y cada recibo en subtotal, IEPS e IVA:
+ * - Tasas de IVA: 16% general, 8% región fronteriza, 0% y exento
+ * - IEPS como tasa sobre el subtotal (0 si no aplica)
+ * - El IVA se calcula sobre el subtotal más el IEPS
+ *
+ * Los precios pueden capturarse con o sin IVA (ver pricesIncludeTax);
+ * cuando lo incluyen, el subtotal se obtiene quitando los impuestos del
+ * importe y el IVA absorbe la diferencia de redondeo, para que
+ * subtotal + IEPS + IVA sea siempre igual al importe capturado.
+ *
+ * Todos los montos están en centavos.
+ *
+ * @module Taxes
+ */
+
+import { sumCents, multiplyCents } from './Money';
+
+/**
+ * Tasas de IVA disponibles, en el orden en que se muestran
+ */
+export const IVA_RATES = [
+  { key: 'general', label: '16%', rate: 0.16 },
+  { key: 'frontera', label: '8% frontera', rate: 0.08 },
+  { key: 'tasaCero', label: '0%', rate: 0 },
+  { key: 'exento', label: 'Exento', rate: 0 }
+];
+
+/**
+ * Tasa de IVA para productos nuevos
+ */
+export const DEFAULT_IVA_RATE = 'general';
+
+/**
+ * Obtener una tasa de IVA por su clave
+ *
+ * @param {string} [key] - Clave de la tasa (ver IVA_RATES)
+ * @returns {Object} { key, label, rate } (la general si la clave no existe)
+ */
+export const getIvaRate = (key) => {
+  return IVA_RATES.find(option => option.key === key) || IVA_RATES[0];
+};
+
+/**
+ * Calcular los impuestos de un producto
+ *
+ * @param {Object} product - Producto con price (centavos), quantity, ivaRate e iepsRate
+ * @param {boolean} pricesIncludeTax - true si el precio ya incluye los impuestos
+ * @returns {{subtotal: number, ieps: number, iva: number, total: number}} Desglose en centavos
+ *
+ * @example
+ * calculateProductTaxes({ price: 11600, quantity: 1, ivaRate: 'general' }, true);
+ * // { subtotal: 10000, ieps: 0, iva: 1600, total: 11600 }
+ */
+export const calculateProductTaxes = (product, pricesIncludeTax) => {
+  const ivaRate = getIvaRate(product.ivaRate).rate;
+  const iepsRate = product.iepsRate || 0;
+  const amount = multiplyCents(product.price, product.quantity || 1);
+
+  if (pricesIncludeTax) {
+    const subtotal = Math.round(amount / ((1 + iepsRate) * (1 + ivaRate)));
+    const ieps = multiplyCents(subtotal, iepsRate);
+    return { subtotal, ieps, iva: amount - subtotal - ieps, total: amount };
+  }
+
+  const ieps = multiplyCents(amount, iepsRate);
+  const iva = multiplyCents(amount + ieps, ivaRate);
+  return { subtotal: amount, ieps, iva, total: amount + ieps + iva };
+};
+
+/**
+ * Agrupar importes por tasa de IVA
+ *
+ * @param {Array<{key: string, base: number, iva: number}>} entries - Importes con su tasa
+ * @returns {Array<Object>} [{ key, label, base, iva }] en el orden de IVA_RATES,
+ *   solo con las tasas usadas
+ */
+const groupByRate = (entries) => {
+  return IVA_RATES
+    .filter(option => entries.some(entry => entry.key === option.key))
+    .map(option => {
+      const rateEntries = entries.filter(entry => entry.key === option.key);
+      return {
+        key: option.key,
+        label: option.label,
+        base: sumCents(rateEntries.map(entry => entry.base)),
+        iva: sumCents(rateEntries.map(entry => entry.iva))
+      };
+    });
+};
+
+/**
+ * Resumir líneas ya calculadas
+ *
+ * @param {Array<Object>} lines - Líneas con ivaRate, subtotal, ieps, iva y total
+ * @returns {Object} { subtotal, ieps, iva, total, byRate }
+ */
+const summarizeLines = (lines) => {
+  return {
+    subtotal: sumCents(lines.map(line => line.subtotal)),
+    ieps: sumCents(lines.map(line => line.ieps)),
+    iva: sumCents(lines.map(line => line.iva)),
+    total: sumCents(lines.map(line => line.total)),
+    byRate: groupByRate(lines.map(line => ({
+      key: line.ivaRate,
+      base: line.subtotal + line.ieps,
+      iva: line.iva
+    })))
+  };
+};
+
+/**
+ * Calcular los impuestos de un recibo a partir de sus productos
+ *
+ * @param {Array<Object>} products - Productos (ver calculateProductTaxes)
+ * @param {boolean} pricesIncludeTax - true si los precios ya incluyen los impuestos
+ * @returns {Object} { subtotal, ieps, iva, total, byRate } donde byRate es
+ *   [{ key, label, base, iva }] solo con las tasas usadas
+ */
+export const calculateReceiptTaxes = (products, pricesIncludeTax) => {
+  return summarizeLines(products.map(product => ({
+    ivaRate: getIvaRate(product.ivaRate).key,
+    ...calculateProductTaxes(product, pricesIncludeTax)
+  })));
+};
+
+/**
+ * Obtener el desglose de impuestos guardado en un recibo
+ *
+ * Usa los impuestos guardados en cada producto; los recibos anteriores al
+ * desglose por producto solo tienen los totales (subtotal, iva, ieps) o
+ * ningún dato fiscal.
+ *
+ * @param {Object} receipt - Recibo guardado
+ * @returns {Object|null} { subtotal, ieps, iva, total, byRate }, o null si el
+ *   recibo no tiene datos de impuestos
+ */
+export const getReceiptTaxBreakdown = (receipt) => {
+  const products = receipt.products || [];
+  if (products.length > 0 && products.every(product => product.ivaRate)) {
+    return summarizeLines(products.map(product => ({
+      ivaRate: product.ivaRate,
+      subtotal: product.subtotal,
+      ieps: product.ieps || 0,
+      iva: product.iva || 0,
+      total: product.subtotal + (product.ieps || 0) + (product.iva || 0)
+    })));
+  }
+
+  if (receipt.iva === undefined || receipt.iva === null) {
+    return null;
+  }
+  const ieps = receipt.ieps || 0;
+  return {
+    subtotal: receipt.subtotal ?? receipt.amount - receipt.iva - ieps,
+    ieps,
+    iva: receipt.iva,
+    total: receipt.amount,
+    byRate: []
+  };
+};
+
+/**
+ * Sumar el desglose de impuestos de varios recibos
+ *
+ * @param {Array<Object>} receipts - Recibos del reporte
+ * @returns {Object} { subtotal, ieps, iva, byRate, withoutBreakdown } donde
+ *   withoutBreakdown es el total de los recibos sin datos de impuestos
+ */
+export const summarizeReceiptTaxes = (receipts) => {
+  const breakdowns = [];
+  const withoutBreakdown = [];
+  receipts.forEach(receipt => {
+    const breakdown = getReceiptTaxBreakdown(receipt);
+    if (breakdown) {
+      breakdowns.push(breakdown);
+    } else {
+      withoutBreakdown.push(receipt.amount);
+    }
+  });
+
+  return {
+    subtotal: sumCents(breakdowns.map(breakdown => breakdown.subtotal)),
+    ieps: sumCents(breakdowns.map(breakdown => breakdown.ieps)),
+    iva: sumCents(breakdowns.map(breakdown => breakdown.iva)),
+    byRate: groupByRate(breakdowns.flatMap(breakdown => breakdown.byRate)),
+    withoutBreakdown: sumCents(withoutBreakdown)
+  };
+};
@@ -0,0 +1,289 @@
+/**
+ * Pantalla de Papelera
+ *
+ * Muestra los recibos eliminados durante los últimos
+ * TRASH_RETENTION_DAYS días:
+ * - Restaurar un recibo a la lista (o todos a la vez)
+ * - Eliminar un recibo definitivamente, con su imagen
+ * - Vaciar la papelera
+ *
+ * Los recibos vencidos se eliminan solos al iniciar la app.
+ *
+ * @component
+ */
+
+import React from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Alert
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useExpense } from './ExpenseContext';
+import { formatMoney } from './Money';
+import { isDeposit } from './Deposits';
+import { TRASH_RETENTION_DAYS, getDaysRemaining } from './TrashStorage';
+
+export default function TrashScreen() {
+  // Obtener la papelera y sus funciones del contexto global
+  const { trash, restoreReceipts, purgeReceipts, emptyTrash } = useExpense();
+
+  /**
+   * Formatear fecha a formato legible en español
+   */
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('es-MX', {
+      day: 'numeric',
+      month: 'short',
+      year: 'numeric'
+    });
+  };
+
+  /**
+   * Restaurar recibos a la lista
+   *
+   * @param {Array<number>} ids - IDs de los recibos
+   */
+  const handleRestore = async (ids) => {
+    try {
+      await restoreReceipts(ids);
+    } catch (error) {
+      console.error('Error al restaurar recibos:', error);
+      Alert.alert('Error', 'No se pudieron restaurar los recibos');
+    }
+  };
+
+  /**
+   * Eliminar un recibo definitivamente después de confirmar
+   *
+   * @param {Object} entry - Recibo de la papelera
+   */
+  const handlePurge = (entry) => {
+    Alert.alert(
+      'Eliminar definitivamente',
+      `"${entry.name}" se eliminará junto con su imagen. Esta acción no se puede deshacer.`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Eliminar',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await purgeReceipts([entry.id]);
+            } catch (error) {
+              console.error('Error al eliminar recibo:', error);
+              Alert.alert('Error', 'No se pudo eliminar el recibo');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  /**
+   * Vaciar la papelera después de confirmar
+   */
+  const handleEmptyTrash = () => {
+    Alert.alert(
+      'Vaciar papelera',
+      `Se eliminarán definitivamente ${trash.length} recibo(s). Esta acción no se puede deshacer.`,
+      [
+        { text: 'Cancelar', style: 'cancel' },
+        {
+          text: 'Vaciar',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await emptyTrash();
+            } catch (error) {
+              console.error('Error al vaciar la papelera:', error);
+              Alert.alert('Error', 'No se pudo vaciar la papelera');
+            }
+          }
+        }
+      ]
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView style={styles.scrollView}>
+        <View style={styles.content}>
+          {/* === Sección: Recibos eliminados === */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Papelera</Text>
+            <Text style={styles.sectionSubtitle}>
+              Los recibos se eliminan definitivamente después de {TRASH_RETENTION_DAYS} días
+            </Text>
+
+            {trash.length === 0 ? (
+              <View style={styles.emptyState}>
+                <Ionicons name="trash-outline" size={48} color="#D1D5DB" />
+                <Text style={styles.emptyText}>La papelera está vacía</Text>
+              </View>
+            ) : (
+              trash.map((entry) => (
+                <View key={entry.id} style={styles.entryRow}>
+                  {/* Datos del recibo */}
+                  <View style={styles.entryInfo}>
+                    <Text style={styles.entryName}>{entry.name}</Text>
+                    <Text style={styles.entryAmount}>
+                      {isDeposit(entry) ? '+' : ''}{formatMoney(entry.amount)}
+                    </Text>
+                    <Text style={styles.entryDetail}>
+                      Eliminado el {formatDate(entry.deletedAt)} · quedan {getDaysRemaining(entry)} día(s)
+                    </Text>
+                  </View>
+
+                  {/* Acciones: restaurar y eliminar definitivamente */}
+                  <View style={styles.entryActions}>
+                    <TouchableOpacity
+                      style={styles.actionIcon}
+                      onPress={() => handleRestore([entry.id])}
+                    >
+                      <Ionicons name="arrow-undo-outline" size={20} color="#10B981" />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.actionIcon}
+                      onPress={() => handlePurge(entry)}
+                    >
+                      <Ionicons name="close-circle-outline" size={20} color="#DC2626" />
+                    </TouchableOpacity>
+                  </View>
+                </View>
+              ))
+            )}
+          </View>
+
+          {/* === Botones Restaurar todo / Vaciar papelera === */}
+          {trash.length > 0 && (
+            <>
+              <TouchableOpacity
+                style={styles.restoreButton}
+                onPress={() => handleRestore(trash.map(entry => entry.id))}
+              >
+                <Ionicons name="arrow-undo-outline" size={20} color="#fff" />
+                <Text style={styles.buttonText}>Restaurar todo</Text>
+              </TouchableOpacity>
+              <TouchableOpacity style={styles.emptyButton} onPress={handleEmptyTrash}>
+                <Ionicons name="trash-outline" size={20} color="#fff" />
+                <Text style={styles.buttonText}>Vaciar papelera</Text>
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+      </ScrollView>
+    </View>
+  );
+}
+
+/**
+ * Estilos del componente
+ */
+const styles = StyleSheet.create({
+  // === Contenedor principal ===
+  container: {
+    flex: 1,
+    backgroundColor: '#E5E7EB',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    padding: 20,
+  },
+
+  // === Secciones ===
+  section: {
+    backgroundColor: '#fff',
+    padding: 20,
+    borderRadius: 12,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '700',
+    color: '#111',
+    marginBottom: 4,
+  },
+  sectionSubtitle: {
+    fontSize: 14,
+    color: '#6B7280',
+    marginBottom: 16,
+  },
+
+  // === Estado vacío ===
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 32,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#6B7280',
+    marginTop: 12,
+  },
+
+  // === Filas de recibos ===
+  entryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#F3F4F6',
+    gap: 12,
+  },
+  entryInfo: {
+    flex: 1,
+  },
+  entryName: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#111',
+  },
+  entryAmount: {
+    fontSize: 14,
+    color: '#374151',
+    marginTop: 2,
+  },
+  entryDetail: {
+    fontSize: 12,
+    color: '#6B7280',
+    marginTop: 4,
+  },
+  entryActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  actionIcon: {
+    padding: 6,
+  },
+
+  // === Botones ===
+  restoreButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#10B981',
+    padding: 16,
+    borderRadius: 12,
+    gap: 8,
+    marginBottom: 12,
+  },
+  emptyButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: '#DC2626',
+    padding: 16,
+    borderRadius: 12,
+    gap: 8,
+  },
+  buttonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
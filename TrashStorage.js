@@ -0,0 +1,88 @@
+/**
+ * Almacenamiento de la Papelera
+ *
+ * Los recibos eliminados se mueven a la papelera en lugar de borrarse, y se
+ * guardan en AsyncStorage con la fecha en que se eliminaron:
+ * { ...recibo, deletedAt }
+ *
+ * La papelera se guarda en el mismo sobre versionado que los recibos (ver
+ * ReceiptStorage): al cargarla se aplican las migraciones pendientes, para
+ * que un recibo restaurado tenga el formato actual.
+ *
+ * Después de TRASH_RETENTION_DAYS días se eliminan definitivamente (junto
+ * con su imagen) al iniciar la app.
+ *
+ * @module TrashStorage
+ */
+
+import { loadStoredReceipts, saveStoredReceipts } from './ReceiptStorage';
+
+/**
+ * Clave de AsyncStorage donde se guarda la papelera
+ */
+export const TRASH_KEY = 'trash';
+
+/**
+ * Días que un recibo permanece en la papelera
+ */
+export const TRASH_RETENTION_DAYS = 30;
+
+/**
+ * Versión de los recibos de la papelera guardada como array sin sobre
+ *
+ * La primera versión de la papelera guardaba el array directamente, cuando
+ * los recibos estaban en la versión 2 (montos en centavos).
+ */
+const LEGACY_TRASH_VERSION = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Obtener los días que le quedan a un recibo en la papelera
+ *
+ * @param {Object} entry - Recibo de la papelera (con deletedAt)
+ * @param {Date} [now=new Date()] - Fecha de referencia
+ * @returns {number} Días restantes (0 si ya venció)
+ */
+export const getDaysRemaining = (entry, now = new Date()) => {
+  const expiresAt = new Date(entry.deletedAt).getTime() + TRASH_RETENTION_DAYS * DAY_MS;
+  return Math.max(0, Math.ceil((expiresAt - now.getTime()) / DAY_MS));
+};
+
+/**
+ * Separar los recibos vencidos de la papelera
+ *
+ * @param {Array<Object>} trash - Recibos de la papelera
+ * @param {Date} [now=new Date()] - Fecha de referencia
+ * @returns {{kept: Array<Object>, expired: Array<Object>}} Recibos que se
+ *   conservan y recibos que ya cumplieron el periodo de retención
+ */
+export const splitExpired = (trash, now = new Date()) => {
+  const kept = [];
+  const expired = [];
+  trash.forEach(entry => {
+    (getDaysRemaining(entry, now) > 0 ? kept : expired).push(entry);
+  });
+  return { kept, expired };
+};
+
+/**
+ * Cargar la papelera, migrándola si es necesario
+ *
+ * @param {string} [key=TRASH_KEY] - Clave de AsyncStorage
+ * @returns {Promise<Array<Object>>} Recibos eliminados (vacío si no hay datos)
+ * @throws {ReceiptMigrationError} Si una migración falla (los datos se restauran)
+ */
+export const loadStoredTrash = async (key = TRASH_KEY) => {
+  return loadStoredReceipts(key, { legacyVersion: LEGACY_TRASH_VERSION });
+};
+
+/**
+ * Guardar la papelera
+ *
+ * @param {Array<Object>} trash - Recibos eliminados
+ * @param {string} [key=TRASH_KEY] - Clave de AsyncStorage
+ */
+export const saveStoredTrash = async (trash, key = TRASH_KEY) => {
+  await saveStoredReceipts(trash, key);
+};
@@ -0,0 +1,95 @@
+/**
+ * Aviso para Deshacer Eliminaciones
+ *
+ * Barra inferior que aparece después de mover recibos a la papelera
+ * (pendingUndo en ExpenseContext), con un botón para deshacer:
+ * - Se oculta sola después de UNDO_TIMEOUT_MS
+ * - Se muestra sobre cualquier pantalla, porque después de eliminar
+ *   normalmente se regresa a la pantalla anterior
+ *
+ * Ocultar el aviso no elimina nada: los recibos siguen en la papelera.
+ *
+ * @component
+ */
+
+import React, { useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import { useExpense } from './ExpenseContext';
+
+/**
+ * Tiempo que permanece visible el aviso (milisegundos)
+ */
+const UNDO_TIMEOUT_MS = 5000;
+
+export default function UndoSnackbar() {
+  const { pendingUndo, undoLastDeletion, dismissUndo } = useExpense();
+
+  /**
+   * Efecto: Ocultar el aviso después del tiempo límite
+   *
+   * Se reinicia con cada eliminación nueva.
+   */
+  useEffect(() => {
+    if (!pendingUndo) return undefined;
+    const timer = setTimeout(dismissUndo, UNDO_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [pendingUndo]);
+
+  /**
+   * Restaurar los recibos eliminados
+   */
+  const handleUndo = async () => {
+    try {
+      await undoLastDeletion();
+    } catch (error) {
+      console.error('Error al deshacer la eliminación:', error);
+      Alert.alert('Error', 'No se pudo restaurar. Los recibos siguen en la papelera.');
+    }
+  };
+
+  if (!pendingUndo) return null;
+
+  return (
+    <View style={styles.snackbar}>
+      <Text style={styles.message}>{pendingUndo.message}</Text>
+      <TouchableOpacity onPress={handleUndo}>
+        <Text style={styles.undoText}>Deshacer</Text>
+      </TouchableOpacity>
+    </View>
+  );
+}
+
+/**
+ * Estilos del componente
+ */
+const styles = StyleSheet.create({
+  snackbar: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 32,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: '#111827',
+    borderRadius: 12,
+    paddingVertical: 14,
+    paddingHorizontal: 16,
+    gap: 12,
+    elevation: 6, // Sombra en Android
+    shadowColor: '#000',
+    shadowOpacity: 0.2,
+    shadowRadius: 8,
+    shadowOffset: { width: 0, height: 4 },
+  },
+  message: {
+    flex: 1,
+    color: '#fff',
+    fontSize: 14,
+  },
+  undoText: {
+    color: '#60A5FA',
+    fontSize: 14,
+    fontWeight: '700',
+  },
+});
@@ -0,0 +1,191 @@
+/**
+ * Almacenamiento por Usuario
+ *
+ * Los datos de cada cuenta se guardan en AsyncStorage con claves propias,
+ * para que varias personas puedan usar el mismo dispositivo sin ver los
+ * gastos de las demás:
+ * user:<id>:<clave>   por ejemplo  user:42:receipts
+ *
+ * Las claves base son las de cada módulo de almacenamiento (ver
+ * USER_DATA_KEYS). Los respaldos de migración de ReceiptStorage usan la
+ * clave del usuario, así que también quedan separados.
+ *
+ * Las versiones anteriores guardaban todo en las claves globales; esos
+ * datos se asignan solo a la cuenta que los creó (claimLegacyData), que se
+ * reconoce por el correo o el username que dejó guardados aquella versión
+ * (ver recordLegacyDataOwner). Si otra cuenta inicia sesión, los datos no
+ * se le asignan y se le ofrece borrarlos (deleteLegacyData).
+ *
+ * @module UserStorage
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { RECEIPTS_KEY } from './ReceiptStorage';
+import { CATEGORIES_KEY } from './CategoryStorage';
+import { BUDGETS_KEY } from './BudgetStorage';
+import { RECURRING_RULES_KEY } from './RecurringExpenses';
+import { TRASH_KEY } from './TrashStorage';
+
+/**
+ * Claves base de los datos de cada usuario
+ */
+export const USER_DATA_KEYS = {
+  receipts: RECEIPTS_KEY,
+  categories: CATEGORIES_KEY,
+  budgets: BUDGETS_KEY,
+  recurringRules: RECURRING_RULES_KEY,
+  trash: TRASH_KEY
+};
+
+/**
+ * Clave donde se guarda quién usaba la versión anterior { email, username }
+ */
+const LEGACY_OWNER_KEY = 'legacyDataOwner';
+
+/**
+ * Obtener el prefijo de las claves de un usuario
+ *
+ * @param {string} userId - ID del usuario (el de la API)
+ * @returns {string} Prefijo "user:<id>:"
+ */
+const getUserPrefix = (userId) => `user:${userId}:`;
+
+/**
+ * Obtener la clave de AsyncStorage de un dato del usuario
+ *
+ * @param {string} userId - ID del usuario
+ * @param {string} baseKey - Clave base (por ejemplo RECEIPTS_KEY)
+ * @returns {string} Clave del usuario
+ *
+ * @example
+ * getUserKey('42', RECEIPTS_KEY); // "user:42:receipts"
+ */
+export const getUserKey = (userId, baseKey) => `${getUserPrefix(userId)}${baseKey}`;
+
+/**
+ * Obtener todas las claves de datos de un usuario
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {{receipts: string, categories: string, budgets: string,
+ *   recurringRules: string, trash: string}} Claves del usuario
+ */
+export const getUserStorageKeys = (userId) => {
+  return Object.fromEntries(
+    Object.entries(USER_DATA_KEYS).map(([name, baseKey]) => [name, getUserKey(userId, baseKey)])
+  );
+};
+
+/**
+ * Filtrar las claves globales de versiones anteriores (y sus respaldos)
+ *
+ * @param {Array<string>} allKeys - Claves de AsyncStorage
+ * @returns {Array<string>} Claves sin asignar a ningún usuario
+ */
+const getLegacyKeys = (allKeys) => {
+  const baseKeys = Object.values(USER_DATA_KEYS);
+  return allKeys.filter(key =>
+    baseKeys.some(baseKey => key === baseKey || key.startsWith(`${baseKey}_backup_v`))
+  );
+};
+
+/**
+ * Guardar quién usaba la versión anterior de la app
+ *
+ * Debe llamarse al abrir la app, antes de iniciar sesión: al hacerlo se
+ * sobrescriben el correo y el username que dejó la versión anterior. Solo
+ * se guarda una vez y solo si hay datos sin asignar.
+ */
+export const recordLegacyDataOwner = async () => {
+  const allKeys = await AsyncStorage.getAllKeys();
+  if (allKeys.includes(LEGACY_OWNER_KEY) || getLegacyKeys(allKeys).length === 0) return;
+
+  const email = await AsyncStorage.getItem('savedEmail');
+  const username = await AsyncStorage.getItem('username');
+  await AsyncStorage.setItem(LEGACY_OWNER_KEY, JSON.stringify({ email, username }));
+};
+
+/**
+ * Saber si un usuario es quien usaba la versión anterior
+ *
+ * La versión anterior guardaba el correo solo con "Recordarme"; si no
+ * está, se compara el username (la parte del correo antes de la @).
+ *
+ * @param {{email: string, username: string}|null} owner - Datos guardados
+ * @param {Object} user - Usuario de la sesión { id, email }
+ * @returns {boolean} true si los datos son de este usuario
+ */
+const isLegacyOwner = (owner, user) => {
+  if (!owner || !user?.email) return false;
+  const email = user.email.trim().toLowerCase();
+  if (owner.email) {
+    return owner.email.trim().toLowerCase() === email;
+  }
+  return Boolean(owner.username) && owner.username.toLowerCase() === email.split('@')[0];
+};
+
+/**
+ * Saber si quedan datos de versiones anteriores sin asignar
+ *
+ * @returns {Promise<boolean>} true si hay claves globales
+ */
+export const hasLegacyData = async () => {
+  return getLegacyKeys(await AsyncStorage.getAllKeys()).length > 0;
+};
+
+/**
+ * Asignar los datos de versiones anteriores a un usuario
+ *
+ * Solo si el usuario es quien los creó (ver recordLegacyDataOwner). Mueve
+ * cada clave global (y los respaldos de recibos) a la clave del usuario y
+ * borra la global. Si el usuario ya tiene datos en una clave, no se
+ * sobrescriben y la clave global se conserva.
+ *
+ * @param {Object} user - Usuario de la sesión { id, email }
+ * @returns {Promise<number>} Cantidad de claves movidas (0 si no son sus datos)
+ */
+export const claimLegacyData = async (user) => {
+  const allKeys = await AsyncStorage.getAllKeys();
+  const legacyKeys = getLegacyKeys(allKeys);
+  if (legacyKeys.length === 0) return 0;
+
+  const rawOwner = await AsyncStorage.getItem(LEGACY_OWNER_KEY);
+  if (!isLegacyOwner(rawOwner ? JSON.parse(rawOwner) : null, user)) return 0;
+
+  let moved = 0;
+  for (const key of legacyKeys) {
+    const userKey = getUserKey(user.id, key);
+    if (allKeys.includes(userKey)) continue;
+    const raw = await AsyncStorage.getItem(key);
+    await AsyncStorage.setItem(userKey, raw);
+    await AsyncStorage.removeItem(key);
+    moved += 1;
+  }
+  if (moved === legacyKeys.length) {
+    await AsyncStorage.removeItem(LEGACY_OWNER_KEY);
+  }
+  return moved;
+};
+
+/**
+ * Borrar los datos de versiones anteriores que no se asignaron
+ *
+ * Las imágenes de esos recibos se borran aparte (ver ReceiptImageStore).
+ */
+export const deleteLegacyData = async () => {
+  const legacyKeys = getLegacyKeys(await AsyncStorage.getAllKeys());
+  await AsyncStorage.multiRemove([...legacyKeys, LEGACY_OWNER_KEY]);
+};
+
+/**
+ * Borrar todos los datos locales de un usuario
+ *
+ * Incluye los respaldos de migración. Las imágenes se borran aparte
+ * (ver ReceiptImageStore).
+ *
+ * @param {string} userId - ID del usuario
+ */
+export const clearUserData = async (userId) => {
+  const prefix = getUserPrefix(userId);
+  const allKeys = await AsyncStorage.getAllKeys();
+  await AsyncStorage.multiRemove(allKeys.filter(key => key.startsWith(prefix)));
+};